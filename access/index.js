@@ -0,0 +1,92 @@
+/**
+ * Tool Access Control
+ *
+ * This module decides which tools a session may see and call. Access rules can be set at
+ * three levels of the configuration, and a tool must be allowed by every level that applies:
+ *
+ * - server: the top-level `tools` section
+ * - account: `accounts.<account_key>.tools` (SSE sessions connected with an account key)
+ * - site: the `tools` section of a site, for tools that operate on a site
+ *
+ * Each rule has an optional `allow` list (only these tools) and an optional `deny` list
+ * (never these tools). Entries are tool names or patterns with `*` wildcards (e.g. `delete_*`).
+ *
+ * Tools that do the work of other tools (e.g. `batch_update_products` updates products like
+ * `update_product`) are only allowed where those tools are allowed too.
+ */
+import { createErrorResult, ToolError } from '../errors/index.js';
+
+// Tools whose rules also apply to another tool, by tool name
+export const DELEGATED_TOOLS = {
+  batch_update_posts: ['update_post'],
+  batch_update_pages: ['update_page'],
+  batch_update_products: ['update_product'],
+  batch_update_orders: ['update_order'],
+  batch_update_customers: ['update_customer']
+};
+
+/**
+ * Check whether a tool name matches a pattern
+ *
+ * @param {string} name - Tool name
+ * @param {string} pattern - Tool name or pattern with `*` wildcards
+ * @returns {boolean} True if the name matches
+ */
+export function matchesToolPattern(name, pattern) {
+  const source = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Check whether a rule allows a tool
+ *
+ * @param {string} name - Tool name
+ * @param {Object} rule - Access rule ({ allow, deny })
+ * @returns {boolean} True if the tool is allowed (or the rule is empty)
+ */
+export function isToolAllowedByRule(name, rule) {
+  if (!rule) {
+    return true;
+  }
+
+  if (Array.isArray(rule.allow) && !rule.allow.some(pattern => matchesToolPattern(name, pattern))) {
+    return false;
+  }
+
+  if (Array.isArray(rule.deny) && rule.deny.some(pattern => matchesToolPattern(name, pattern))) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Find the scope that denies a tool
+ *
+ * A scope that denies one of the tools the tool delegates to also denies the tool.
+ *
+ * @param {string} name - Tool name
+ * @param {Array<Object>} scopes - Access scopes ({ label, rule }), from the broadest to the narrowest
+ * @returns {Object|null} The first scope that denies the tool, or null if the tool is allowed
+ */
+export function findDenyingScope(name, scopes) {
+  const names = [name, ...(DELEGATED_TOOLS[name] || [])];
+  return scopes.find(scope => names.some(toolName => !isToolAllowedByRule(toolName, scope.rule))) || null;
+}
+
+/**
+ * Create the tool result returned when a tool is not allowed
+ *
+ * @param {string} toolName - Tool name
+ * @param {Object} scope - The scope that denies the tool
+ * @returns {Object} Tool result
+ */
+export function createToolAccessErrorResult(toolName, scope) {
+  return createErrorResult(
+    new ToolError(`Tool '${toolName}' is not allowed for ${scope.label}`, { category: 'forbidden' })
+  );
+}
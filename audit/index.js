@@ -0,0 +1,290 @@
+/**
+ * Audit Log
+ *
+ * This module records every call to a mutating tool in an append-only JSON Lines file.
+ * Each entry holds the time, the session and account, the site, the tool and its redacted
+ * arguments, the outcome, and the remote objects the call changed with their before and
+ * after snapshots.
+ *
+ * Accounts are recorded by a hash of their key (`account_id`), never by the key itself:
+ * the key is the credential of the `/{account_key}/...` endpoints, and it is also the site
+ * id of account sessions.
+ *
+ * Snapshots are captured by the WordPress and WooCommerce clients: while a tool call is
+ * audited, each request that modifies the site first fetches the object it targets and then
+ * reports the object returned by the API.
+ */
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import { AsyncLocalStorage } from 'async_hooks';
+import { logger, redact } from '../logging/index.js';
+import { ToolError } from '../errors/index.js';
+
+// Maximum number of entries returned by a query
+export const MAX_QUERY_LIMIT = 500;
+
+// Mutations recorded by the audited tool call in progress
+const auditContext = new AsyncLocalStorage();
+
+/**
+ * Get the id recorded for an account instead of its key
+ *
+ * @param {string} accountKey - Account key
+ * @returns {string|null} Account id (`acct_` and the start of the key's SHA-256 hash), or null without a key
+ */
+export function getAccountId(accountKey) {
+  if (!accountKey) {
+    return null;
+  }
+
+  return `acct_${crypto.createHash('sha256').update(String(accountKey), 'utf8').digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Replace an account key used as a site id with the account id
+ *
+ * @param {string} siteId - Site id
+ * @param {string} accountKey - Account key of the session
+ * @returns {string} Site id safe to record
+ */
+export function maskAccountSiteId(siteId, accountKey) {
+  return accountKey && siteId === accountKey ? getAccountId(accountKey) : siteId;
+}
+
+/**
+ * Run a function and collect the mutations made by the clients
+ *
+ * Errors thrown by the function are returned rather than thrown, so the mutations made
+ * before the error can still be recorded.
+ *
+ * @param {Function} fn - Function to run
+ * @returns {Promise<Object>} The function's result or error and the mutations ({ result, error, mutations })
+ */
+export async function runAudited(fn) {
+  const mutations = [];
+
+  try {
+    const result = await auditContext.run(mutations, fn);
+    return { result, mutations };
+  } catch (error) {
+    return { error, mutations };
+  }
+}
+
+/**
+ * Check whether the current tool call is audited
+ *
+ * @returns {boolean} True if mutations should be recorded
+ */
+export function isAuditing() {
+  return auditContext.getStore() !== undefined;
+}
+
+/**
+ * Record a mutation made by a client
+ *
+ * The returned record is completed by the client once the response is received.
+ *
+ * @param {Object} mutation - Mutation details
+ * @param {string} mutation.method - HTTP method
+ * @param {string} mutation.url - Request URL
+ * @param {string} mutation.api - API that received the request (wordpress or woocommerce)
+ * @param {string} mutation.endpoint - API endpoint
+ * @param {Object} mutation.body - Request body
+ * @param {Object|null} mutation.before - Object before the request
+ * @returns {Object} Mutation record ({ method, url, api, endpoint, body, before, after })
+ */
+export function recordMutation({ method, url, api, endpoint, body, before }) {
+  const mutation = { method, url, api, endpoint, body, before: before ?? null, after: null };
+  auditContext.getStore()?.push(mutation);
+
+  return mutation;
+}
+
+/**
+ * Get the id of the remote object changed by a mutation
+ *
+ * @param {Object} mutation - Mutation record
+ * @returns {number|string|null} Object id
+ */
+export function getObjectId(mutation) {
+  const object = mutation.after?.previous || mutation.after || mutation.before;
+
+  if (object?.id !== undefined) {
+    return object.id;
+  }
+
+  const match = /\/(\d+)(?:\?|$)/.exec(mutation.url);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Parse a time filter
+ *
+ * @param {string} value - Time (ISO 8601)
+ * @param {string} name - Filter name, for the error message
+ * @returns {number|null} Time in milliseconds, or null if no time was given
+ */
+function parseTime(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new ToolError(`Invalid '${name}' time: ${value}`, { category: 'validation' });
+  }
+
+  return time;
+}
+
+/**
+ * Append-only audit log
+ */
+export class AuditLog {
+  /**
+   * Create a new audit log
+   *
+   * @param {Object} options - Audit log options
+   * @param {string} options.file - Path of the JSON Lines file
+   * @param {boolean} options.enabled - Whether to record entries (default: true)
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.enabled = options.enabled !== false;
+
+    if (this.enabled) {
+      fs.ensureDirSync(path.dirname(this.file));
+    }
+  }
+
+  /**
+   * Record a tool call
+   *
+   * @param {Object} entry - Entry details
+   * @param {string} entry.sessionId - MCP session id
+   * @param {string} entry.accountKey - Account key
+   * @param {string} entry.siteId - Site id
+   * @param {string} entry.tool - Tool name
+   * @param {Object} entry.args - Tool arguments
+   * @param {string} entry.status - Outcome (success, error or refused)
+   * @param {string} entry.message - Error or refusal message
+   * @param {Array<Object>} entry.mutations - Mutations made by the clients
+   * @param {Array<string>} entry.changeIds - IDs of the changes that `undo_change` can revert
+   * @returns {Object|null} Recorded entry, or null if the log is disabled
+   */
+  record({ sessionId, accountKey, siteId, tool, args, status, message, mutations = [], changeIds = [] }) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const changes = mutations.map(mutation => ({
+      method: mutation.method,
+      url: mutation.url,
+      object_id: getObjectId(mutation),
+      before: redact(mutation.before),
+      after: redact(mutation.after)
+    }));
+
+    const recordedArgs = args?.site_id ? { ...args, site_id: maskAccountSiteId(args.site_id, accountKey) } : args;
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      session_id: sessionId || null,
+      account_id: getAccountId(accountKey),
+      site_id: maskAccountSiteId(siteId, accountKey) || null,
+      tool,
+      args: redact(recordedArgs || {}),
+      status,
+      ...(message ? { message } : {}),
+      ...(changeIds.length === 1 ? { change_id: changeIds[0] } : {}),
+      ...(changeIds.length > 1 ? { change_ids: changeIds } : {}),
+      object_id: changes[0]?.object_id ?? null,
+      before: changes[0]?.before ?? null,
+      after: changes[0]?.after ?? null,
+      ...(changes.length > 1 ? { changes } : {})
+    };
+
+    try {
+      fs.appendFileSync(this.file, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+      logger.error(`[Audit] Error writing audit log ${this.file}:`, error);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Query the audit log
+   *
+   * @param {Object} filter - Filter
+   * @param {string} filter.since - Only entries at or after this time (ISO 8601)
+   * @param {string} filter.until - Only entries before this time (ISO 8601)
+   * @param {string} filter.tool - Tool name
+   * @param {string} filter.site_id - Site id
+   * @param {string} filter.account_id - Account id (see `getAccountId`)
+   * @param {string} filter.session_id - Session id
+   * @param {number|string} filter.object_id - Remote object id
+   * @param {string} filter.status - Outcome (success, error or refused)
+   * @param {number} filter.limit - Maximum number of entries (default: 50)
+   * @returns {Promise<Array<Object>>} Matching entries, most recent first
+   */
+  async query(filter = {}) {
+    const since = parseTime(filter.since, 'since');
+    const until = parseTime(filter.until, 'until');
+    const limit = Math.min(filter.limit || 50, MAX_QUERY_LIMIT);
+    const matches = [];
+
+    if (!fs.existsSync(this.file)) {
+      return matches;
+    }
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+
+      const time = Date.parse(entry.timestamp);
+      if ((since !== null && time < since) || (until !== null && time >= until)) {
+        continue;
+      }
+
+      if ((filter.tool && entry.tool !== filter.tool) ||
+          (filter.site_id && entry.site_id !== filter.site_id) ||
+          (filter.account_id && entry.account_id !== filter.account_id) ||
+          (filter.session_id && entry.session_id !== filter.session_id) ||
+          (filter.status && entry.status !== filter.status)) {
+        continue;
+      }
+
+      if (filter.object_id !== undefined && filter.object_id !== null &&
+          String(entry.object_id) !== String(filter.object_id) &&
+          !(entry.changes || []).some(change => String(change.object_id) === String(filter.object_id))) {
+        continue;
+      }
+
+      matches.push(entry);
+
+      // Keep only the most recent entries
+      if (matches.length > limit) {
+        matches.shift();
+      }
+    }
+
+    return matches.reverse();
+  }
+}
@@ -0,0 +1,559 @@
+/**
+ * Authentication Module
+ *
+ * This module authenticates the clients of the SSE, Streamable HTTP and WebSocket servers
+ * with bearer tokens (`Authorization: Bearer <token>`), configured in the `auth` section of
+ * the configuration file:
+ *
+ * - API keys: only the SHA-256 hash of each key is stored (`auth.apiKeys[].hash`), with the
+ *   scopes it grants and, optionally, the account keys it is tied to
+ * - OAuth 2.1 resource server (`auth.oauth`): JWT access tokens are verified against a
+ *   local JWKS file, and their issuer, audience and expiry are checked
+ *
+ * Scopes:
+ *
+ * - `mcp`: open MCP sessions (for the server's own sites, or for the accounts the token is tied to)
+ * - `accounts:write`: register accounts with `/connect-account`
+ * - `metrics`: read `/metrics`
+ *
+ * Authentication fails closed: without API keys or an `oauth` section the servers refuse to
+ * start, unless authentication is turned off explicitly with `auth.disabled: true` or the
+ * `--no-auth` flag. A reloaded configuration that would leave the endpoints open is ignored.
+ *
+ * @see https://datatracker.ietf.org/doc/html/rfc6750
+ * @see https://datatracker.ietf.org/doc/html/rfc9728
+ */
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readConfigFile, watchConfig } from '../config/index.js';
+import { logger } from '../logging/index.js';
+
+// Scopes a token can grant
+export const AUTH_SCOPES = ['mcp', 'accounts:write', 'metrics'];
+
+// Path of the protected resource metadata document
+export const RESOURCE_METADATA_PATH = '/.well-known/oauth-protected-resource';
+
+// Prefix of the API keys generated by the server
+const API_KEY_PREFIX = 'wpmcp_';
+
+// Allowed difference between our clock and the token issuer's, in seconds
+const CLOCK_TOLERANCE = 60;
+
+// Verification settings of the supported JWT algorithms
+const JWT_ALGORITHMS = {
+  RS256: { hash: 'sha256', keyTypes: ['rsa'] },
+  RS384: { hash: 'sha384', keyTypes: ['rsa'] },
+  RS512: { hash: 'sha512', keyTypes: ['rsa'] },
+  PS256: { hash: 'sha256', keyTypes: ['rsa', 'rsa-pss'], padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', keyTypes: ['rsa', 'rsa-pss'], padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', keyTypes: ['rsa', 'rsa-pss'], padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', keyTypes: ['ec'], dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', keyTypes: ['ec'], dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', keyTypes: ['ec'], dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null, keyTypes: ['ed25519', 'ed448'] }
+};
+
+// Default configuration file, as used by the server
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config.json');
+
+/**
+ * Error raised when a request cannot be authenticated or is not allowed
+ */
+export class AuthError extends Error {
+  /**
+   * Create a new authentication error
+   *
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {number} details.status - HTTP status (401 or 403)
+   * @param {string} details.code - RFC 6750 error code (invalid_request, invalid_token or insufficient_scope)
+   * @param {string} details.scope - Scope the request needs, if any
+   */
+  constructor(message, { status = 401, code, scope } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+    this.scope = scope;
+  }
+}
+
+/**
+ * Hash an API key for the configuration file
+ *
+ * @param {string} apiKey - API key
+ * @returns {string} Hash (`sha256:<hex>`)
+ */
+export function hashApiKey(apiKey) {
+  return `sha256:${crypto.createHash('sha256').update(apiKey, 'utf8').digest('hex')}`;
+}
+
+/**
+ * Generate a new random API key
+ *
+ * @returns {string} API key
+ */
+export function generateApiKey() {
+  return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Decode a base64url JWT segment holding JSON
+ *
+ * @param {string} segment - Encoded segment
+ * @returns {Object} Decoded object
+ * @throws {AuthError} If the segment is not a base64url-encoded JSON object
+ */
+function decodeJwtSegment(segment) {
+  try {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return value;
+    }
+  } catch {
+    // Reported below
+  }
+
+  throw new AuthError('Malformed token', { code: 'invalid_token' });
+}
+
+/**
+ * Check the registered claims of a verified JWT
+ *
+ * @param {Object} claims - Token claims
+ * @param {Object} oauth - OAuth settings ({ issuer, audience })
+ * @throws {AuthError} If the token is expired, not yet valid, issued by or for someone else, or has no subject
+ */
+function checkJwtClaims(claims, oauth) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp !== 'number') {
+    throw new AuthError('Token has no expiry', { code: 'invalid_token' });
+  }
+  if (claims.exp + CLOCK_TOLERANCE < now) {
+    throw new AuthError('Token has expired', { code: 'invalid_token' });
+  }
+  if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_TOLERANCE > now) {
+    throw new AuthError('Token is not valid yet', { code: 'invalid_token' });
+  }
+  if (claims.iss !== oauth.issuer) {
+    throw new AuthError('Token was not issued by the configured issuer', { code: 'invalid_token' });
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audiences.includes(oauth.audience)) {
+    throw new AuthError('Token was not issued for this server', { code: 'invalid_token' });
+  }
+
+  // Sessions are bound to the subject, so every token must name one
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new AuthError('Token has no subject', { code: 'invalid_token' });
+  }
+}
+
+/**
+ * Get the scopes granted by JWT claims (`scope` string or `scp` array)
+ *
+ * @param {Object} claims - Token claims
+ * @returns {Array<string>} Scopes
+ */
+function getJwtScopes(claims) {
+  if (typeof claims.scope === 'string') {
+    return claims.scope.split(' ').filter(Boolean);
+  }
+  return Array.isArray(claims.scp) ? claims.scp.filter(scope => typeof scope === 'string') : [];
+}
+
+/**
+ * Get the origin a request was sent to
+ *
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {string} Origin (e.g. `https://mcp.example.com`)
+ */
+function getRequestOrigin(req) {
+  const protocol = req.headers['x-forwarded-proto']?.split(',')[0].trim() || (req.socket.encrypted ? 'https' : 'http');
+  return `${protocol}://${req.headers.host || 'localhost'}`;
+}
+
+/**
+ * Authenticates bearer tokens against the `auth` section of the configuration file
+ *
+ * The settings are reloaded with the configuration file, so keys can be added and revoked
+ * without a restart.
+ */
+export class Authenticator {
+  /**
+   * Create a new authenticator
+   *
+   * @param {Object} options - Authenticator options
+   * @param {string} options.configPath - Path to the configuration file
+   * @param {boolean} options.disabled - Serve requests without authentication (`--no-auth`)
+   * @throws {Error} If no API keys or OAuth issuer are configured and authentication is not disabled
+   */
+  constructor(options = {}) {
+    this.configPath = options.configPath || DEFAULT_CONFIG_PATH;
+    this.forceDisabled = options.disabled === true;
+    this.disabled = false;
+    this.apiKeys = new Map();
+    this.oauth = null;
+    this._jwks = null;
+
+    const config = fs.existsSync(this.configPath) ? readConfigFile(this.configPath) : {};
+    this.configure(config.auth);
+
+    this._unwatch = watchConfig(this.configPath, config => this.configure(config.auth));
+  }
+
+  /**
+   * Check whether requests must be authenticated
+   *
+   * @returns {boolean} False only if authentication was turned off explicitly
+   */
+  get enabled() {
+    return !this.disabled;
+  }
+
+  /**
+   * Apply the `auth` section of the configuration
+   *
+   * The current settings are kept if the new ones cannot be applied.
+   *
+   * @param {Object} auth - Authentication settings ({ apiKeys, oauth, disabled })
+   * @throws {Error} If the JWKS file cannot be read
+   * @throws {Error} If no API keys or OAuth issuer are configured and authentication is not disabled
+   */
+  configure(auth = {}) {
+    const disabled = this.forceDisabled || auth.disabled === true;
+
+    const apiKeys = new Map();
+
+    for (const apiKey of auth.apiKeys || []) {
+      const unknownScopes = (apiKey.scopes || []).filter(scope => !AUTH_SCOPES.includes(scope));
+      if (unknownScopes.length > 0) {
+        logger.warn(`[Auth] API key ${apiKey.id} has unknown scopes: ${unknownScopes.join(', ')}`);
+      }
+
+      apiKeys.set(apiKey.hash.toLowerCase(), {
+        id: `key:${apiKey.id}`,
+        type: 'api_key',
+        scopes: apiKey.scopes || [],
+        accounts: apiKey.accounts || null
+      });
+    }
+
+    const oauth = auth.oauth
+      ? {
+        ...auth.oauth,
+        jwks: path.resolve(path.dirname(this.configPath), auth.oauth.jwks),
+        accountsClaim: auth.oauth.accountsClaim || 'account_keys'
+      }
+      : null;
+
+    // Never fall back to open endpoints because keys are missing
+    if (!disabled && apiKeys.size === 0 && !oauth) {
+      throw new Error('[Auth] No API keys or OAuth issuer configured; add them to the auth section, or set auth.disabled to true (or pass --no-auth) to serve the HTTP endpoints without authentication');
+    }
+
+    // Load the keys before swapping in the settings, so a broken JWKS file keeps the current ones
+    const jwks = oauth ? this._readJwks(oauth.jwks) : null;
+
+    this.disabled = disabled;
+    this.apiKeys = apiKeys;
+    this.oauth = oauth;
+    this._jwks = jwks;
+
+    if (this.enabled) {
+      logger.info(`[Auth] Bearer authentication enabled (${apiKeys.size} API keys${oauth ? `, OAuth issuer ${oauth.issuer}` : ''})`);
+    } else {
+      logger.warn('[Auth] Authentication is disabled, HTTP endpoints are not authenticated');
+    }
+  }
+
+  /**
+   * Read the public keys of a JWKS file
+   *
+   * @param {string} file - Path to the JWKS file
+   * @returns {Object} Keys ({ file, mtimeMs, keys: [{ kid, alg, key }] })
+   * @throws {Error} If the file cannot be read or holds no usable key
+   * @private
+   */
+  _readJwks(file) {
+    const { mtimeMs } = fs.statSync(file);
+    const { keys } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    const usable = (Array.isArray(keys) ? keys : [])
+      .filter(jwk => !jwk.use || jwk.use === 'sig')
+      .flatMap(jwk => {
+        try {
+          return [{ kid: jwk.kid, alg: jwk.alg, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }];
+        } catch (error) {
+          logger.warn(`[Auth] Skipping unusable key ${jwk.kid || '(no kid)'} in ${file}:`, error);
+          return [];
+        }
+      });
+
+    if (usable.length === 0) {
+      throw new Error(`[Auth] No usable signing key in ${file}`);
+    }
+
+    return { file, mtimeMs, keys: usable };
+  }
+
+  /**
+   * Get the JWKS keys, reading the file again if it has changed (e.g. after a key rotation)
+   *
+   * @returns {Array<Object>} Keys
+   * @private
+   */
+  _getJwksKeys() {
+    try {
+      if (fs.statSync(this._jwks.file).mtimeMs !== this._jwks.mtimeMs) {
+        this._jwks = this._readJwks(this._jwks.file);
+        logger.info(`[Auth] Reloaded signing keys from ${this._jwks.file}`);
+      }
+    } catch (error) {
+      logger.error('[Auth] Keeping the current signing keys, reload failed:', error);
+    }
+
+    return this._jwks.keys;
+  }
+
+  /**
+   * Verify a JWT access token
+   *
+   * @param {string} token - Compact JWT
+   * @returns {Object} Principal ({ id, type, scopes, accounts })
+   * @throws {AuthError} If the token is invalid
+   * @private
+   */
+  _verifyJwt(token) {
+    const [encodedHeader, encodedClaims, encodedSignature] = token.split('.');
+    const header = decodeJwtSegment(encodedHeader);
+    const algorithm = Object.hasOwn(JWT_ALGORITHMS, header.alg) ? JWT_ALGORITHMS[header.alg] : undefined;
+
+    if (!algorithm) {
+      throw new AuthError(`Unsupported token algorithm: ${header.alg}`, { code: 'invalid_token' });
+    }
+
+    const keys = this._getJwksKeys();
+    const jwk = header.kid ? keys.find(candidate => candidate.kid === header.kid) : (keys.length === 1 ? keys[0] : undefined);
+
+    if (!jwk || (jwk.alg && jwk.alg !== header.alg) || !algorithm.keyTypes.includes(jwk.key.asymmetricKeyType)) {
+      throw new AuthError('Token is not signed with a known key', { code: 'invalid_token' });
+    }
+
+    // Malformed signatures make verification throw instead of returning false
+    let valid;
+    try {
+      valid = crypto.verify(
+        algorithm.hash,
+        Buffer.from(`${encodedHeader}.${encodedClaims}`),
+        {
+          key: jwk.key,
+          padding: algorithm.padding,
+          saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+          dsaEncoding: algorithm.dsaEncoding
+        },
+        Buffer.from(encodedSignature, 'base64url')
+      );
+    } catch {
+      valid = false;
+    }
+
+    if (!valid) {
+      throw new AuthError('Token signature is invalid', { code: 'invalid_token' });
+    }
+
+    const claims = decodeJwtSegment(encodedClaims);
+    checkJwtClaims(claims, this.oauth);
+
+    const accounts = claims[this.oauth.accountsClaim];
+
+    return {
+      id: `oauth:${claims.sub}`,
+      type: 'oauth',
+      scopes: getJwtScopes(claims),
+      accounts: accounts === undefined ? null : [].concat(accounts)
+    };
+  }
+
+  /**
+   * Authenticate a bearer token
+   *
+   * @param {string} authorization - Value of the Authorization header
+   * @returns {Object} Principal ({ id, type, scopes, accounts }); `accounts` is null for a token not tied to accounts
+   * @throws {AuthError} If the token is missing or invalid
+   */
+  authenticate(authorization) {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization || '');
+
+    if (!match) {
+      throw new AuthError('Bearer token required', { code: authorization ? 'invalid_request' : undefined });
+    }
+
+    const token = match[1];
+
+    if (this.oauth && /^[\w-]+\.[\w-]+\.[\w-]+$/.test(token)) {
+      // Anything unexpected in a token is the client's error, never a server error
+      try {
+        return this._verifyJwt(token);
+      } catch (error) {
+        if (error instanceof AuthError) {
+          throw error;
+        }
+        logger.debug('[Auth] Token verification failed:', error);
+        throw new AuthError('Malformed token', { code: 'invalid_token' });
+      }
+    }
+
+    // Keys are looked up by hash, so the comparison never involves the key itself
+    const principal = this.apiKeys.get(hashApiKey(token));
+    if (!principal) {
+      throw new AuthError('Invalid API key', { code: 'invalid_token' });
+    }
+
+    return principal;
+  }
+
+  /**
+   * Check that a principal may perform a request
+   *
+   * @param {Object} principal - Authenticated principal
+   * @param {string} scope - Scope the request needs
+   * @param {Object} options - Authorization options
+   * @param {boolean} options.checkAccount - Whether the request opens a session for `accountKey`
+   * @param {string} options.accountKey - Account key of the session (undefined for the server's own sites)
+   * @throws {AuthError} If the principal lacks the scope or may not use the account
+   */
+  authorize(principal, scope, { checkAccount = false, accountKey } = {}) {
+    if (!principal.scopes.includes(scope)) {
+      throw new AuthError(`Token does not grant the ${scope} scope`, { status: 403, code: 'insufficient_scope', scope });
+    }
+
+    if (checkAccount && principal.accounts && !principal.accounts.includes(accountKey)) {
+      throw new AuthError(
+        accountKey ? `Token is not allowed to use account ${accountKey}` : 'Token is tied to accounts and cannot use the server\'s own sites',
+        { status: 403, code: 'insufficient_scope', scope }
+      );
+    }
+  }
+
+  /**
+   * Authenticate and authorize an HTTP request
+   *
+   * @param {IncomingMessage} req - HTTP request
+   * @param {string} scope - Scope the request needs
+   * @param {Object} options - Authorization options ({ checkAccount, accountKey })
+   * @returns {Object|null} Principal, or null if authentication is disabled
+   * @throws {AuthError} If the request is not allowed
+   */
+  authenticateRequest(req, scope, options = {}) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const principal = this.authenticate(req.headers.authorization);
+    this.authorize(principal, scope, options);
+    return principal;
+  }
+
+  /**
+   * Build the WWW-Authenticate header for an authentication error
+   *
+   * @param {AuthError} error - Authentication error
+   * @param {IncomingMessage} req - HTTP request, used to build the resource metadata URL
+   * @returns {string} Header value
+   */
+  challenge(error, req) {
+    const params = ['realm="wordpress-mcp"'];
+
+    if (error.code) {
+      params.push(`error="${error.code}"`, `error_description="${error.message.replace(/"/g, '\'')}"`);
+    }
+    if (error.scope) {
+      params.push(`scope="${error.scope}"`);
+    }
+    if (this.oauth) {
+      params.push(`resource_metadata="${getRequestOrigin(req)}${RESOURCE_METADATA_PATH}"`);
+    }
+
+    return `Bearer ${params.join(', ')}`;
+  }
+
+  /**
+   * Get the OAuth protected resource metadata of the server
+   *
+   * @returns {Object|null} Metadata, or null if OAuth is not configured
+   */
+  getResourceMetadata() {
+    if (!this.oauth) {
+      return null;
+    }
+
+    return {
+      resource: this.oauth.audience,
+      authorization_servers: [this.oauth.issuer],
+      scopes_supported: AUTH_SCOPES,
+      bearer_methods_supported: ['header']
+    };
+  }
+
+  /**
+   * Stop following changes to the configuration file
+   */
+  close() {
+    this._unwatch();
+  }
+}
+
+/**
+ * Create an Express middleware that requires a bearer token granting a scope
+ *
+ * The principal is stored in `req.principal` (null when authentication is disabled).
+ *
+ * @param {Authenticator} authenticator - Authenticator
+ * @param {string} scope - Scope the route needs
+ * @param {Object} options - Middleware options
+ * @param {boolean} options.checkAccount - Whether the route opens sessions for the `account_key` URL parameter
+ * @returns {Function} Express middleware
+ */
+export function requireAuth(authenticator, scope, { checkAccount = false } = {}) {
+  return (req, res, next) => {
+    try {
+      req.principal = authenticator.authenticateRequest(req, scope, { checkAccount, accountKey: req.params.account_key });
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        next(error);
+        return;
+      }
+
+      logger.warn(`[Auth] Refused ${req.method} ${req.path}: ${error.message}`);
+      res.status(error.status)
+        .set('WWW-Authenticate', authenticator.challenge(error, req))
+        .json({ error: error.code || 'unauthorized', message: error.message });
+    }
+  };
+}
+
+/**
+ * Serve the OAuth protected resource metadata (RFC 9728) when OAuth is configured
+ *
+ * @param {Object} app - Express application
+ * @param {Authenticator} authenticator - Authenticator
+ */
+export function serveResourceMetadata(app, authenticator) {
+  app.get(RESOURCE_METADATA_PATH, (req, res) => {
+    const metadata = authenticator.getResourceMetadata();
+
+    if (!metadata) {
+      res.status(404).json({ error: 'not_found', message: 'OAuth is not configured' });
+      return;
+    }
+
+    res.json(metadata);
+  });
+}
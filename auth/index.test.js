@@ -0,0 +1,255 @@
+/**
+ * Tests for the Authentication Module
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { configureLogging } from '../logging/index.js';
+import { catchError } from '../testing/index.js';
+import { AuthError, Authenticator, hashApiKey } from './index.js';
+
+const ISSUER = 'https://auth.example.com';
+const AUDIENCE = 'https://mcp.example.com';
+
+/**
+ * Encode a JSON object as a base64url JWT segment
+ *
+ * @param {Object} value - Header or claims
+ * @returns {string} Encoded segment
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign an ES256 JWT
+ *
+ * @param {KeyObject} privateKey - P-256 private key
+ * @param {Object} claims - Token claims
+ * @param {Object} header - Extra header fields
+ * @returns {string} Compact JWT
+ */
+function signJwt(privateKey, claims, header = {}) {
+  const signingInput = `${encodeSegment({ alg: 'ES256', typ: 'JWT', kid: 'key-1', ...header })}.${encodeSegment(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+describe('Authenticator', () => {
+  let directory;
+  let privateKey;
+  let authenticator;
+
+  /**
+   * Write a configuration file and return its path
+   *
+   * @param {Object} config - Configuration
+   * @returns {string} Path to the configuration file
+   */
+  const writeConfig = (config) => {
+    const configPath = path.join(directory, `config-${crypto.randomUUID()}.json`);
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+  };
+
+  /**
+   * Build claims valid for the configured issuer and audience
+   *
+   * @param {Object} overrides - Claims to change
+   * @returns {Object} Claims
+   */
+  const validClaims = (overrides = {}) => ({
+    sub: 'user-1',
+    iss: ISSUER,
+    aud: AUDIENCE,
+    exp: Math.floor(Date.now() / 1000) + 600,
+    scope: 'mcp metrics',
+    ...overrides
+  });
+
+  beforeAll(() => {
+    configureLogging({ level: 'error' });
+
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpress-mcp-auth-'));
+
+    const keyPair = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    privateKey = keyPair.privateKey;
+    fs.writeFileSync(path.join(directory, 'jwks.json'), JSON.stringify({
+      keys: [{ ...keyPair.publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'ES256', use: 'sig' }]
+    }));
+
+    authenticator = new Authenticator({
+      configPath: writeConfig({
+        auth: {
+          apiKeys: [
+            { id: 'ops', hash: hashApiKey('ops-key'), scopes: ['mcp', 'metrics'] },
+            { id: 'dashboard', hash: hashApiKey('dashboard-key'), scopes: ['mcp'], accounts: ['account-1'] }
+          ],
+          oauth: { jwks: './jwks.json', issuer: ISSUER, audience: AUDIENCE }
+        }
+      })
+    });
+  });
+
+  afterAll(() => {
+    authenticator.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('API keys', () => {
+    test('accepts a key whose hash is configured', () => {
+      const principal = authenticator.authenticate('Bearer ops-key');
+
+      expect(principal).toEqual({ id: 'key:ops', type: 'api_key', scopes: ['mcp', 'metrics'], accounts: null });
+    });
+
+    test('rejects an unknown key', () => {
+      const error = catchError(() => authenticator.authenticate('Bearer wrong-key'));
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ status: 401, code: 'invalid_token' });
+    });
+
+    test('rejects a request without a bearer token', () => {
+      expect(catchError(() => authenticator.authenticate(undefined))).toMatchObject({ status: 401, code: undefined });
+      expect(catchError(() => authenticator.authenticate('Basic b3BzOmtleQ=='))).toMatchObject({ status: 401, code: 'invalid_request' });
+    });
+
+    test('refuses a key without the required scope', () => {
+      const req = { headers: { authorization: 'Bearer dashboard-key' } };
+      const error = catchError(() => authenticator.authenticateRequest(req, 'metrics'));
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ status: 403, code: 'insufficient_scope', scope: 'metrics' });
+    });
+
+    test('limits a key tied to accounts to those accounts', () => {
+      const req = { headers: { authorization: 'Bearer dashboard-key' } };
+
+      expect(authenticator.authenticateRequest(req, 'mcp', { checkAccount: true, accountKey: 'account-1' }).id).toBe('key:dashboard');
+      expect(catchError(() => authenticator.authenticateRequest(req, 'mcp', { checkAccount: true, accountKey: 'account-2' })))
+        .toMatchObject({ status: 403, code: 'insufficient_scope' });
+      expect(catchError(() => authenticator.authenticateRequest(req, 'mcp', { checkAccount: true })))
+        .toMatchObject({ status: 403, code: 'insufficient_scope' });
+    });
+  });
+
+  describe('JWT access tokens', () => {
+    test('accepts a token signed with a JWKS key for the configured issuer and audience', () => {
+      const principal = authenticator.authenticate(`Bearer ${signJwt(privateKey, validClaims({ account_keys: 'account-1' }))}`);
+
+      expect(principal).toEqual({ id: 'oauth:user-1', type: 'oauth', scopes: ['mcp', 'metrics'], accounts: ['account-1'] });
+    });
+
+    test.each([
+      ['an expired token', { exp: Math.floor(Date.now() / 1000) - 3600 }, 'Token has expired'],
+      ['a token without expiry', { exp: undefined }, 'Token has no expiry'],
+      ['a token that is not valid yet', { nbf: Math.floor(Date.now() / 1000) + 3600 }, 'Token is not valid yet'],
+      ['a token for another audience', { aud: 'https://other.example.com' }, 'Token was not issued for this server'],
+      ['a token from another issuer', { iss: 'https://evil.example.com' }, 'Token was not issued by the configured issuer'],
+      ['a token without a subject', { sub: undefined }, 'Token has no subject'],
+      ['a token with a non-string subject', { sub: 42 }, 'Token has no subject']
+    ])('rejects %s', (name, overrides, message) => {
+      const error = catchError(() => authenticator.authenticate(`Bearer ${signJwt(privateKey, validClaims(overrides))}`));
+
+      expect(error).toBeInstanceOf(AuthError);
+      expect(error).toMatchObject({ status: 401, code: 'invalid_token', message });
+    });
+
+    test('rejects a token whose claims were changed after signing', () => {
+      const [header, , signature] = signJwt(privateKey, validClaims()).split('.');
+      const forged = `${header}.${encodeSegment(validClaims({ scope: 'mcp accounts:write metrics' }))}.${signature}`;
+
+      expect(catchError(() => authenticator.authenticate(`Bearer ${forged}`)))
+        .toMatchObject({ status: 401, code: 'invalid_token', message: 'Token signature is invalid' });
+    });
+
+    test('rejects a malformed signature without a server error', () => {
+      const [header, claims] = signJwt(privateKey, validClaims()).split('.');
+
+      for (const signature of ['AAAA', crypto.randomBytes(72).toString('base64url')]) {
+        const error = catchError(() => authenticator.authenticate(`Bearer ${header}.${claims}.${signature}`));
+
+        expect(error).toBeInstanceOf(AuthError);
+        expect(error).toMatchObject({ status: 401, code: 'invalid_token' });
+      }
+    });
+
+    test('reports a signature check that throws as an invalid token', () => {
+      // e.g. OpenSSL refusing the key and padding combination
+      const verify = jest.spyOn(crypto, 'verify').mockImplementation(() => {
+        throw Object.assign(new Error('digest not allowed'), { code: 'ERR_OSSL_DIGEST_NOT_ALLOWED' });
+      });
+
+      try {
+        const error = catchError(() => authenticator.authenticate(`Bearer ${signJwt(privateKey, validClaims())}`));
+
+        expect(error).toBeInstanceOf(AuthError);
+        expect(error).toMatchObject({ status: 401, code: 'invalid_token' });
+      } finally {
+        verify.mockRestore();
+      }
+    });
+
+    test('rejects a token signed with an unknown key or algorithm', () => {
+      const otherKey = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+
+      expect(catchError(() => authenticator.authenticate(`Bearer ${signJwt(otherKey, validClaims())}`)))
+        .toMatchObject({ code: 'invalid_token', message: 'Token signature is invalid' });
+      expect(catchError(() => authenticator.authenticate(`Bearer ${signJwt(privateKey, validClaims(), { kid: 'key-2' })}`)))
+        .toMatchObject({ code: 'invalid_token', message: 'Token is not signed with a known key' });
+      expect(catchError(() => authenticator.authenticate(`Bearer ${signJwt(privateKey, validClaims(), { alg: 'HS256' })}`)))
+        .toMatchObject({ code: 'invalid_token', message: 'Unsupported token algorithm: HS256' });
+      expect(catchError(() => authenticator.authenticate(`Bearer ${signJwt(privateKey, validClaims(), { alg: 'constructor' })}`)))
+        .toBeInstanceOf(AuthError);
+    });
+
+    test('rejects a token that is not JSON', () => {
+      expect(catchError(() => authenticator.authenticate('Bearer bm90.anNvbg.AAAA')))
+        .toMatchObject({ status: 401, code: 'invalid_token', message: 'Malformed token' });
+    });
+  });
+
+  describe('configuration', () => {
+    test('refuses to start without API keys or an OAuth issuer', () => {
+      expect(() => new Authenticator({ configPath: writeConfig({ sites: [] }) })).toThrow(/No API keys or OAuth issuer configured/);
+      expect(() => new Authenticator({ configPath: writeConfig({ auth: { apiKeys: [] } }) })).toThrow(/No API keys or OAuth issuer configured/);
+    });
+
+    test('serves requests without authentication only when disabled explicitly', () => {
+      const req = { headers: {} };
+
+      const fromConfig = new Authenticator({ configPath: writeConfig({ auth: { disabled: true } }) });
+      const fromFlag = new Authenticator({ configPath: writeConfig({ sites: [] }), disabled: true });
+
+      try {
+        expect(fromConfig.enabled).toBe(false);
+        expect(fromConfig.authenticateRequest(req, 'mcp')).toBeNull();
+        expect(fromFlag.enabled).toBe(false);
+        expect(fromFlag.authenticateRequest(req, 'mcp')).toBeNull();
+      } finally {
+        fromConfig.close();
+        fromFlag.close();
+      }
+    });
+
+    test('keeps the current keys when a reload would leave the endpoints open', () => {
+      const reloaded = new Authenticator({
+        configPath: writeConfig({ auth: { apiKeys: [{ id: 'ops', hash: hashApiKey('ops-key'), scopes: ['mcp'] }] } })
+      });
+
+      try {
+        expect(() => reloaded.configure({})).toThrow(/No API keys or OAuth issuer configured/);
+        expect(() => reloaded.configure(undefined)).toThrow(/No API keys or OAuth issuer configured/);
+        expect(reloaded.enabled).toBe(true);
+        expect(catchError(() => reloaded.authenticateRequest({ headers: {} }, 'mcp'))).toMatchObject({ status: 401 });
+        expect(reloaded.authenticate('Bearer ops-key').id).toBe('key:ops');
+      } finally {
+        reloaded.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,291 @@
+/**
+ * Response Cache
+ *
+ * This module caches the responses of GET requests made by the WordPress and WooCommerce
+ * clients, so repeated reads of the same post or product list within a session do not hit
+ * the site again.
+ *
+ * - Entries expire after a TTL, which can be set per endpoint with `*` patterns
+ *   (e.g. `wc/v3/products*`); a TTL of 0 disables caching for the endpoint.
+ * - Expired entries with an `ETag` are revalidated with `If-None-Match`, and a
+ *   `304 Not Modified` response renews them without transferring the body again.
+ * - A request that modifies a resource invalidates the cached responses of that resource and
+ *   of its collection (e.g. a PUT to `wp/v2/posts/42` invalidates `wp/v2/posts/42` and the
+ *   `wp/v2/posts` lists).
+ * - The cache can be persisted to a JSON file, so it survives restarts.
+ *
+ * The cache is shared by all clients and sessions of the process; keys include the credentials,
+ * so sites and users never see each other's responses. It is configured once at startup from
+ * the `cache` section of the configuration file, and again whenever the file changes.
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../logging/index.js';
+import { matchesToolPattern } from '../access/index.js';
+import { readConfigFile, watchConfig } from '../config/index.js';
+import { recordCacheLookup } from '../metrics/index.js';
+
+// Default cache settings
+export const CACHE_DEFAULTS = {
+  enabled: true,
+  ttl: 30,
+  maxEntries: 500
+};
+
+// Default configuration file, next to the server
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config.json');
+
+// Delay before writing the cache file after a change, in milliseconds
+const SAVE_DELAY = 1000;
+
+// Active cache settings
+let settings = { ...CACHE_DEFAULTS, ttls: {} };
+
+// Cached responses keyed by credentials and URL, least recently used first
+const entries = new Map();
+
+// Pending write of the cache file
+let saveTimer = null;
+
+/**
+ * Get the resource of a URL (the URL without its query string)
+ *
+ * @param {string} url - Request URL
+ * @returns {string} Resource
+ */
+export function getResource(url) {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname.replace(/\/$/, '')}`;
+}
+
+/**
+ * Get the TTL of a resource
+ *
+ * @param {string} resource - Resource
+ * @returns {number} TTL in seconds
+ */
+function getTtl(resource) {
+  const endpoint = new URL(resource).pathname.replace(/^.*?\/wp-json\//, '');
+  const match = Object.entries(settings.ttls || {}).find(([pattern]) => matchesToolPattern(endpoint, pattern));
+
+  return match ? match[1] : settings.ttl;
+}
+
+/**
+ * Write the cache file after a short delay
+ */
+function scheduleSave() {
+  if (!settings.file || saveTimer) {
+    return;
+  }
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+
+    try {
+      fs.ensureDirSync(path.dirname(settings.file));
+      fs.writeJsonSync(settings.file, [...entries.values()]);
+    } catch (error) {
+      logger.error(`[Cache] Error saving ${settings.file}:`, error);
+    }
+  }, SAVE_DELAY);
+  saveTimer.unref();
+}
+
+/**
+ * Load the cache file
+ *
+ * @param {string} file - Path of the cache file
+ */
+function loadFile(file) {
+  try {
+    if (!fs.existsSync(file)) {
+      return;
+    }
+
+    const now = Date.now();
+    for (const entry of fs.readJsonSync(file)) {
+      // Expired entries are only worth keeping if they can be revalidated
+      if (entry.expiresAt > now || entry.etag) {
+        entries.set(entry.key, entry);
+      }
+    }
+
+    logger.info(`[Cache] Loaded ${entries.size} cached responses from ${file}`);
+  } catch (error) {
+    logger.error(`[Cache] Error loading ${file}:`, error);
+  }
+}
+
+/**
+ * Configure the response cache
+ *
+ * @param {Object} options - Cache settings
+ * @param {boolean} options.enabled - Whether to cache responses (default: true)
+ * @param {number} options.ttl - Default TTL in seconds (default: 30)
+ * @param {Object} options.ttls - TTLs in seconds by endpoint pattern (e.g. { "wc/v3/products*": 300 })
+ * @param {number} options.maxEntries - Maximum number of cached responses (default: 500)
+ * @param {string} options.file - Path of the file the cache is persisted to
+ */
+export function configureCache(options = {}) {
+  const previousFile = settings.file;
+  settings = { ...CACHE_DEFAULTS, ttls: {}, ...options };
+
+  if (!settings.enabled) {
+    entries.clear();
+    return;
+  }
+
+  if (settings.file && settings.file !== previousFile) {
+    loadFile(settings.file);
+  }
+}
+
+/**
+ * Configure the response cache from the configuration file and follow its changes
+ *
+ * A relative `cache.file` is resolved against the directory of the configuration file.
+ *
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Function} Function that stops following changes to the file
+ */
+export function watchCacheConfig(configPath = DEFAULT_CONFIG_PATH) {
+  const apply = (config) => {
+    const { file, ...options } = config.cache || {};
+
+    configureCache({
+      ...options,
+      file: file ? path.resolve(path.dirname(configPath), file) : undefined
+    });
+  };
+
+  try {
+    apply(fs.existsSync(configPath) ? readConfigFile(configPath) : {});
+  } catch (error) {
+    logger.error('[Cache] Error reading the cache settings, using the defaults:', error.message);
+    apply({});
+  }
+
+  return watchConfig(configPath, apply);
+}
+
+/**
+ * Get the cache key of a request
+ *
+ * @param {string} identity - Credentials used for the request (e.g. the username)
+ * @param {string} url - Request URL, with the query string
+ * @returns {string} Cache key
+ */
+export function getCacheKey(identity, url) {
+  return `${identity || ''} ${url}`;
+}
+
+/**
+ * Look up a cached response
+ *
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry ({ data, headers, etag, fresh }), or null if the response is not cached
+ */
+export function getCachedResponse(key) {
+  const entry = settings.enabled ? entries.get(key) : undefined;
+
+  if (!entry) {
+    recordCacheLookup('miss');
+    return null;
+  }
+
+  // Mark the entry as recently used
+  entries.delete(key);
+  entries.set(key, entry);
+
+  const fresh = entry.expiresAt > Date.now();
+  recordCacheLookup(fresh ? 'hit' : 'stale');
+
+  return {
+    data: structuredClone(entry.data),
+    headers: entry.headers,
+    etag: entry.etag,
+    fresh
+  };
+}
+
+/**
+ * Cache a response
+ *
+ * @param {string} key - Cache key
+ * @param {Object} response - Response details
+ * @param {string} response.url - Request URL
+ * @param {*} response.data - Parsed response body
+ * @param {Object} response.headers - Response headers worth keeping (e.g. X-WP-Total)
+ * @param {string} response.etag - ETag of the response
+ */
+export function setCachedResponse(key, { url, data, headers = {}, etag }) {
+  if (!settings.enabled) {
+    return;
+  }
+
+  const resource = getResource(url);
+  const ttl = getTtl(resource);
+
+  if (!(ttl > 0)) {
+    return;
+  }
+
+  entries.delete(key);
+  entries.set(key, {
+    key,
+    resource,
+    data: structuredClone(data),
+    headers,
+    etag: etag || null,
+    expiresAt: Date.now() + ttl * 1000
+  });
+
+  // Evict the least recently used entries
+  for (const oldestKey of entries.keys()) {
+    if (entries.size <= settings.maxEntries) {
+      break;
+    }
+    entries.delete(oldestKey);
+  }
+
+  scheduleSave();
+}
+
+/**
+ * Renew a cached response after a 304 Not Modified
+ *
+ * @param {string} key - Cache key
+ */
+export function renewCachedResponse(key) {
+  const entry = entries.get(key);
+
+  if (entry) {
+    entry.expiresAt = Date.now() + getTtl(entry.resource) * 1000;
+    scheduleSave();
+  }
+}
+
+/**
+ * Invalidate the cached responses of a resource modified by a request
+ *
+ * @param {string} url - URL of the request that modified the resource
+ */
+export function invalidateResource(url) {
+  const resource = getResource(url);
+  const collection = resource.replace(/\/\d+$/, '');
+  let invalidated = 0;
+
+  for (const [key, entry] of entries) {
+    if (entry.resource === collection || entry.resource === resource || entry.resource.startsWith(`${resource}/`)) {
+      entries.delete(key);
+      invalidated++;
+    }
+  }
+
+  if (invalidated > 0) {
+    logger.debug(`[Cache] Invalidated ${invalidated} cached responses of ${resource}`);
+    scheduleSave();
+  }
+}
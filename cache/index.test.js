@@ -0,0 +1,236 @@
+/**
+ * Tests for the Response Cache
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { configureLogging } from '../logging/index.js';
+import {
+  configureCache,
+  getCachedResponse,
+  getCacheKey,
+  getResource,
+  invalidateResource,
+  renewCachedResponse,
+  setCachedResponse,
+  watchCacheConfig
+} from './index.js';
+
+const SITE = 'https://shop.example.com/wp-json';
+
+let directory;
+
+beforeAll(() => {
+  configureLogging({ level: 'error' });
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpress-mcp-cache-'));
+});
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+  // Start each test with an empty cache
+  configureCache({ enabled: false });
+  configureCache();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+afterAll(() => {
+  configureCache();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Cache a response for a URL
+ *
+ * @param {string} url - Request URL
+ * @param {*} data - Response body
+ * @param {Object} extra - Extra response details (e.g. { etag })
+ * @returns {string} Cache key
+ */
+function cache(url, data = { url }, extra = {}) {
+  const key = getCacheKey('user', url);
+  setCachedResponse(key, { url, data, ...extra });
+  return key;
+}
+
+describe('getResource', () => {
+  test('drops the query string and a trailing slash', () => {
+    expect(getResource(`${SITE}/wp/v2/posts/?page=2&per_page=10`)).toBe(`${SITE}/wp/v2/posts`);
+  });
+});
+
+describe('getCacheKey', () => {
+  test('separates the responses of different credentials', () => {
+    expect(getCacheKey('alice', `${SITE}/wp/v2/posts`)).not.toBe(getCacheKey('bob', `${SITE}/wp/v2/posts`));
+  });
+});
+
+describe('cached responses', () => {
+  test('serves a copy of the response until the TTL expires', () => {
+    const key = cache(`${SITE}/wp/v2/posts/7`, { id: 7, title: 'Hello' }, { headers: { 'X-WP-Total': '1' } });
+
+    const cached = getCachedResponse(key);
+    expect(cached).toEqual({ data: { id: 7, title: 'Hello' }, headers: { 'X-WP-Total': '1' }, etag: null, fresh: true });
+
+    // Callers may change the data they get without changing the cache
+    cached.data.title = 'Changed';
+    expect(getCachedResponse(key).data.title).toBe('Hello');
+
+    jest.advanceTimersByTime(30000);
+    expect(getCachedResponse(key)).toMatchObject({ fresh: false });
+  });
+
+  test('misses responses that were never cached', () => {
+    expect(getCachedResponse(getCacheKey('user', `${SITE}/wp/v2/posts/8`))).toBeNull();
+  });
+
+  test('applies the TTL of the first matching endpoint pattern', () => {
+    configureCache({ ttl: 10, ttls: { 'wc/v3/products*': 300, 'wc/v3/orders*': 0 } });
+
+    const product = cache(`${SITE}/wc/v3/products/1`);
+    const post = cache(`${SITE}/wp/v2/posts/1`);
+    const order = cache(`${SITE}/wc/v3/orders/1`);
+
+    expect(getCachedResponse(order)).toBeNull();
+
+    jest.advanceTimersByTime(10000);
+    expect(getCachedResponse(post).fresh).toBe(false);
+    expect(getCachedResponse(product).fresh).toBe(true);
+
+    jest.advanceTimersByTime(290000);
+    expect(getCachedResponse(product).fresh).toBe(false);
+  });
+
+  test('renews a response revalidated with its ETag', () => {
+    const key = cache(`${SITE}/wp/v2/posts/7`, { id: 7 }, { etag: '"v1"' });
+
+    jest.advanceTimersByTime(30000);
+    expect(getCachedResponse(key)).toMatchObject({ etag: '"v1"', fresh: false });
+
+    renewCachedResponse(key);
+    expect(getCachedResponse(key)).toMatchObject({ data: { id: 7 }, fresh: true });
+  });
+
+  test('evicts the least recently used responses over maxEntries', () => {
+    configureCache({ maxEntries: 2 });
+
+    const first = cache(`${SITE}/wp/v2/posts/1`);
+    const second = cache(`${SITE}/wp/v2/posts/2`);
+    getCachedResponse(first);
+    const third = cache(`${SITE}/wp/v2/posts/3`);
+
+    expect(getCachedResponse(first)).not.toBeNull();
+    expect(getCachedResponse(second)).toBeNull();
+    expect(getCachedResponse(third)).not.toBeNull();
+  });
+
+  test('caches nothing when disabled', () => {
+    const key = cache(`${SITE}/wp/v2/posts/7`);
+
+    configureCache({ enabled: false });
+    expect(getCachedResponse(key)).toBeNull();
+    expect(getCachedResponse(cache(`${SITE}/wp/v2/posts/8`))).toBeNull();
+
+    // Re-enabling the cache does not bring back the dropped responses
+    configureCache({ enabled: true });
+    expect(getCachedResponse(key)).toBeNull();
+  });
+});
+
+describe('invalidateResource', () => {
+  test('drops the changed object, its sub-resources and its collection', () => {
+    const object = cache(`${SITE}/wc/v3/products/7`);
+    const variations = cache(`${SITE}/wc/v3/products/7/variations`);
+    const list = cache(`${SITE}/wc/v3/products?page=2`);
+    const other = cache(`${SITE}/wc/v3/products/8`);
+    const orders = cache(`${SITE}/wc/v3/orders`);
+
+    invalidateResource(`${SITE}/wc/v3/products/7?force=true`);
+
+    expect(getCachedResponse(object)).toBeNull();
+    expect(getCachedResponse(variations)).toBeNull();
+    expect(getCachedResponse(list)).toBeNull();
+    expect(getCachedResponse(other)).not.toBeNull();
+    expect(getCachedResponse(orders)).not.toBeNull();
+  });
+
+  test('drops the lists of a collection a new object was added to', () => {
+    const list = cache(`${SITE}/wp/v2/posts?status=draft`);
+    const object = cache(`${SITE}/wp/v2/posts/7`);
+
+    invalidateResource(`${SITE}/wp/v2/posts`);
+
+    expect(getCachedResponse(list)).toBeNull();
+    expect(getCachedResponse(object)).toBeNull();
+  });
+});
+
+describe('persistence', () => {
+  test('writes the cache file and loads it after a restart', () => {
+    const file = path.join(directory, 'persisted', 'cache.json');
+    configureCache({ file });
+
+    const key = cache(`${SITE}/wp/v2/posts/7`, { id: 7 });
+    cache(`${SITE}/wp/v2/posts/8`, { id: 8 });
+    expect(fs.existsSync(file)).toBe(false);
+
+    jest.advanceTimersByTime(1000);
+    expect(fs.readFileSync(file, 'utf8')).toContain('"id":7');
+
+    // Simulate a restart: an empty cache reading the file again
+    configureCache({ enabled: false });
+    configureCache({ file });
+    expect(getCachedResponse(key)).toMatchObject({ data: { id: 7 }, fresh: true });
+  });
+
+  test('loads only the expired entries that can be revalidated', () => {
+    const file = path.join(directory, 'expired', 'cache.json');
+    configureCache({ file });
+
+    const revalidated = cache(`${SITE}/wp/v2/posts/7`, { id: 7 }, { etag: '"v1"' });
+    const expired = cache(`${SITE}/wp/v2/posts/8`, { id: 8 });
+    jest.advanceTimersByTime(60000);
+
+    configureCache({ enabled: false });
+    configureCache({ file });
+    expect(getCachedResponse(revalidated)).toMatchObject({ fresh: false, etag: '"v1"' });
+    expect(getCachedResponse(expired)).toBeNull();
+  });
+});
+
+describe('watchCacheConfig', () => {
+  test('applies the cache section of the configuration file', () => {
+    const configPath = path.join(directory, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ sites: [], cache: { ttl: 5, file: './responses.json' } }));
+
+    const unwatch = watchCacheConfig(configPath);
+    try {
+      const key = cache(`${SITE}/wp/v2/posts/7`);
+      jest.advanceTimersByTime(5000);
+
+      expect(getCachedResponse(key).fresh).toBe(false);
+      expect(fs.existsSync(path.join(directory, 'responses.json'))).toBe(true);
+    } finally {
+      unwatch();
+    }
+  });
+
+  test('uses the defaults when the configuration file is invalid', () => {
+    const configPath = path.join(directory, 'invalid.json');
+    fs.writeFileSync(configPath, '{ "cache": ');
+
+    const unwatch = watchCacheConfig(configPath);
+    try {
+      const key = cache(`${SITE}/wp/v2/posts/7`);
+      jest.advanceTimersByTime(29000);
+
+      expect(getCachedResponse(key).fresh).toBe(true);
+    } finally {
+      unwatch();
+    }
+  });
+});
@@ -0,0 +1,299 @@
+/**
+ * Configuration Module
+ *
+ * This module validates the configuration file and watches it for changes, so that edits
+ * made outside the process (or by another session's site storage) are picked up without a
+ * restart. A changed file is only passed to subscribers once it parses and validates;
+ * otherwise the current configuration stays in use.
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { logger } from '../logging/index.js';
+
+// Interval at which the configuration file is polled for changes (milliseconds)
+const WATCH_INTERVAL = 1000;
+
+// Watchers by configuration file path, shared by all subscribers
+const watchers = new Map();
+
+/**
+ * Check that a tool access rule is well formed
+ *
+ * @param {*} rule - Access rule ({ allow, deny })
+ * @param {string} label - Location of the rule, for error messages
+ * @param {Array<string>} errors - Error messages to append to
+ */
+function checkToolRule(rule, label, errors) {
+  if (rule === undefined) {
+    return;
+  }
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push(`${label} must be an object`);
+    return;
+  }
+  for (const key of ['allow', 'deny']) {
+    if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some(item => typeof item !== 'string'))) {
+      errors.push(`${label}.${key} must be an array of tool names`);
+    }
+  }
+}
+
+/**
+ * Check that the `auth` section is well formed
+ *
+ * @param {*} auth - Authentication settings ({ apiKeys, oauth, disabled })
+ * @param {Array<string>} errors - Error messages to append to
+ */
+function checkAuth(auth, errors) {
+  if (auth === undefined) {
+    return;
+  }
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    errors.push('auth must be an object');
+    return;
+  }
+
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (auth.disabled !== undefined && typeof auth.disabled !== 'boolean') {
+    errors.push('auth.disabled must be a boolean');
+  }
+  if (auth.apiKeys !== undefined && !Array.isArray(auth.apiKeys)) {
+    errors.push('auth.apiKeys must be an array');
+  }
+
+  const ids = new Set();
+  (Array.isArray(auth.apiKeys) ? auth.apiKeys : []).forEach((apiKey, index) => {
+    const label = `auth.apiKeys[${index}]`;
+
+    if (!apiKey || typeof apiKey !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof apiKey.id !== 'string' || !apiKey.id) {
+      errors.push(`${label} is missing required field: id`);
+    } else if (ids.has(apiKey.id)) {
+      errors.push(`${label} has a duplicate id: ${apiKey.id}`);
+    }
+    ids.add(apiKey.id);
+
+    if (typeof apiKey.hash !== 'string' || !/^sha256:[0-9a-f]{64}$/i.test(apiKey.hash)) {
+      errors.push(`${label}.hash must be a SHA-256 hash (sha256:<64 hex digits>)`);
+    }
+    if (!isStringArray(apiKey.scopes)) {
+      errors.push(`${label}.scopes must be an array of scopes`);
+    }
+    if (apiKey.accounts !== undefined && !isStringArray(apiKey.accounts)) {
+      errors.push(`${label}.accounts must be an array of account keys`);
+    }
+  });
+
+  if (auth.oauth !== undefined) {
+    if (!auth.oauth || typeof auth.oauth !== 'object' || Array.isArray(auth.oauth)) {
+      errors.push('auth.oauth must be an object');
+      return;
+    }
+    for (const field of ['jwks', 'issuer', 'audience']) {
+      if (typeof auth.oauth[field] !== 'string' || !auth.oauth[field]) {
+        errors.push(`auth.oauth is missing required field: ${field}`);
+      }
+    }
+    if (auth.oauth.accountsClaim !== undefined && typeof auth.oauth.accountsClaim !== 'string') {
+      errors.push('auth.oauth.accountsClaim must be a string');
+    }
+  }
+}
+
+/**
+ * Check that the `http` section is well formed
+ *
+ * @param {*} http - HTTP settings ({ allowedHosts, allowedOrigins })
+ * @param {Array<string>} errors - Error messages to append to
+ */
+function checkHttp(http, errors) {
+  if (http === undefined) {
+    return;
+  }
+  if (!http || typeof http !== 'object' || Array.isArray(http)) {
+    errors.push('http must be an object');
+    return;
+  }
+
+  if (http.allowedHosts !== undefined && (!Array.isArray(http.allowedHosts) || http.allowedHosts.some(host => typeof host !== 'string' || !host))) {
+    errors.push('http.allowedHosts must be an array of host names');
+  }
+
+  if (http.allowedOrigins !== undefined) {
+    const isOrigin = (origin) => {
+      try {
+        return origin === '*' || ['http:', 'https:'].includes(new URL(origin).protocol);
+      } catch {
+        return false;
+      }
+    };
+
+    if (!Array.isArray(http.allowedOrigins) || !http.allowedOrigins.every(isOrigin)) {
+      errors.push('http.allowedOrigins must be an array of origins (e.g. https://example.com) or *');
+    }
+  }
+}
+
+/**
+ * Validate a configuration object
+ *
+ * @param {Object} config - Configuration
+ * @returns {Array<string>} Error messages (empty if the configuration is valid)
+ */
+export function validateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['configuration must be a JSON object'];
+  }
+
+  if (config.sites !== undefined && !Array.isArray(config.sites)) {
+    errors.push('sites must be an array');
+  }
+
+  const ids = new Set();
+  (Array.isArray(config.sites) ? config.sites : []).forEach((site, index) => {
+    const label = `sites[${index}]`;
+
+    if (!site || typeof site !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    for (const field of ['id', 'name', 'url']) {
+      if (typeof site[field] !== 'string' || !site[field]) {
+        errors.push(`${label} is missing required field: ${field}`);
+      }
+    }
+    if (ids.has(site.id)) {
+      errors.push(`${label} has a duplicate id: ${site.id}`);
+    }
+    ids.add(site.id);
+
+    checkToolRule(site.tools, `${label}.tools`, errors);
+
+    if (site.groups !== undefined && (!Array.isArray(site.groups) || site.groups.some(group => typeof group !== 'string'))) {
+      errors.push(`${label}.groups must be an array of group names`);
+    }
+  });
+
+  if (config.activeSiteId && !ids.has(config.activeSiteId)) {
+    errors.push(`activeSiteId refers to an unknown site: ${config.activeSiteId}`);
+  }
+
+  checkToolRule(config.tools, 'tools', errors);
+
+  if (config.accounts !== undefined) {
+    if (!config.accounts || typeof config.accounts !== 'object' || Array.isArray(config.accounts)) {
+      errors.push('accounts must be an object');
+    } else {
+      for (const [key, account] of Object.entries(config.accounts)) {
+        checkToolRule(account?.tools, `accounts.${key}.tools`, errors);
+      }
+    }
+  }
+
+  checkAuth(config.auth, errors);
+  checkHttp(config.http, errors);
+
+  return errors;
+}
+
+/**
+ * Read and validate the configuration file
+ *
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Object} Configuration
+ * @throws {Error} If the file cannot be read or parsed, or the configuration is invalid
+ */
+export function readConfigFile(configPath) {
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const errors = validateConfig(config);
+
+  if (errors.length > 0) {
+    throw new Error(`[Config] Invalid configuration in ${configPath}: ${errors.join('; ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Reload the configuration file and notify the subscribers of a watcher
+ *
+ * @param {Object} watcher - Watcher state
+ */
+function reloadConfig(watcher) {
+  let content;
+  let config;
+
+  try {
+    content = fs.readFileSync(watcher.configPath, 'utf8');
+    if (content === watcher.content) {
+      return;
+    }
+    config = readConfigFile(watcher.configPath);
+  } catch (error) {
+    logger.error(`[Config] Keeping the current configuration, reload of ${watcher.configPath} failed:`, error);
+    return;
+  }
+
+  watcher.content = content;
+  logger.info(`[Config] Reloaded configuration from ${watcher.configPath}`);
+
+  for (const listener of watcher.listeners) {
+    try {
+      listener(structuredClone(config));
+    } catch (error) {
+      logger.error('[Config] Error applying reloaded configuration:', error);
+    }
+  }
+}
+
+/**
+ * Watch the configuration file for changes
+ *
+ * Each subscriber receives its own copy of every valid configuration the file changes to.
+ * The watcher does not keep the process alive.
+ *
+ * @param {string} configPath - Path to the configuration file
+ * @param {Function} listener - Function called with the new configuration
+ * @returns {Function} Function that stops watching for this listener
+ */
+export function watchConfig(configPath, listener) {
+  const resolvedPath = path.resolve(configPath);
+  let watcher = watchers.get(resolvedPath);
+
+  if (!watcher) {
+    watcher = {
+      configPath: resolvedPath,
+      content: fs.existsSync(resolvedPath) ? fs.readFileSync(resolvedPath, 'utf8') : null,
+      listeners: new Set()
+    };
+
+    const onChange = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs || current.size !== previous.size) {
+        reloadConfig(watcher);
+      }
+    };
+
+    fs.watchFile(resolvedPath, { interval: WATCH_INTERVAL, persistent: false }, onChange);
+    watcher.stop = () => fs.unwatchFile(resolvedPath, onChange);
+    watchers.set(resolvedPath, watcher);
+
+    logger.debug(`[Config] Watching ${resolvedPath} for changes`);
+  }
+
+  watcher.listeners.add(listener);
+
+  return () => {
+    watcher.listeners.delete(listener);
+
+    if (watcher.listeners.size === 0) {
+      watcher.stop();
+      watchers.delete(resolvedPath);
+    }
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Tests for the Configuration Module
+ */
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { afterAll, afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { configureLogging } from '../logging/index.js';
+import { readConfigFile, validateConfig, watchConfig } from './index.js';
+
+const HASH = `sha256:${'a'.repeat(64)}`;
+
+let directory;
+
+beforeAll(() => {
+  configureLogging({ level: 'error' });
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpress-mcp-config-'));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('validateConfig', () => {
+  const site = { id: 'blog', name: 'Blog', url: 'https://blog.example.com' };
+
+  test('accepts a complete configuration', () => {
+    expect(validateConfig({
+      sites: [{ ...site, tools: { deny: ['delete_post'] }, groups: ['editorial'] }],
+      activeSiteId: 'blog',
+      tools: { allow: ['list_*'] },
+      accounts: { 'account-1': { tools: { deny: ['update_*'] } } },
+      auth: {
+        apiKeys: [{ id: 'ops', hash: HASH, scopes: ['mcp'], accounts: ['account-1'] }],
+        oauth: { jwks: './jwks.json', issuer: 'https://auth.example.com', audience: 'https://mcp.example.com' }
+      },
+      http: { allowedHosts: ['mcp.example.com'], allowedOrigins: ['https://dashboard.example.com', '*'] }
+    })).toEqual([]);
+    expect(validateConfig({})).toEqual([]);
+  });
+
+  test('rejects a configuration that is not an object', () => {
+    for (const config of [null, [], 'config']) {
+      expect(validateConfig(config)).toEqual(['configuration must be a JSON object']);
+    }
+  });
+
+  test('reports sites without the required fields, duplicate ids and an unknown active site', () => {
+    expect(validateConfig({
+      sites: [site, { id: 'blog', name: 'Copy', url: 'https://copy.example.com' }, { name: 'No id' }, null],
+      activeSiteId: 'shop'
+    })).toEqual([
+      'sites[1] has a duplicate id: blog',
+      'sites[2] is missing required field: id',
+      'sites[2] is missing required field: url',
+      'sites[3] must be an object',
+      'activeSiteId refers to an unknown site: shop'
+    ]);
+    expect(validateConfig({ sites: {} })).toEqual(['sites must be an array']);
+  });
+
+  test('reports malformed tool rules and groups', () => {
+    expect(validateConfig({
+      sites: [{ ...site, tools: ['list_posts'], groups: 'editorial' }],
+      tools: { allow: 'list_posts', deny: [42] },
+      accounts: { 'account-1': { tools: null } }
+    })).toEqual([
+      'sites[0].tools must be an object',
+      'sites[0].groups must be an array of group names',
+      'tools.allow must be an array of tool names',
+      'tools.deny must be an array of tool names',
+      'accounts.account-1.tools must be an object'
+    ]);
+    expect(validateConfig({ accounts: [] })).toEqual(['accounts must be an object']);
+  });
+
+  test('reports malformed API keys and OAuth settings', () => {
+    expect(validateConfig({
+      auth: {
+        disabled: 'yes',
+        apiKeys: [
+          { id: 'ops', hash: 'plain-key', scopes: ['mcp'] },
+          { id: 'ops', hash: HASH, scopes: 'mcp', accounts: [1] },
+          'key'
+        ],
+        oauth: { jwks: './jwks.json', issuer: '', accountsClaim: 42 }
+      }
+    })).toEqual([
+      'auth.disabled must be a boolean',
+      'auth.apiKeys[0].hash must be a SHA-256 hash (sha256:<64 hex digits>)',
+      'auth.apiKeys[1] has a duplicate id: ops',
+      'auth.apiKeys[1].scopes must be an array of scopes',
+      'auth.apiKeys[1].accounts must be an array of account keys',
+      'auth.apiKeys[2] must be an object',
+      'auth.oauth is missing required field: issuer',
+      'auth.oauth is missing required field: audience',
+      'auth.oauth.accountsClaim must be a string'
+    ]);
+    expect(validateConfig({ auth: [] })).toEqual(['auth must be an object']);
+  });
+
+  test('reports malformed HTTP settings', () => {
+    expect(validateConfig({ http: { allowedHosts: [''], allowedOrigins: ['dashboard.example.com', 'file:///tmp'] } })).toEqual([
+      'http.allowedHosts must be an array of host names',
+      'http.allowedOrigins must be an array of origins (e.g. https://example.com) or *'
+    ]);
+    expect(validateConfig({ http: 'strict' })).toEqual(['http must be an object']);
+  });
+});
+
+describe('readConfigFile', () => {
+  test('reads a valid configuration', () => {
+    const configPath = path.join(directory, 'valid.json');
+    fs.writeFileSync(configPath, JSON.stringify({ sites: [] }));
+
+    expect(readConfigFile(configPath)).toEqual({ sites: [] });
+  });
+
+  test('rejects an invalid configuration with every error', () => {
+    const configPath = path.join(directory, 'invalid.json');
+    fs.writeFileSync(configPath, JSON.stringify({ sites: {}, activeSiteId: 'blog' }));
+
+    expect(() => readConfigFile(configPath)).toThrow(
+      `[Config] Invalid configuration in ${configPath}: sites must be an array; activeSiteId refers to an unknown site: blog`
+    );
+  });
+
+  test('rejects a file that is not JSON', () => {
+    const configPath = path.join(directory, 'broken.json');
+    fs.writeFileSync(configPath, '{ "sites": ');
+
+    expect(() => readConfigFile(configPath)).toThrow(SyntaxError);
+  });
+});
+
+describe('watchConfig', () => {
+  let watchFile;
+  let unwatchFile;
+
+  beforeAll(() => {
+    // Poll on demand instead of waiting for fs.watchFile
+    watchFile = jest.spyOn(fs, 'watchFile').mockImplementation(() => {});
+    unwatchFile = jest.spyOn(fs, 'unwatchFile').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    watchFile.mockClear();
+    unwatchFile.mockClear();
+  });
+
+  afterAll(() => {
+    watchFile.mockRestore();
+    unwatchFile.mockRestore();
+  });
+
+  /**
+   * Write a configuration file
+   *
+   * @param {string} configPath - Path to the configuration file
+   * @param {Object|string} config - Configuration, or raw file content
+   */
+  const writeConfig = (configPath, config) => {
+    fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+  };
+
+  /**
+   * Report a change of the watched file, as fs.watchFile does
+   *
+   * @param {number} index - Index of the fs.watchFile call
+   */
+  const poll = (index = 0) => {
+    const onChange = watchFile.mock.calls[index][2];
+    onChange({ mtimeMs: Date.now() + Math.random(), size: 1 }, { mtimeMs: 0, size: 1 });
+  };
+
+  test('passes each subscriber its own copy of the reloaded configuration', () => {
+    const configPath = path.join(directory, 'watched.json');
+    writeConfig(configPath, { sites: [] });
+
+    const first = jest.fn(config => { config.sites.push('changed'); });
+    const second = jest.fn();
+    const stopFirst = watchConfig(configPath, first);
+    const stopSecond = watchConfig(configPath, second);
+
+    // Both subscribers share one watcher that does not keep the process alive
+    expect(watchFile).toHaveBeenCalledTimes(1);
+    expect(watchFile.mock.calls[0][1]).toMatchObject({ persistent: false });
+
+    const site = { id: 'blog', name: 'Blog', url: 'https://blog.example.com' };
+    writeConfig(configPath, { sites: [site] });
+    poll();
+
+    expect(first).toHaveBeenCalledTimes(1);
+    expect(second).toHaveBeenCalledWith({ sites: [site] });
+
+    stopFirst();
+    stopSecond();
+    expect(unwatchFile).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the current configuration when the file is invalid', () => {
+    const configPath = path.join(directory, 'invalid-reload.json');
+    writeConfig(configPath, { sites: [] });
+
+    const listener = jest.fn();
+    const stop = watchConfig(configPath, listener);
+
+    writeConfig(configPath, '{ "sites": ');
+    poll();
+    writeConfig(configPath, { sites: [], activeSiteId: 'missing' });
+    poll();
+    expect(listener).not.toHaveBeenCalled();
+
+    writeConfig(configPath, { sites: [], tools: { deny: ['delete_post'] } });
+    poll();
+    expect(listener).toHaveBeenCalledWith({ sites: [], tools: { deny: ['delete_post'] } });
+
+    stop();
+  });
+
+  test('ignores changes that leave the content as it was', () => {
+    const configPath = path.join(directory, 'touched.json');
+    writeConfig(configPath, { sites: [] });
+
+    const listener = jest.fn();
+    const stop = watchConfig(configPath, listener);
+
+    writeConfig(configPath, { sites: [] });
+    poll();
+    expect(listener).not.toHaveBeenCalled();
+
+    stop();
+  });
+
+  test('notifies the other subscribers when one fails', () => {
+    const configPath = path.join(directory, 'failing.json');
+    writeConfig(configPath, { sites: [] });
+
+    const failing = jest.fn(() => { throw new Error('cannot apply'); });
+    const listener = jest.fn();
+    const stopFailing = watchConfig(configPath, failing);
+    const stop = watchConfig(configPath, listener);
+
+    writeConfig(configPath, { sites: [], tools: { allow: ['list_*'] } });
+    poll();
+
+    expect(failing).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    stopFailing();
+    stop();
+  });
+
+  test('stops watching once the last subscriber leaves', () => {
+    const configPath = path.join(directory, 'stopped.json');
+    writeConfig(configPath, { sites: [] });
+
+    const stopFirst = watchConfig(configPath, jest.fn());
+    const stopSecond = watchConfig(configPath, jest.fn());
+
+    stopFirst();
+    expect(unwatchFile).not.toHaveBeenCalled();
+
+    stopSecond();
+    expect(unwatchFile).toHaveBeenCalledWith(path.resolve(configPath), watchFile.mock.calls[0][2]);
+
+    // A new subscriber starts a new watcher
+    const stopThird = watchConfig(configPath, jest.fn());
+    expect(watchFile).toHaveBeenCalledTimes(2);
+    stopThird();
+  });
+});
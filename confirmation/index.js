@@ -0,0 +1,156 @@
+/**
+ * Confirmation of Destructive Operations
+ *
+ * Tool calls that permanently destroy data are only run once the user has confirmed them.
+ * The server first previews the call (as a dry run) to summarise the objects that would be
+ * destroyed, then asks for confirmation:
+ *
+ * - with MCP elicitation, when the client supports it: the user accepts or declines the
+ *   deletion in the client
+ * - otherwise with a two-phase confirmation token: the first call returns the summary and a
+ *   single-use token, and the deletion runs when the same call is repeated with
+ *   `confirmation_token` before the token expires
+ */
+import crypto from 'crypto';
+
+// Default lifetime of a confirmation token, in seconds
+const DEFAULT_TOKEN_TTL = 300;
+
+// Input schema property added to every tool that may need confirmation
+export const CONFIRMATION_TOKEN_PROPERTY = {
+  type: 'string',
+  description: 'Confirmation token returned by a previous call, for clients without elicitation support'
+};
+
+// Destructive operations that need confirmation, and when
+const CONFIRMED_OPERATIONS = {
+  delete_post: args => args.force === true,
+  delete_page: args => args.force === true,
+  delete_product: () => true,
+  delete_order: () => true,
+  delete_customer: () => true
+};
+
+/**
+ * Check whether a tool call needs confirmation
+ *
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Validated tool arguments
+ * @returns {boolean} True if the call destroys data
+ */
+export function requiresConfirmation(toolName, args) {
+  const condition = CONFIRMED_OPERATIONS[toolName];
+  return condition ? condition(args) : false;
+}
+
+/**
+ * Get the fingerprint of a tool call, ignoring the confirmation token
+ *
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Validated tool arguments
+ * @returns {string} SHA-256 fingerprint
+ */
+function fingerprint(toolName, args) {
+  const entries = Object.keys(args)
+    .filter(key => key !== 'confirmation_token')
+    .sort()
+    .map(key => [key, args[key]]);
+
+  return crypto.createHash('sha256').update(JSON.stringify([toolName, entries])).digest('hex');
+}
+
+/**
+ * Describe the objects a destructive call would destroy
+ *
+ * @param {string} toolName - Tool name
+ * @param {Array<Object>} requests - Requests recorded by the dry run of the call
+ * @returns {string} Confirmation message
+ */
+export function describeDestruction(toolName, requests) {
+  const deleted = requests.filter(request => request.action === 'delete');
+
+  if (deleted.length === 0) {
+    return `Confirm '${toolName}'? This cannot be undone.`;
+  }
+
+  const lines = deleted.map(request => {
+    const fields = Object.entries(request.current || {})
+      .map(([field, value]) => `${field}: ${value}`)
+      .join(', ');
+    return `- ${request.request.method} ${request.request.url}${fields ? ` (${fields})` : ''}`;
+  });
+
+  return [`Confirm '${toolName}'? This deletes:`, ...lines].join('\n');
+}
+
+/**
+ * Issues and checks single-use confirmation tokens
+ */
+export class ConfirmationTokens {
+  /**
+   * Create a new token store
+   *
+   * @param {Object} options - Token options
+   * @param {number} options.ttl - Token lifetime in seconds (default: 300)
+   */
+  constructor(options = {}) {
+    this.ttl = (options.ttl || DEFAULT_TOKEN_TTL) * 1000;
+    this.tokens = new Map();
+  }
+
+  /**
+   * Remove expired tokens
+   *
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt <= now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+
+  /**
+   * Issue a token for a tool call
+   *
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Validated tool arguments
+   * @param {string} sessionId - MCP session id
+   * @returns {Object} Token ({ token, expires_at })
+   */
+  issue(toolName, args, sessionId) {
+    this._prune();
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = Date.now() + this.ttl;
+    this.tokens.set(token, { fingerprint: fingerprint(toolName, args), sessionId, expiresAt });
+
+    return { token, expires_at: new Date(expiresAt).toISOString() };
+  }
+
+  /**
+   * Redeem the token of a tool call
+   *
+   * A token is valid once, for the session it was issued to and for the exact same call.
+   *
+   * @param {string} token - Confirmation token
+   * @param {string} toolName - Tool name
+   * @param {Object} args - Validated tool arguments
+   * @param {string} sessionId - MCP session id
+   * @returns {boolean} True if the token confirms the call
+   */
+  redeem(token, toolName, args, sessionId) {
+    this._prune();
+
+    const entry = this.tokens.get(token);
+    if (!entry || entry.sessionId !== sessionId || entry.fingerprint !== fingerprint(toolName, args)) {
+      return false;
+    }
+
+    this.tokens.delete(token);
+    return true;
+  }
+}
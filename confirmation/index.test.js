@@ -0,0 +1,86 @@
+/**
+ * Tests for the Confirmation of Destructive Operations
+ */
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import { ConfirmationTokens, requiresConfirmation } from './index.js';
+
+describe('ConfirmationTokens', () => {
+  const args = { site_id: 'shop', id: 42, force: true };
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('redeems a token once, for the call it was issued for', () => {
+    const tokens = new ConfirmationTokens();
+    const { token } = tokens.issue('delete_product', args, 'session-1');
+
+    expect(tokens.redeem(token, 'delete_product', args, 'session-1')).toBe(true);
+    expect(tokens.redeem(token, 'delete_product', args, 'session-1')).toBe(false);
+  });
+
+  test('ignores the order of the arguments and the confirmation token itself', () => {
+    const tokens = new ConfirmationTokens();
+    const { token } = tokens.issue('delete_product', args, 'session-1');
+
+    expect(tokens.redeem(token, 'delete_product', { force: true, id: 42, site_id: 'shop', confirmation_token: token }, 'session-1')).toBe(true);
+  });
+
+  test('refuses a token for another call', () => {
+    const tokens = new ConfirmationTokens();
+    const { token } = tokens.issue('delete_product', args, 'session-1');
+
+    expect(tokens.redeem(token, 'delete_product', { ...args, id: 43 }, 'session-1')).toBe(false);
+    expect(tokens.redeem(token, 'delete_product', { ...args, site_id: 'other-shop' }, 'session-1')).toBe(false);
+    expect(tokens.redeem(token, 'delete_order', args, 'session-1')).toBe(false);
+
+    // A refused attempt does not use up the token
+    expect(tokens.redeem(token, 'delete_product', args, 'session-1')).toBe(true);
+  });
+
+  test('refuses a token issued to another session', () => {
+    const tokens = new ConfirmationTokens();
+    const { token } = tokens.issue('delete_product', args, 'session-1');
+
+    expect(tokens.redeem(token, 'delete_product', args, 'session-2')).toBe(false);
+    expect(tokens.redeem(token, 'delete_product', args, undefined)).toBe(false);
+  });
+
+  test('refuses an unknown token', () => {
+    const tokens = new ConfirmationTokens();
+    tokens.issue('delete_product', args, 'session-1');
+
+    expect(tokens.redeem('not-a-token', 'delete_product', args, 'session-1')).toBe(false);
+    expect(tokens.redeem(undefined, 'delete_product', args, 'session-1')).toBe(false);
+  });
+
+  test('refuses an expired token', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+    const tokens = new ConfirmationTokens({ ttl: 60 });
+    const first = tokens.issue('delete_product', args, 'session-1');
+    const second = tokens.issue('delete_product', args, 'session-1');
+
+    expect(first.expires_at).toBe('2026-01-01T00:01:00.000Z');
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:59Z'));
+    expect(tokens.redeem(first.token, 'delete_product', args, 'session-1')).toBe(true);
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    expect(tokens.redeem(second.token, 'delete_product', args, 'session-1')).toBe(false);
+  });
+});
+
+describe('requiresConfirmation', () => {
+  test.each([
+    ['delete_product', {}, true],
+    ['delete_order', {}, true],
+    ['delete_customer', {}, true],
+    ['delete_post', { force: true }, true],
+    ['delete_post', { force: false }, false],
+    ['delete_page', {}, false],
+    ['update_post', { force: true }, false]
+  ])('%s with %j: %s', (toolName, toolArgs, expected) => {
+    expect(requiresConfirmation(toolName, toolArgs)).toBe(expected);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Dry-run Mode
+ *
+ * Mutating tools accept a `dry_run` argument. While a tool runs in dry-run mode, the WordPress
+ * and WooCommerce clients record every request that would modify the site instead of sending
+ * it, together with a field-level diff against the current remote object. Read requests are
+ * still sent, so the tool sees the live data. The server then returns the recorded requests
+ * in place of the tool's own result.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Input schema property added to every mutating tool
+export const DRY_RUN_PROPERTY = {
+  type: 'boolean',
+  description: 'Return the request that would be sent and a field-level diff against the current object, without changing anything'
+};
+
+// Fields used to describe an object that would be deleted
+const SUMMARY_FIELDS = ['id', 'number', 'name', 'title', 'slug', 'status', 'email', 'total', 'date_modified', 'modified'];
+
+// Requests recorded by the dry run in progress
+const dryRunContext = new AsyncLocalStorage();
+
+/**
+ * Run a function in dry-run mode
+ *
+ * @param {Function} fn - Function to run
+ * @returns {Promise<Object>} The function's result and the recorded requests ({ result, requests })
+ */
+export async function runDryRun(fn) {
+  const requests = [];
+  const result = await dryRunContext.run(requests, fn);
+
+  return { result, requests };
+}
+
+/**
+ * Check whether a dry run is in progress
+ *
+ * @returns {boolean} True in dry-run mode
+ */
+export function isDryRun() {
+  return dryRunContext.getStore() !== undefined;
+}
+
+/**
+ * Get the comparable value of a remote field
+ *
+ * WordPress returns `{ raw, rendered }` objects for fields such as `title` and `content`.
+ *
+ * @param {*} value - Remote field value
+ * @returns {*} Comparable value
+ */
+export function comparableValue(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if ('raw' in value) {
+      return value.raw;
+    }
+    if ('rendered' in value) {
+      return value.rendered;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Compute the field-level diff between a remote object and the fields a request sends
+ *
+ * Only the fields present in the request are compared; nested objects are compared field
+ * by field and reported with dotted paths.
+ *
+ * @param {Object|null} current - Current remote object (null when creating)
+ * @param {Object} proposed - Fields sent by the request
+ * @param {string} prefix - Path prefix for nested fields
+ * @returns {Array<Object>} Changed fields ({ field, current, proposed })
+ */
+export function diffFields(current, proposed, prefix = '') {
+  const changes = [];
+
+  for (const [key, value] of Object.entries(proposed || {})) {
+    const field = `${prefix}${key}`;
+    const currentValue = comparableValue(current?.[key]);
+
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        currentValue && typeof currentValue === 'object' && !Array.isArray(currentValue)) {
+      changes.push(...diffFields(currentValue, value, `${field}.`));
+    } else if (JSON.stringify(currentValue) !== JSON.stringify(value)) {
+      changes.push({ field, current: currentValue === undefined ? null : currentValue, proposed: value });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Summarize an object that would be deleted
+ *
+ * @param {Object} object - Remote object
+ * @returns {Object} Summary
+ */
+function summarize(object) {
+  const summary = {};
+
+  for (const field of SUMMARY_FIELDS) {
+    if (object[field] !== undefined) {
+      summary[field] = comparableValue(object[field]);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Record a request that would modify the site
+ *
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Request URL (or WooCommerce endpoint)
+ * @param {Object} request.params - Query parameters
+ * @param {Object} request.body - Request body
+ * @param {Object|null} request.current - Current remote object, if the request targets one
+ * @returns {Object} Recorded request
+ */
+export function recordRequest({ method, url, params, body, current }) {
+  const action = method === 'DELETE' ? 'delete' : current ? 'update' : 'create';
+  const entry = {
+    action,
+    request: {
+      method,
+      url,
+      ...(params && Object.keys(params).length > 0 ? { params } : {}),
+      ...(body !== undefined ? { body } : {})
+    }
+  };
+
+  if (action === 'delete') {
+    entry.current = current ? summarize(current) : null;
+  } else {
+    entry.diff = diffFields(current, body);
+  }
+
+  dryRunContext.getStore()?.push(entry);
+
+  return entry;
+}
+
+/**
+ * Create the result of a dry run
+ *
+ * @param {string} toolName - Tool name
+ * @param {Array<Object>} requests - Recorded requests
+ * @returns {Object} Tool result
+ */
+export function createDryRunResult(toolName, requests) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          status: 'success',
+          dry_run: true,
+          message: requests.length > 0
+            ? `Dry run of '${toolName}': ${requests.length} request(s) would be sent, nothing was changed`
+            : `Dry run of '${toolName}': no request would be sent`,
+          requests
+        }, null, 2)
+      }
+    ]
+  };
+}
@@ -0,0 +1,240 @@
+/**
+ * Error Taxonomy
+ *
+ * This module defines the typed errors raised by the WordPress and WooCommerce clients and
+ * the way every error is reported in tool results. An API error keeps the HTTP status, the
+ * WordPress error `code` (e.g. `rest_post_invalid_id`, `woocommerce_rest_cannot_view`), the
+ * invalid parameters reported in `data.params`, a category and whether retrying may succeed:
+ *
+ * - `auth`: missing or rejected credentials, or insufficient permissions (401, 403)
+ * - `validation`: invalid request parameters (400, 422)
+ * - `not_found`: the requested object or route does not exist (404, 410)
+ * - `conflict`: the request conflicts with the current state (409)
+ * - `rate_limited`: too many requests (429)
+ * - `unavailable`: the site cannot be reached, timed out or failed (408, 5xx, network errors)
+ * - `read_only`: the request was refused because the site is in read-only mode
+ * - `forbidden`: the tool is not allowed by the server, account or site configuration
+ * - `confirmation_required`: the call destroys data and must be repeated with a confirmation token
+ * - `cancelled`: the user declined to confirm the call
+ * - `internal`: any other error
+ *
+ * Errors raised by the server itself (not by an API) use `ToolError` with the same categories.
+ */
+
+// HTTP statuses worth retrying
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNABORTED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+/**
+ * Get the error category of an HTTP status
+ *
+ * @param {number} status - HTTP status
+ * @returns {string} Error category
+ */
+function categorizeStatus(status) {
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 400 || status === 422) {
+    return 'validation';
+  }
+  if (status === 404 || status === 410) {
+    return 'not_found';
+  }
+  if (status === 409) {
+    return 'conflict';
+  }
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status === 408 || status >= 500) {
+    return 'unavailable';
+  }
+  return 'internal';
+}
+
+/**
+ * Error raised by the server while handling a tool call
+ */
+export class ToolError extends Error {
+  /**
+   * Create a new tool error
+   *
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.category - Error category
+   * @param {boolean} details.retryable - Whether retrying the call may succeed (default: false)
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.category = details.category || 'internal';
+    this.retryable = details.retryable || false;
+  }
+}
+
+/**
+ * Error returned by the WordPress or WooCommerce REST API, or raised while calling it
+ */
+export class ApiError extends Error {
+  /**
+   * Create a new API error
+   *
+   * @param {string} message - Error message
+   * @param {Object} details - Error details
+   * @param {string} details.category - Error category
+   * @param {number} details.status - HTTP status (if a response was received)
+   * @param {string} details.code - WordPress error code
+   * @param {Object} details.params - Invalid parameters and their messages (`data.params`)
+   * @param {boolean} details.retryable - Whether retrying the request may succeed
+   * @param {string} details.method - HTTP method
+   * @param {string} details.url - Request URL or endpoint
+   * @param {number} details.retryAfter - Delay requested by the server before retrying, in milliseconds
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = 'ApiError';
+    this.category = details.category || (details.status ? categorizeStatus(details.status) : 'internal');
+    this.status = details.status;
+    this.code = details.code;
+    this.params = details.params;
+    this.retryable = details.retryable ?? RETRYABLE_STATUSES.includes(details.status);
+    this.method = details.method;
+    this.url = details.url;
+    this.retryAfter = details.retryAfter;
+  }
+
+  /**
+   * Create an error from an HTTP error response
+   *
+   * WordPress error bodies have the form `{ code, message, data: { status, params } }`.
+   *
+   * @param {Object} options - Response details
+   * @param {string} options.prefix - Message prefix (e.g. '[Client]')
+   * @param {string} options.method - HTTP method
+   * @param {string} options.url - Request URL or endpoint
+   * @param {number} options.status - HTTP status
+   * @param {string} options.statusText - HTTP status text
+   * @param {Object} options.body - Parsed response body
+   * @param {number} options.retryAfter - Delay requested with `Retry-After`, in milliseconds
+   * @returns {ApiError} API error
+   */
+  static fromResponse({ prefix, method, url, status, statusText, body, retryAfter }) {
+    const data = body && typeof body === 'object' ? body : {};
+    let category = categorizeStatus(status);
+
+    // WordPress reports some invalid parameters with other statuses
+    if (['rest_invalid_param', 'rest_missing_callback_param'].includes(data.code)) {
+      category = 'validation';
+    }
+
+    return new ApiError(
+      `${prefix} ${method} ${url} failed: ${status}${statusText ? ` ${statusText}` : ''}` +
+      (data.message ? ` - ${data.message}` : ''),
+      {
+        category,
+        status,
+        code: data.code,
+        params: data.data?.params,
+        method,
+        url,
+        retryAfter
+      }
+    );
+  }
+
+  /**
+   * Create an error from a failure to get a response (network error or timeout)
+   *
+   * @param {Error} error - Underlying error
+   * @param {Object} options - Request details
+   * @param {string} options.prefix - Message prefix (e.g. '[Client]')
+   * @param {string} options.method - HTTP method
+   * @param {string} options.url - Request URL or endpoint
+   * @returns {ApiError} API error
+   */
+  static fromNetworkError(error, { prefix, method, url }) {
+    const code = error.cause?.code || error.code;
+    const timedOut = error.name === 'TimeoutError' || code === 'ECONNABORTED' || code === 'ETIMEDOUT';
+
+    return new ApiError(
+      `${prefix} ${method} ${url} failed: ${timedOut ? 'request timed out' : error.message}${code && !timedOut ? ` (${code})` : ''}`,
+      {
+        category: 'unavailable',
+        code,
+        retryable: timedOut || RETRYABLE_NETWORK_CODES.includes(code) || error.message === 'fetch failed',
+        method,
+        url,
+        cause: error
+      }
+    );
+  }
+
+  /**
+   * Create the error raised when a request is refused because the site is read-only
+   *
+   * @param {string} message - Error message
+   * @param {Object} options - Request details
+   * @param {string} options.method - HTTP method
+   * @param {string} options.url - Request URL or endpoint
+   * @returns {ApiError} API error
+   */
+  static readOnly(message, { method, url }) {
+    return new ApiError(message, { category: 'read_only', retryable: false, method, url });
+  }
+}
+
+/**
+ * Describe an error for a tool result
+ *
+ * @param {Error} error - Error
+ * @returns {Object} Error payload ({ status: 'error', message, error: { category, ... } })
+ */
+export function serializeError(error) {
+  const details = {
+    category: error?.category || 'internal',
+    retryable: Boolean(error?.retryable)
+  };
+
+  if (error instanceof ApiError) {
+    if (error.status !== undefined) {
+      details.http_status = error.status;
+    }
+    if (error.code !== undefined) {
+      details.code = error.code;
+    }
+    if (error.params !== undefined) {
+      details.params = error.params;
+    }
+    if (error.retryAfter !== undefined) {
+      details.retry_after = Math.ceil(error.retryAfter / 1000);
+    }
+  }
+
+  return {
+    status: 'error',
+    message: error?.message || String(error),
+    error: details
+  };
+}
+
+/**
+ * Create a tool result for an error
+ *
+ * @param {Error} error - Error
+ * @returns {Object} Tool result
+ */
+export function createErrorResult(error) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(serializeError(error), null, 2)
+      }
+    ],
+    isError: true
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * Multi-site Fan-out
+ *
+ * This module runs a read-only tool against several sites at once, for servers that manage
+ * many stores. The sites are picked by id or by group (the `groups` of each site in the
+ * configuration), and at most `concurrency` calls run at the same time so a large fleet
+ * does not flood the network or the sites.
+ */
+import { ToolError } from '../errors/index.js';
+
+// Default fan-out settings
+export const FAN_OUT_DEFAULTS = {
+  concurrency: 5,
+  maxConcurrency: 20
+};
+
+/**
+ * Select the sites a fan-out call runs against
+ *
+ * @param {Array<Object>} sites - Configured sites
+ * @param {Object} selection - Site selection
+ * @param {Array<string>} selection.siteIds - Site ids
+ * @param {string} selection.siteGroup - Site group
+ * @returns {Array<Object>} Selected sites (every site if neither ids nor a group are given)
+ * @throws {ToolError} If a site id is unknown, the group has no sites or both ids and a group are given
+ */
+export function selectSites(sites, { siteIds, siteGroup } = {}) {
+  if (siteIds && siteGroup) {
+    throw new ToolError('Pass either site_ids or site_group, not both', { category: 'validation' });
+  }
+
+  if (siteIds) {
+    const unknown = siteIds.filter(id => !sites.some(site => site.id === id));
+    if (unknown.length > 0) {
+      throw new ToolError(`Site not found: ${unknown.join(', ')}`, { category: 'not_found' });
+    }
+
+    return sites.filter(site => siteIds.includes(site.id));
+  }
+
+  if (siteGroup) {
+    const members = sites.filter(site => Array.isArray(site.groups) && site.groups.includes(siteGroup));
+    if (members.length === 0) {
+      throw new ToolError(`No site belongs to the group: ${siteGroup}`, { category: 'not_found' });
+    }
+
+    return members;
+  }
+
+  return sites;
+}
+
+/**
+ * Map items with an async function, running at most `limit` calls at the same time
+ *
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} Results, in the order of the items
+ */
+export async function mapConcurrently(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  // Each worker takes the next item until none are left
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,110 @@
+/**
+ * Tests for the Multi-site Fan-out
+ */
+import { describe, expect, test } from '@jest/globals';
+import { ToolError } from '../errors/index.js';
+import { catchError } from '../testing/index.js';
+import { mapConcurrently, selectSites } from './index.js';
+
+describe('selectSites', () => {
+  const sites = [
+    { id: 'eu', groups: ['stores', 'europe'] },
+    { id: 'us', groups: ['stores'] },
+    { id: 'blog' }
+  ];
+
+  test('selects every site without ids or a group', () => {
+    expect(selectSites(sites)).toEqual(sites);
+    expect(selectSites(sites, {})).toEqual(sites);
+  });
+
+  test('selects sites by id, in configuration order', () => {
+    expect(selectSites(sites, { siteIds: ['blog', 'eu'] }).map(site => site.id)).toEqual(['eu', 'blog']);
+  });
+
+  test('selects the members of a group', () => {
+    expect(selectSites(sites, { siteGroup: 'stores' }).map(site => site.id)).toEqual(['eu', 'us']);
+    expect(selectSites(sites, { siteGroup: 'europe' }).map(site => site.id)).toEqual(['eu']);
+  });
+
+  test('rejects unknown site ids', () => {
+    const error = catchError(() => selectSites(sites, { siteIds: ['eu', 'asia', 'africa'] }));
+
+    expect(error).toBeInstanceOf(ToolError);
+    expect(error).toMatchObject({ category: 'not_found', message: 'Site not found: asia, africa' });
+  });
+
+  test('rejects a group without sites', () => {
+    expect(catchError(() => selectSites(sites, { siteGroup: 'asia' })))
+      .toMatchObject({ category: 'not_found', message: 'No site belongs to the group: asia' });
+  });
+
+  test('rejects ids and a group together', () => {
+    expect(catchError(() => selectSites(sites, { siteIds: ['eu'], siteGroup: 'stores' })))
+      .toMatchObject({ category: 'validation' });
+  });
+});
+
+describe('mapConcurrently', () => {
+  /**
+   * Create a function that resolves after a delay and records how many calls overlap
+   *
+   * @returns {Object} Function and the highest number of concurrent calls ({ fn, stats })
+   */
+  const trackConcurrency = () => {
+    const stats = { active: 0, peak: 0 };
+
+    const fn = async (item, index) => {
+      stats.active += 1;
+      stats.peak = Math.max(stats.peak, stats.active);
+
+      // Later items finish first, so results arrive out of order
+      await new Promise(resolve => setTimeout(resolve, 20 - index * 2));
+
+      stats.active -= 1;
+      return `${item}:${index}`;
+    };
+
+    return { fn, stats };
+  };
+
+  test('returns the results in the order of the items', async () => {
+    const { fn } = trackConcurrency();
+
+    await expect(mapConcurrently(['a', 'b', 'c', 'd', 'e'], 2, fn)).resolves.toEqual(['a:0', 'b:1', 'c:2', 'd:3', 'e:4']);
+  });
+
+  test('runs at most limit calls at the same time', async () => {
+    const { fn, stats } = trackConcurrency();
+
+    await mapConcurrently(Array.from({ length: 8 }, (_, index) => index), 3, fn);
+
+    expect(stats.peak).toBe(3);
+    expect(stats.active).toBe(0);
+  });
+
+  test('runs every call at once when the limit exceeds the items', async () => {
+    const { fn, stats } = trackConcurrency();
+
+    await expect(mapConcurrently(['a', 'b'], 10, fn)).resolves.toEqual(['a:0', 'b:1']);
+    expect(stats.peak).toBe(2);
+  });
+
+  test('resolves an empty list without calling the function', async () => {
+    let calls = 0;
+
+    await expect(mapConcurrently([], 5, async () => { calls += 1; })).resolves.toEqual([]);
+    expect(calls).toBe(0);
+  });
+
+  test('rejects when a call fails', async () => {
+    const fn = async (item) => {
+      if (item === 'b') {
+        throw new Error('b failed');
+      }
+      return item;
+    };
+
+    await expect(mapConcurrently(['a', 'b', 'c'], 2, fn)).rejects.toThrow('b failed');
+  });
+});
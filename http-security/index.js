@@ -0,0 +1,235 @@
+/**
+ * HTTP Security Module
+ *
+ * This module protects the SSE, Streamable HTTP and WebSocket servers from browsers that
+ * are pointed at them by other sites, configured in the `http` section of the configuration
+ * file:
+ *
+ * - Host validation: the `Host` header must name the server (`http.allowedHosts`, plus the
+ *   loopback names), so a DNS rebinding attack cannot reach a server bound to 127.0.0.1
+ *   through an attacker's domain
+ * - Origin validation: browser requests must come from the server's own origin or from one
+ *   of `http.allowedOrigins` (`*` allows every origin)
+ * - CORS: allowed origins get CORS headers, and preflight requests are answered before
+ *   authentication
+ *
+ * Requests without an `Origin` header (MCP clients that are not browsers) are not affected
+ * by the origin rules.
+ *
+ * @see https://modelcontextprotocol.io/specification/2025-03-26/basic/transports#security-warning
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readConfigFile, watchConfig } from '../config/index.js';
+import { logger } from '../logging/index.js';
+
+// Default network settings
+export const HTTP_SECURITY_DEFAULTS = {
+  host: '127.0.0.1'
+};
+
+// Host names that always refer to the local machine
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// CORS settings of preflight responses
+const CORS_METHODS = 'GET, POST, DELETE, OPTIONS';
+const CORS_HEADERS = 'Authorization, Content-Type, Last-Event-ID, Mcp-Session-Id, Mcp-Protocol-Version';
+const CORS_EXPOSED_HEADERS = 'Mcp-Session-Id, WWW-Authenticate';
+const CORS_MAX_AGE = 600;
+
+// Default configuration file, as used by the server
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config.json');
+
+/**
+ * Error raised when a request comes from a host or origin that is not allowed
+ */
+export class HttpSecurityError extends Error {
+  /**
+   * Create a new HTTP security error
+   *
+   * @param {string} message - Error message
+   * @param {string} code - Error code (invalid_host or invalid_origin)
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'HttpSecurityError';
+    this.status = 403;
+    this.code = code;
+  }
+}
+
+/**
+ * Check whether an address the server binds to only accepts local connections
+ *
+ * @param {string} host - Bind address
+ * @returns {boolean} True for loopback addresses
+ */
+export function isLoopbackAddress(host) {
+  return host === 'localhost' || host === '::1' || /^127\./.test(host);
+}
+
+/**
+ * Get the host name of a `Host` header, without the port
+ *
+ * @param {string} hostHeader - Host header (e.g. `localhost:3000` or `[::1]:3000`)
+ * @returns {string|null} Lowercase host name, or null if the header is missing or invalid
+ */
+function parseHostName(hostHeader) {
+  try {
+    return hostHeader ? new URL(`http://${hostHeader}`).hostname.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalize an origin
+ *
+ * @param {string} origin - Origin (e.g. `https://dashboard.example.com`)
+ * @returns {string|null} Normalized origin, or null if it is not a valid http(s) origin
+ */
+function normalizeOrigin(origin) {
+  try {
+    const url = new URL(origin);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validates the Host and Origin headers of requests and adds CORS headers
+ *
+ * The settings are reloaded with the configuration file.
+ */
+export class HttpSecurity {
+  /**
+   * Create a new HTTP security policy
+   *
+   * @param {Object} options - Policy options
+   * @param {string} options.host - Address the server binds to (default: 127.0.0.1)
+   * @param {string} options.configPath - Path to the configuration file
+   */
+  constructor(options = {}) {
+    this.host = options.host || HTTP_SECURITY_DEFAULTS.host;
+    this.configPath = options.configPath || DEFAULT_CONFIG_PATH;
+    this.allowedHosts = null;
+    this.allowedOrigins = [];
+
+    const config = fs.existsSync(this.configPath) ? readConfigFile(this.configPath) : {};
+    this.configure(config.http);
+
+    this._unwatch = watchConfig(this.configPath, config => this.configure(config.http));
+  }
+
+  /**
+   * Apply the `http` section of the configuration
+   *
+   * Host names are only checked when the server binds to a loopback address or
+   * `allowedHosts` is set: otherwise the names clients use to reach the server are unknown.
+   *
+   * @param {Object} http - HTTP settings ({ allowedHosts, allowedOrigins })
+   */
+  configure(http = {}) {
+    const configuredHosts = (http.allowedHosts || []).map(host => parseHostName(host) || host.toLowerCase());
+
+    this.allowedHosts = configuredHosts.length > 0 || isLoopbackAddress(this.host)
+      ? new Set([...LOOPBACK_HOSTS, ...configuredHosts])
+      : null;
+    this.allowedOrigins = (http.allowedOrigins || []).map(origin => (origin === '*' ? origin : normalizeOrigin(origin) || origin));
+
+    if (!this.allowedHosts) {
+      logger.warn(`[HTTP Security] Listening on ${this.host} without http.allowedHosts, Host headers are not checked`);
+    }
+  }
+
+  /**
+   * Check whether an origin may call the server
+   *
+   * @param {string} origin - Origin header
+   * @param {IncomingMessage} req - HTTP request
+   * @returns {boolean} True if the origin is the server's own or an allowed origin
+   */
+  isOriginAllowed(origin, req) {
+    if (this.allowedOrigins.includes('*')) {
+      return true;
+    }
+
+    const normalized = normalizeOrigin(origin);
+    if (!normalized) {
+      return false;
+    }
+
+    return this.allowedOrigins.includes(normalized) || new URL(normalized).host === req.headers.host?.toLowerCase();
+  }
+
+  /**
+   * Check the Host and Origin headers of a request
+   *
+   * @param {IncomingMessage} req - HTTP request or WebSocket upgrade request
+   * @throws {HttpSecurityError} If the host or origin is not allowed
+   */
+  checkRequest(req) {
+    if (this.allowedHosts) {
+      const hostName = parseHostName(req.headers.host);
+
+      if (!hostName || !this.allowedHosts.has(hostName)) {
+        throw new HttpSecurityError(`Host not allowed: ${req.headers.host || '(none)'}`, 'invalid_host');
+      }
+    }
+
+    const { origin } = req.headers;
+    if (origin !== undefined && !this.isOriginAllowed(origin, req)) {
+      throw new HttpSecurityError(`Origin not allowed: ${origin}`, 'invalid_origin');
+    }
+  }
+
+  /**
+   * Create an Express middleware that validates requests, adds CORS headers and answers
+   * preflight requests
+   *
+   * It must be installed before the routes and the authentication.
+   *
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      try {
+        this.checkRequest(req);
+      } catch (error) {
+        logger.warn(`[HTTP Security] Refused ${req.method} ${req.path}: ${error.message}`);
+        res.status(error.status).json({ error: error.code, message: error.message });
+        return;
+      }
+
+      const { origin } = req.headers;
+      if (origin !== undefined) {
+        res.set({
+          'Access-Control-Allow-Origin': origin,
+          'Access-Control-Expose-Headers': CORS_EXPOSED_HEADERS,
+          Vary: 'Origin'
+        });
+      }
+
+      if (req.method === 'OPTIONS') {
+        res.set({
+          'Access-Control-Allow-Methods': CORS_METHODS,
+          'Access-Control-Allow-Headers': CORS_HEADERS,
+          'Access-Control-Max-Age': String(CORS_MAX_AGE)
+        });
+        res.status(204).end();
+        return;
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Stop following changes to the configuration file
+   */
+  close() {
+    this._unwatch();
+  }
+}
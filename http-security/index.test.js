@@ -0,0 +1,168 @@
+/**
+ * Tests for the HTTP Security Module
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, afterEach, beforeAll, describe, expect, test } from '@jest/globals';
+import { configureLogging } from '../logging/index.js';
+import { catchError } from '../testing/index.js';
+import { HttpSecurity, HttpSecurityError, isLoopbackAddress } from './index.js';
+
+/**
+ * Build a request with the given headers
+ *
+ * @param {Object} headers - Request headers
+ * @returns {Object} Request
+ */
+function request(headers) {
+  return { headers };
+}
+
+describe('HttpSecurity', () => {
+  let directory;
+  const policies = [];
+
+  /**
+   * Create a policy for a bind address and `http` section
+   *
+   * @param {string} host - Bind address
+   * @param {Object} http - HTTP settings
+   * @returns {HttpSecurity} HTTP security policy
+   */
+  const createPolicy = (host, http) => {
+    const configPath = path.join(directory, `config-${policies.length}.json`);
+    fs.writeFileSync(configPath, JSON.stringify(http ? { http } : {}));
+
+    const security = new HttpSecurity({ host, configPath });
+    policies.push(security);
+    return security;
+  };
+
+  beforeAll(() => {
+    configureLogging({ level: 'error' });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpress-mcp-http-security-'));
+  });
+
+  afterEach(() => {
+    for (const security of policies.splice(0)) {
+      security.close();
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('Host header', () => {
+    test('accepts the loopback names on a server bound to 127.0.0.1', () => {
+      const security = createPolicy('127.0.0.1');
+
+      for (const host of ['localhost:3000', '127.0.0.1:3000', '[::1]:3000', 'LOCALHOST', 'localhost']) {
+        expect(() => security.checkRequest(request({ host }))).not.toThrow();
+      }
+    });
+
+    test('refuses other names on a loopback server, as in a DNS rebinding attack', () => {
+      const security = createPolicy('127.0.0.1');
+
+      for (const host of ['attacker.example.com:3000', 'localhost.attacker.example.com', undefined, 'not a host']) {
+        const error = catchError(() => security.checkRequest(request({ host })));
+
+        expect(error).toBeInstanceOf(HttpSecurityError);
+        expect(error).toMatchObject({ status: 403, code: 'invalid_host' });
+      }
+    });
+
+    test('accepts the names listed in allowedHosts', () => {
+      const security = createPolicy('127.0.0.1', { allowedHosts: ['mcp.example.com', 'Proxy.Example.com:8443'] });
+
+      expect(() => security.checkRequest(request({ host: 'mcp.example.com' }))).not.toThrow();
+      expect(() => security.checkRequest(request({ host: 'proxy.example.com:8443' }))).not.toThrow();
+      expect(() => security.checkRequest(request({ host: 'localhost:3000' }))).not.toThrow();
+      expect(catchError(() => security.checkRequest(request({ host: 'other.example.com' })))).toMatchObject({ code: 'invalid_host' });
+    });
+
+    test('checks only the names in allowedHosts on a server bound to another address', () => {
+      const security = createPolicy('0.0.0.0', { allowedHosts: ['mcp.example.com'] });
+
+      expect(() => security.checkRequest(request({ host: 'mcp.example.com:3000' }))).not.toThrow();
+      expect(catchError(() => security.checkRequest(request({ host: '10.0.0.5:3000' })))).toMatchObject({ code: 'invalid_host' });
+    });
+
+    test('does not check the host on a server bound to another address without allowedHosts', () => {
+      const security = createPolicy('0.0.0.0');
+
+      expect(() => security.checkRequest(request({ host: '10.0.0.5:3000' }))).not.toThrow();
+      expect(() => security.checkRequest(request({ host: 'anything.example.com' }))).not.toThrow();
+    });
+  });
+
+  describe('Origin header', () => {
+    test('accepts requests without an origin', () => {
+      expect(() => createPolicy('127.0.0.1').checkRequest(request({ host: 'localhost:3000' }))).not.toThrow();
+    });
+
+    test('accepts the server\'s own origin', () => {
+      const security = createPolicy('127.0.0.1');
+
+      expect(() => security.checkRequest(request({ host: 'localhost:3000', origin: 'http://localhost:3000' }))).not.toThrow();
+    });
+
+    test('refuses other origins', () => {
+      const security = createPolicy('127.0.0.1');
+
+      for (const origin of ['http://attacker.example.com', 'http://localhost:4000', 'null', 'file:///tmp/page.html']) {
+        const error = catchError(() => security.checkRequest(request({ host: 'localhost:3000', origin })));
+
+        expect(error).toBeInstanceOf(HttpSecurityError);
+        expect(error).toMatchObject({ status: 403, code: 'invalid_origin' });
+      }
+    });
+
+    test('accepts the origins listed in allowedOrigins', () => {
+      const security = createPolicy('127.0.0.1', { allowedOrigins: ['https://dashboard.example.com/'] });
+
+      expect(() => security.checkRequest(request({ host: 'localhost:3000', origin: 'https://dashboard.example.com' }))).not.toThrow();
+      expect(catchError(() => security.checkRequest(request({ host: 'localhost:3000', origin: 'http://dashboard.example.com' }))))
+        .toMatchObject({ code: 'invalid_origin' });
+    });
+
+    test('accepts every origin with the * wildcard', () => {
+      const security = createPolicy('127.0.0.1', { allowedOrigins: ['*'] });
+
+      expect(() => security.checkRequest(request({ host: 'localhost:3000', origin: 'https://anywhere.example.com' }))).not.toThrow();
+    });
+
+    test('checks the host before the origin', () => {
+      const security = createPolicy('127.0.0.1', { allowedOrigins: ['*'] });
+
+      expect(catchError(() => security.checkRequest(request({ host: 'attacker.example.com', origin: 'http://attacker.example.com' }))))
+        .toMatchObject({ code: 'invalid_host' });
+    });
+  });
+
+  test('applies a reloaded http section', () => {
+    const security = createPolicy('127.0.0.1');
+    const req = request({ host: 'mcp.example.com', origin: 'https://dashboard.example.com' });
+
+    expect(catchError(() => security.checkRequest(req))).toMatchObject({ code: 'invalid_host' });
+
+    security.configure({ allowedHosts: ['mcp.example.com'], allowedOrigins: ['https://dashboard.example.com'] });
+    expect(() => security.checkRequest(req)).not.toThrow();
+  });
+});
+
+describe('isLoopbackAddress', () => {
+  test.each([
+    ['127.0.0.1', true],
+    ['127.1.2.3', true],
+    ['localhost', true],
+    ['::1', true],
+    ['0.0.0.0', false],
+    ['::', false],
+    ['192.168.1.10', false]
+  ])('%s is %s', (host, expected) => {
+    expect(isLoopbackAddress(host)).toBe(expected);
+  });
+});
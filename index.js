@@ -8,10 +8,15 @@
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { WordPressMcpServer } from './server.js';
 import { startSseServer } from './sse.js';
+import { startHttpServer } from './streamable-http.js';
+import { startWebSocketServer } from './websocket.js';
 import minimist from 'minimist';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { configureLogging, logger } from './logging/index.js';
+import { generateApiKey, hashApiKey } from './auth/index.js';
+import { watchCacheConfig } from './cache/index.js';
 
 // Get directory name in ESM
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -21,8 +26,8 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
  */
 function parseArgs() {
   const args = minimist(process.argv.slice(2), {
-    string: ['transport', 'config', 'port'],
-    boolean: ['help', 'version'],
+    string: ['transport', 'config', 'host', 'port', 'log-level', 'log-file', 'sse-grace-period', 'http-idle-timeout'],
+    boolean: ['help', 'version', 'metrics', 'auth', 'json-response', 'generate-api-key'],
     alias: {
       h: 'help',
       v: 'version',
@@ -32,7 +37,11 @@ function parseArgs() {
     },
     default: {
       transport: 'stdio',
-      port: '3000'
+      host: '127.0.0.1',
+      port: '3000',
+      metrics: true,
+      auth: true,
+      'log-level': process.env.LOG_LEVEL || 'info'
     }
   });
   
@@ -51,15 +60,28 @@ Usage: node index.js [options]
 Options:
   -h, --help                 Show this help message
   -v, --version              Show version information
-  -t, --transport <type>     Transport type (stdio, sse) [default: stdio]
+  -t, --transport <type>     Transport type (stdio, sse, http, ws) [default: stdio]
   -c, --config <path>        Path to configuration file
-  -p, --port <port>          Port for SSE transport [default: 3000]
+  --host <address>           Address the SSE, HTTP and WebSocket transports bind to [default: 127.0.0.1]
+  -p, --port <port>          Port for SSE, HTTP and WebSocket transports [default: 3000]
+  --json-response            Answer HTTP requests with JSON instead of SSE streams
+  --sse-grace-period <sec>   Time a dropped SSE session can be resumed [default: 60]
+  --http-idle-timeout <sec>  Time an idle Streamable HTTP session is kept open [default: 1800]
+  --log-level <level>        Log level (debug, info, warn, error) [default: info]
+  --log-file <path>          Also append logs to this file as JSON lines
+  --no-metrics               Do not expose Prometheus metrics at /metrics (SSE, HTTP and WebSocket transports)
+  --no-auth                  Serve the SSE, HTTP and WebSocket transports without authentication
+  --generate-api-key         Print a new API key and the entry to add to auth.apiKeys, then exit
 
 Examples:
   node index.js                           # Start with stdio transport
   node index.js --transport=sse           # Start with SSE transport
+  node index.js --transport=http          # Start with Streamable HTTP transport on /mcp
+  node index.js --transport=ws            # Start with WebSocket transport on /ws
   node index.js --config=./my-config.json # Use custom configuration file
   node index.js --transport=sse --port=8080 # Use SSE transport on port 8080
+  node index.js --transport=http --host=0.0.0.0 # Accept connections from other machines
+  node index.js --log-level=debug --log-file=./logs/server.log # Verbose logging to a file
   `);
 }
 
@@ -79,6 +101,18 @@ function printVersion() {
   }
 }
 
+/**
+ * Print a new API key and its configuration entry
+ */
+function printApiKey() {
+  const apiKey = generateApiKey();
+  
+  console.error('API key (shown once, give it to the client):');
+  console.log(apiKey);
+  console.error('\nAdd this entry to auth.apiKeys in the configuration file, with the id, scopes and accounts you need:');
+  console.error(JSON.stringify({ id: 'my-client', hash: hashApiKey(apiKey), scopes: ['mcp'] }, null, 2));
+}
+
 /**
  * Main function
  */
@@ -97,12 +131,26 @@ async function main() {
     process.exit(0);
   }
   
+  if (args['generate-api-key']) {
+    printApiKey();
+    process.exit(0);
+  }
+  
+  // Configure logging
+  configureLogging({
+    level: args['log-level'],
+    file: args['log-file'] ? path.resolve(args['log-file']) : undefined
+  });
+  
   // Get configuration path
   const configPath = args.config ? path.resolve(args.config) : undefined;
   
+  // Configure the response cache shared by every session
+  watchCacheConfig(configPath);
+  
   // Start server with appropriate transport
   if (args.transport === 'stdio') {
-    console.error('[Server] Starting with stdio transport');
+    logger.info('[Server] Starting with stdio transport');
     
     // Create server
     const server = new WordPressMcpServer({ configPath });
@@ -113,22 +161,52 @@ async function main() {
     // Run server
     await server.run(transport);
   } else if (args.transport === 'sse') {
-    console.error('[Server] Starting with SSE transport');
-    console.error(`[Server] Listening on port ${args.port}`);
+    logger.info('[Server] Starting with SSE transport');
+    logger.info(`[Server] Listening on ${args.host}:${args.port}`);
     
     // Start SSE server
     startSseServer({
+      host: args.host,
+      port: parseInt(args.port, 10),
+      configPath,
+      metrics: args.metrics,
+      auth: args.auth,
+      gracePeriod: args['sse-grace-period'] !== undefined ? parseFloat(args['sse-grace-period']) * 1000 : undefined
+    });
+  } else if (args.transport === 'http') {
+    logger.info('[Server] Starting with Streamable HTTP transport');
+    logger.info(`[Server] Listening on ${args.host}:${args.port}`);
+    
+    // Start Streamable HTTP server
+    startHttpServer({
+      host: args.host,
+      port: parseInt(args.port, 10),
+      configPath,
+      jsonResponse: args['json-response'],
+      metrics: args.metrics,
+      auth: args.auth,
+      idleTimeout: args['http-idle-timeout'] !== undefined ? parseFloat(args['http-idle-timeout']) * 1000 : undefined
+    });
+  } else if (args.transport === 'ws') {
+    logger.info('[Server] Starting with WebSocket transport');
+    logger.info(`[Server] Listening on ${args.host}:${args.port}`);
+    
+    // Start WebSocket server
+    startWebSocketServer({
+      host: args.host,
       port: parseInt(args.port, 10),
-      configPath
+      configPath,
+      metrics: args.metrics,
+      auth: args.auth
     });
   } else {
-    console.error(`[Server] Unknown transport: ${args.transport}`);
+    logger.error(`[Server] Unknown transport: ${args.transport}`);
     process.exit(1);
   }
 }
 
 // Run main function
 main().catch(error => {
-  console.error('[Server] Error:', error);
+  logger.error('[Server] Error:', error);
   process.exit(1);
 });
@@ -0,0 +1,244 @@
+/**
+ * Logging Module
+ *
+ * This module provides the leveled logger (debug, info, warn, error) used throughout the server.
+ *
+ * - Messages keep the `[Scope] message` convention; the scope is parsed out for structured output.
+ * - Detail arguments are redacted: values of keys that look like secrets (passwords, consumer
+ *   keys, tokens, ...) are replaced, and errors are reduced to their name, message and status.
+ * - Records at or above the configured level are written to stderr and, optionally, appended
+ *   to a file as JSON lines.
+ * - Records emitted while handling an MCP request are also passed to that session's log sink,
+ *   which forwards them to the client according to the level set with `logging/setLevel`.
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Log levels by severity
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Map MCP logging levels to our levels and back
+const MCP_TO_LOG_LEVEL = {
+  debug: 'debug',
+  info: 'info',
+  notice: 'info',
+  warning: 'warn',
+  error: 'error',
+  critical: 'error',
+  alert: 'error',
+  emergency: 'error'
+};
+const LOG_TO_MCP_LEVEL = {
+  debug: 'debug',
+  info: 'info',
+  warn: 'warning',
+  error: 'error'
+};
+
+// Keys whose values are never logged
+const SECRET_KEY_PATTERN = /password|passwd|secret|token|authorization|cookie|api[_-]?key|consumer[_-]?key|^c_key$/i;
+
+// Leading `[Scope]` or `[Scope:DEBUG]` tag of a message
+const SCOPE_PATTERN = /^\[([^\]]+)\]\s*/;
+
+// Current configuration
+const settings = {
+  level: 'info',
+  file: null,
+  stream: null
+};
+
+// Log sink of the MCP session handling the current request
+const sinkContext = new AsyncLocalStorage();
+
+/**
+ * Get the severity of a level
+ *
+ * @param {string} level - Log level
+ * @returns {number} Severity index
+ */
+function severity(level) {
+  return LOG_LEVELS.indexOf(level);
+}
+
+/**
+ * Convert an MCP logging level to a log level
+ *
+ * @param {string} mcpLevel - MCP logging level (debug, info, notice, warning, error, ...)
+ * @returns {string} Log level
+ */
+export function fromMcpLevel(mcpLevel) {
+  return MCP_TO_LOG_LEVEL[mcpLevel] || 'info';
+}
+
+/**
+ * Convert a log level to an MCP logging level
+ *
+ * @param {string} level - Log level
+ * @returns {string} MCP logging level
+ */
+export function toMcpLevel(level) {
+  return LOG_TO_MCP_LEVEL[level];
+}
+
+/**
+ * Configure logging
+ *
+ * @param {Object} options - Logging options
+ * @param {string} options.level - Minimum level written to stderr and the log file
+ * @param {string} options.file - Path of a file to append JSON lines to
+ */
+export function configureLogging(options = {}) {
+  if (options.level) {
+    if (!LOG_LEVELS.includes(options.level)) {
+      throw new Error(`[Logging] Unknown log level: ${options.level} (expected one of ${LOG_LEVELS.join(', ')})`);
+    }
+    settings.level = options.level;
+  }
+
+  if (options.file && options.file !== settings.file) {
+    if (settings.stream) {
+      settings.stream.end();
+    }
+
+    fs.ensureDirSync(path.dirname(options.file));
+    settings.file = options.file;
+    settings.stream = fs.createWriteStream(options.file, { flags: 'a' });
+    settings.stream.on('error', (error) => {
+      process.stderr.write(`[Logging] Error writing log file ${settings.file}: ${error.message}\n`);
+    });
+  }
+}
+
+/**
+ * Get the configured log level
+ *
+ * @returns {string} Log level
+ */
+export function getLogLevel() {
+  return settings.level;
+}
+
+/**
+ * Redact secrets from a value before it is logged
+ *
+ * @param {*} value - Value to redact
+ * @param {WeakSet} seen - Objects already visited (guards against cycles)
+ * @returns {*} Redacted copy of the value
+ */
+export function redact(value, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    // Errors from HTTP clients carry the request config, including credentials
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { code: value.code } : {}),
+      ...(value.status || value.response?.status ? { status: value.status || value.response.status } : {})
+    };
+  }
+
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  const redacted = {};
+  for (const [key, item] of Object.entries(value)) {
+    redacted[key] = SECRET_KEY_PATTERN.test(key) && item !== undefined && item !== null && item !== ''
+      ? '[REDACTED]'
+      : redact(item, seen);
+  }
+
+  return redacted;
+}
+
+/**
+ * Run a function with a log sink for the current MCP session
+ *
+ * Every record logged while the function (and anything it awaits) runs is passed to the sink.
+ *
+ * @param {Function} sink - Function called with each log record
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithLogSink(sink, fn) {
+  return sinkContext.run(sink, fn);
+}
+
+/**
+ * Format a record for stderr
+ *
+ * @param {Object} record - Log record
+ * @returns {string} Formatted line
+ */
+function formatRecord(record) {
+  const scope = record.scope ? `[${record.scope}] ` : '';
+  const data = record.data === undefined
+    ? ''
+    : ' ' + record.data.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).join(' ');
+
+  return `${record.time} ${record.level.toUpperCase().padEnd(5)} ${scope}${record.message}${data}`;
+}
+
+/**
+ * Log a message
+ *
+ * @param {string} level - Log level
+ * @param {string} message - Message, optionally starting with a `[Scope]` tag
+ * @param {Array} details - Additional values to log
+ */
+function log(level, message, details) {
+  const sink = sinkContext.getStore();
+  const enabled = severity(level) >= severity(settings.level);
+
+  if (!enabled && !sink) {
+    return;
+  }
+
+  let scope;
+  let text = String(message);
+  const match = SCOPE_PATTERN.exec(text);
+  if (match) {
+    scope = match[1].replace(/:DEBUG$/, '');
+    text = text.slice(match[0].length);
+  }
+
+  const record = {
+    time: new Date().toISOString(),
+    level,
+    ...(scope ? { scope } : {}),
+    message: text,
+    ...(details.length > 0 ? { data: details.map(item => redact(item)) } : {})
+  };
+
+  if (enabled) {
+    process.stderr.write(formatRecord(record) + '\n');
+
+    if (settings.stream) {
+      settings.stream.write(JSON.stringify(record) + '\n');
+    }
+  }
+
+  if (sink) {
+    sink(record);
+  }
+}
+
+/**
+ * Leveled logger
+ */
+export const logger = {
+  debug: (message, ...details) => log('debug', message, details),
+  info: (message, ...details) => log('info', message, details),
+  warn: (message, ...details) => log('warn', message, details),
+  error: (message, ...details) => log('error', message, details)
+};
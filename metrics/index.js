@@ -0,0 +1,314 @@
+/**
+ * Prometheus Metrics
+ *
+ * This module collects the operational metrics of the server and renders them in the
+ * Prometheus text exposition format, for the `/metrics` endpoint of the SSE, HTTP and WebSocket servers:
+ *
+ * - `wordpress_mcp_tool_calls_total` and `wordpress_mcp_tool_call_duration_seconds`: tool
+ *   calls by tool and status (`success` or `error`)
+ * - `wordpress_mcp_upstream_requests_total` and `wordpress_mcp_upstream_request_duration_seconds`:
+ *   requests to the WordPress and WooCommerce APIs by site, API, method and HTTP status
+ *   (`error` when no response was received)
+ * - `wordpress_mcp_cache_lookups_total` and `wordpress_mcp_cache_hit_ratio`: response cache
+ *   lookups by result (`hit`, `stale` or `miss`)
+ * - gauges registered by the transports: `wordpress_mcp_sse_sessions`,
+ *   `wordpress_mcp_http_sessions` and `wordpress_mcp_ws_connections`
+ *
+ * Metrics are shared by every session of the process.
+ *
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+// Content type of the text exposition format
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Histogram buckets, in seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value
+ *
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set
+ *
+ * @param {Object} labels - Label values by name
+ * @returns {string} Label set (e.g. `{tool="list_posts",status="success"}`), or '' if there are no labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  return entries.length > 0
+    ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+    : '';
+}
+
+/**
+ * Base class of the metrics, which keeps one series per label set
+ */
+class Metric {
+  /**
+   * Create a new metric
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {string} type - Prometheus type (counter, gauge or histogram)
+   * @param {Array<string>} labelNames - Label names
+   */
+  constructor(name, help, type, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series of a label set, creating it if needed
+   *
+   * @param {Object} labels - Label values by name
+   * @param {Function} create - Function that creates a new series
+   * @returns {Object} Series ({ labels, ... })
+   * @protected
+   */
+  _getSeries(labels, create) {
+    const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(values);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Render the samples of the metric
+   *
+   * @returns {Array<string>} Sample lines
+   * @protected
+   */
+  _samples() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+
+  /**
+   * Render the metric
+   *
+   * @returns {string} Metric in the text exposition format
+   */
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this._samples()].join('\n');
+  }
+}
+
+/**
+ * Counter: a value that only goes up
+ */
+class Counter extends Metric {
+  /**
+   * Create a new counter
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   */
+  constructor(name, help, labelNames) {
+    super(name, help, 'counter', labelNames);
+  }
+
+  /**
+   * Increment the counter
+   *
+   * @param {Object} labels - Label values by name
+   * @param {number} value - Increment (default: 1)
+   */
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Get the value of the counter, summed over the label sets that match
+   *
+   * @param {Object} labels - Label values to match
+   * @returns {number} Value
+   */
+  get(labels = {}) {
+    return [...this.series.values()]
+      .filter(series => Object.entries(labels).every(([name, value]) => series.labels[name] === value))
+      .reduce((sum, series) => sum + series.value, 0);
+  }
+}
+
+/**
+ * Gauge: a value read when the metrics are rendered
+ */
+class Gauge extends Metric {
+  /**
+   * Create a new gauge
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Function} collect - Function that returns the current value
+   */
+  constructor(name, help, collect) {
+    super(name, help, 'gauge');
+    this.collect = collect;
+  }
+
+  /**
+   * Render the current value of the gauge
+   *
+   * @returns {Array<string>} Sample lines
+   * @protected
+   */
+  _samples() {
+    return [`${this.name} ${Number(this.collect()) || 0}`];
+  }
+}
+
+/**
+ * Histogram: the distribution of observed values in buckets
+ */
+class Histogram extends Metric {
+  /**
+   * Create a new histogram
+   *
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Upper bounds of the buckets
+   */
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super(name, help, 'histogram', labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Observe a value
+   *
+   * @param {Object} labels - Label values by name
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this._getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Render the buckets, sum and count of each label set
+   *
+   * @returns {Array<string>} Sample lines
+   * @protected
+   */
+  _samples() {
+    return [...this.series.values()].flatMap(series => [
+      ...this.buckets.map((bound, index) =>
+        `${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${formatLabels(series.labels)} ${series.sum}`,
+      `${this.name}_count${formatLabels(series.labels)} ${series.count}`
+    ]);
+  }
+}
+
+const toolCalls = new Counter('wordpress_mcp_tool_calls_total', 'Tool calls by tool and status', ['tool', 'status']);
+const toolCallDuration = new Histogram('wordpress_mcp_tool_call_duration_seconds', 'Duration of tool calls in seconds', ['tool', 'status']);
+const upstreamRequests = new Counter('wordpress_mcp_upstream_requests_total', 'Requests to the WordPress and WooCommerce APIs by site, API, method and HTTP status', ['site', 'api', 'method', 'status']);
+const upstreamDuration = new Histogram('wordpress_mcp_upstream_request_duration_seconds', 'Duration of requests to the WordPress and WooCommerce APIs in seconds', ['site', 'api', 'status']);
+const cacheLookups = new Counter('wordpress_mcp_cache_lookups_total', 'Response cache lookups by result (hit, stale or miss)', ['result']);
+const cacheHitRatio = new Gauge('wordpress_mcp_cache_hit_ratio', 'Share of response cache lookups served from a fresh entry', () => {
+  const total = cacheLookups.get();
+  return total > 0 ? cacheLookups.get({ result: 'hit' }) / total : 0;
+});
+
+// Metrics in rendering order
+const metrics = [toolCalls, toolCallDuration, upstreamRequests, upstreamDuration, cacheLookups, cacheHitRatio];
+
+/**
+ * Record a tool call
+ *
+ * @param {string} tool - Tool name
+ * @param {string} status - success or error
+ * @param {number} seconds - Duration of the call
+ */
+export function recordToolCall(tool, status, seconds) {
+  toolCalls.inc({ tool, status });
+  toolCallDuration.observe({ tool, status }, seconds);
+}
+
+/**
+ * Record a request to the WordPress or WooCommerce API
+ *
+ * @param {Object} request - Request details
+ * @param {string} request.site - Site id (or URL)
+ * @param {string} request.api - wordpress or woocommerce
+ * @param {string} request.method - HTTP method
+ * @param {number|string} request.status - HTTP status, or 'error' if no response was received
+ * @param {number} request.seconds - Duration of the request
+ */
+export function recordUpstreamRequest({ site, api, method, status, seconds }) {
+  upstreamRequests.inc({ site, api, method, status });
+  upstreamDuration.observe({ site, api, status }, seconds);
+}
+
+/**
+ * Record a response cache lookup
+ *
+ * @param {string} result - hit (fresh entry), stale (expired entry) or miss
+ */
+export function recordCacheLookup(result) {
+  cacheLookups.inc({ result });
+}
+
+/**
+ * Register a gauge read when the metrics are rendered
+ *
+ * A gauge registered again under the same name replaces the previous one, so a transport
+ * that is restarted does not report the sessions of its previous instance.
+ *
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Function} collect - Function that returns the current value
+ */
+export function registerGauge(name, help, collect) {
+  const index = metrics.findIndex(metric => metric.name === name);
+  const gauge = new Gauge(name, help, collect);
+
+  if (index === -1) {
+    metrics.push(gauge);
+  } else {
+    metrics[index] = gauge;
+  }
+}
+
+/**
+ * Get the duration since a start time
+ *
+ * @param {bigint} start - Start time from `process.hrtime.bigint()`
+ * @returns {number} Elapsed time in seconds
+ */
+export function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Render every metric in the text exposition format
+ *
+ * @returns {string} Metrics
+ */
+export function renderMetrics() {
+  return `${metrics.map(metric => metric.render()).join('\n')}\n`;
+}
@@ -0,0 +1,217 @@
+/**
+ * List Output Formatting
+ *
+ * This module implements the `fields` and `output_format` arguments shared by the list tools.
+ *
+ * - `fields` is passed to the REST API as `_fields`, so WordPress and WooCommerce only return
+ *   the requested fields. Dotted paths (e.g. `billing.email`) select nested fields.
+ * - `output_format` renders the items as JSON (default), a Markdown table or CSV. Tables
+ *   flatten nested objects into dotted columns and show `rendered` values of WordPress fields.
+ */
+
+// Output formats supported by the list tools
+export const OUTPUT_FORMATS = ['json', 'markdown_table', 'csv'];
+
+// Input schema properties added to every list tool
+export const LIST_OUTPUT_PROPERTIES = {
+  fields: {
+    type: 'array',
+    items: {
+      type: 'string'
+    },
+    description: 'Only return these fields (e.g. ["id", "title", "status"]); dotted paths select nested fields'
+  },
+  output_format: {
+    type: 'string',
+    enum: OUTPUT_FORMATS,
+    description: 'Output format: json (default), markdown_table or csv'
+  }
+};
+
+/**
+ * Convert the `fields` argument to the REST API `_fields` parameter
+ *
+ * @param {Array<string>} fields - Requested fields
+ * @returns {string|undefined} Comma-separated fields, or undefined if no fields were requested
+ */
+export function toFieldsParam(fields) {
+  return Array.isArray(fields) && fields.length > 0 ? fields.join(',') : undefined;
+}
+
+/**
+ * Unwrap a WordPress `{ rendered }` field
+ *
+ * @param {*} value - Field value
+ * @returns {*} The rendered value, or the value itself
+ */
+function unwrapRendered(value) {
+  return value && typeof value === 'object' && !Array.isArray(value) && 'rendered' in value
+    ? value.rendered
+    : value;
+}
+
+/**
+ * Select the requested fields of an item
+ *
+ * The API already limits the response to `_fields`; this also applies the selection when
+ * a site ignores the parameter, and unwraps `rendered` values.
+ *
+ * @param {Object} item - Item returned by the API
+ * @param {Array<string>} fields - Requested fields
+ * @returns {Object} Item with the requested fields only
+ */
+function selectFields(item, fields) {
+  const selected = {};
+
+  for (const field of fields) {
+    const value = field.split('.').reduce((current, part) => (current == null ? undefined : current[part]), item);
+
+    if (value !== undefined) {
+      selected[field] = unwrapRendered(value);
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Apply the `fields` argument to the items of a list
+ *
+ * @param {Array<Object>} items - Items returned by the API
+ * @param {Array<string>} fields - Requested fields
+ * @param {Function} project - Default projection, used when no fields were requested
+ * @returns {Array<Object>} Projected items
+ */
+export function projectItems(items, fields, project = item => item) {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    return items.map(project);
+  }
+
+  return items.map(item => selectFields(item, fields));
+}
+
+/**
+ * Flatten an item into table columns
+ *
+ * @param {Object} item - Item
+ * @param {string} prefix - Column prefix for nested objects
+ * @param {Object} row - Row to add the columns to
+ * @returns {Object} Row ({ column: value })
+ */
+function flattenItem(item, prefix = '', row = {}) {
+  for (const [key, rawValue] of Object.entries(item)) {
+    const column = `${prefix}${key}`;
+    const value = unwrapRendered(rawValue);
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flattenItem(value, `${column}.`, row);
+    } else if (Array.isArray(value)) {
+      row[column] = value.every(entry => entry === null || typeof entry !== 'object')
+        ? value.join(', ')
+        : JSON.stringify(value);
+    } else {
+      row[column] = value;
+    }
+  }
+
+  return row;
+}
+
+/**
+ * Flatten items into rows and collect the columns in order of appearance
+ *
+ * @param {Array<Object>} items - Items
+ * @returns {Object} Table ({ columns, rows })
+ */
+function toTable(items) {
+  const rows = items.map(item => flattenItem(item));
+  const columns = [];
+
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      if (!columns.includes(column)) {
+        columns.push(column);
+      }
+    }
+  }
+
+  return { columns, rows };
+}
+
+/**
+ * Render items as a Markdown table
+ *
+ * @param {Array<Object>} items - Items
+ * @returns {string} Markdown table
+ */
+export function toMarkdownTable(items) {
+  const { columns, rows } = toTable(items);
+
+  if (columns.length === 0) {
+    return '_No results_';
+  }
+
+  const cell = value => (value === undefined || value === null ? '' : String(value))
+    .replace(/\r?\n/g, ' ')
+    .replace(/\|/g, '\\|');
+
+  return [
+    `| ${columns.map(cell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(column => cell(row[column])).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Render items as CSV (RFC 4180)
+ *
+ * @param {Array<Object>} items - Items
+ * @returns {string} CSV with a header row
+ */
+export function toCsv(items) {
+  const { columns, rows } = toTable(items);
+
+  const cell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.map(cell).join(','),
+    ...rows.map(row => columns.map(column => cell(row[column])).join(','))
+  ].join('\r\n');
+}
+
+/**
+ * Create the result of a list tool
+ *
+ * @param {Object} payload - JSON payload ({ status, count, ..., [key]: items })
+ * @param {string} key - Key of the items in the payload (e.g. 'posts')
+ * @param {string} format - Output format (json, markdown_table or csv)
+ * @returns {Object} Tool result
+ */
+export function createListResult(payload, key, format = 'json') {
+  let text;
+
+  if (format === 'markdown_table') {
+    const summary = Object.entries(payload)
+      .filter(([name, value]) => name !== key && name !== 'status' && value !== undefined)
+      .map(([name, value]) => `${name}: ${value}`)
+      .join(', ');
+
+    text = `**${key}** (${summary})\n\n${toMarkdownTable(payload[key])}`;
+  } else if (format === 'csv') {
+    text = toCsv(payload[key]);
+  } else {
+    text = JSON.stringify(payload, null, 2);
+  }
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text
+      }
+    ]
+  };
+}
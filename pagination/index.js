@@ -0,0 +1,112 @@
+/**
+ * Pagination
+ *
+ * WordPress and WooCommerce list endpoints return one page of items and describe the whole
+ * collection in response headers: `X-WP-Total` (number of items), `X-WP-TotalPages` and a
+ * `Link` header with the `next` and `prev` pages. This module reads those headers and
+ * collects the items of the auto-paginating iterators of the clients (`paginate`).
+ */
+
+// Maximum number of items collected with `fetch_all`
+export const FETCH_ALL_LIMIT = 1000;
+
+// Input schema property added to every list tool
+export const FETCH_ALL_PROPERTY = {
+  type: 'boolean',
+  description: `Fetch every page of results from \`page\` on, up to ${FETCH_ALL_LIMIT} items (use a large per_page to reduce requests)`
+};
+
+/**
+ * Read a response header
+ *
+ * @param {Headers|Object} headers - Fetch headers, Axios headers or a plain object
+ * @param {string} name - Header name
+ * @returns {string|null} Header value
+ */
+function readHeader(headers, name) {
+  if (!headers) {
+    return null;
+  }
+
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? null;
+  }
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+/**
+ * Parse a `Link` header
+ *
+ * @param {string|null} value - Header value (e.g. `<https://example.com/wp-json/wp/v2/posts?page=2>; rel="next"`)
+ * @returns {Object} URLs by relation (e.g. { next, prev })
+ */
+export function parseLinkHeader(value) {
+  const links = {};
+
+  for (const match of String(value || '').matchAll(/<([^>]*)>\s*;\s*rel="?([^";]+)"?/g)) {
+    links[match[2]] = match[1];
+  }
+
+  return links;
+}
+
+/**
+ * Get the pagination metadata of a response
+ *
+ * @param {Headers|Object} headers - Response headers
+ * @returns {Object} Metadata ({ total, totalPages, links }); totals are null when the headers are missing
+ */
+export function getPagination(headers) {
+  const total = readHeader(headers, 'X-WP-Total');
+  const totalPages = readHeader(headers, 'X-WP-TotalPages');
+
+  return {
+    total: total === null ? null : parseInt(total, 10),
+    totalPages: totalPages === null ? null : parseInt(totalPages, 10),
+    links: parseLinkHeader(readHeader(headers, 'Link'))
+  };
+}
+
+/**
+ * Check whether a list has a page after the current one
+ *
+ * @param {number} page - Current page
+ * @param {Array} items - Items of the current page
+ * @param {Object} pagination - Metadata of the current page ({ totalPages, links })
+ * @param {number} perPage - Requested page size
+ * @returns {boolean} True if the next page should be fetched
+ */
+export function hasNextPage(page, items, pagination, perPage) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return false;
+  }
+
+  if (pagination.totalPages !== null) {
+    return page < pagination.totalPages;
+  }
+
+  // Without pagination headers, a full page may be followed by another one
+  return Boolean(pagination.links.next) || items.length >= perPage;
+}
+
+/**
+ * Collect the items of an auto-paginating iterator
+ *
+ * @param {AsyncIterable} iterator - Iterator returned by a client's `paginate`
+ * @param {number} limit - Maximum number of items (default: FETCH_ALL_LIMIT)
+ * @returns {Promise<Object>} Items and whether the limit cut them short ({ items, truncated })
+ */
+export async function collectItems(iterator, limit = FETCH_ALL_LIMIT) {
+  const items = [];
+
+  for await (const item of iterator) {
+    if (items.length >= limit) {
+      return { items, truncated: true };
+    }
+    items.push(item);
+  }
+
+  return { items, truncated: false };
+}
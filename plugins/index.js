@@ -0,0 +1,177 @@
+/**
+ * Tool Plugins for WordPress MCP Server
+ *
+ * This module loads the tool modules registered with the server. The built-in modules
+ * (posts, pages, products, orders, customers and batch) are loaded alongside plugin modules
+ * discovered from the `plugins` section of the configuration file:
+ *
+ * ```json
+ * "plugins": {
+ *   "directory": "./tool-plugins",
+ *   "modules": ["./extra/inventory-tools.js"],
+ *   "disabled": ["customers"]
+ * }
+ * ```
+ *
+ * - `directory`: every `*.js`/`*.mjs` file in it is loaded (default: `tool-plugins` next to the config file,
+ *   which cannot be mistaken for the server's own `plugins` source directory)
+ * - `modules`: additional module files (relative paths are resolved against the config file)
+ * - `enabled`: if set, only the listed modules are loaded
+ * - `disabled`: modules that are not loaded
+ *
+ * A plugin module exports a `register(server, { siteManager, registerToolHandler })` function
+ * (or a default export) with the same contract as the built-in `register*Tools` functions,
+ * and optionally a `name` (defaults to the file name). The site tools are always loaded,
+ * as they provide the site manager.
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { registerPostTools } from '../tools/post-tools.js';
+import { registerPageTools } from '../tools/page-tools.js';
+import { registerWooProductTools } from '../tools/woo-product-tools.js';
+import { registerWooOrderTools } from '../tools/woo-order-tools.js';
+import { registerWooCustomerTools } from '../tools/woo-customer-tools.js';
+import { registerBatchTools } from '../tools/batch-tools.js';
+import { logger } from '../logging/index.js';
+
+// Tool modules shipped with the server
+export const BUILTIN_TOOL_MODULES = [
+  { name: 'posts', register: registerPostTools },
+  { name: 'pages', register: registerPageTools },
+  { name: 'products', register: registerWooProductTools },
+  { name: 'orders', register: registerWooOrderTools },
+  { name: 'customers', register: registerWooCustomerTools },
+  { name: 'batch', register: registerBatchTools }
+];
+
+// Plugin directory used when `plugins.directory` is not set
+const DEFAULT_PLUGIN_DIRECTORY = 'tool-plugins';
+
+// File extensions loaded from the plugin directory
+const PLUGIN_EXTENSIONS = ['.js', '.mjs'];
+
+/**
+ * Import a plugin module
+ *
+ * @param {string} filePath - Absolute path of the module
+ * @returns {Promise<Object>} Tool module ({ name, register, source })
+ */
+async function importToolModule(filePath) {
+  const module = await import(pathToFileURL(filePath).href);
+  const register = module.register || module.default;
+
+  if (typeof register !== 'function') {
+    throw new Error(`[Plugins] ${filePath} does not export a register function`);
+  }
+
+  return {
+    name: module.name || path.basename(filePath, path.extname(filePath)),
+    register,
+    source: filePath
+  };
+}
+
+/**
+ * List the plugin module files configured for the server
+ *
+ * @param {Object} pluginConfig - The `plugins` section of the configuration
+ * @param {string} configDir - Directory of the configuration file
+ * @returns {Array<string>} Absolute paths of the module files
+ */
+function listPluginFiles(pluginConfig, configDir) {
+  const files = [];
+
+  const directory = path.resolve(configDir, pluginConfig.directory || DEFAULT_PLUGIN_DIRECTORY);
+  if (fs.existsSync(directory)) {
+    for (const file of fs.readdirSync(directory).sort()) {
+      if (PLUGIN_EXTENSIONS.includes(path.extname(file))) {
+        files.push(path.join(directory, file));
+      }
+    }
+  } else if (pluginConfig.directory) {
+    logger.warn(`[Plugins] Plugin directory not found: ${directory}`);
+  }
+
+  for (const modulePath of pluginConfig.modules || []) {
+    const filePath = path.resolve(configDir, modulePath);
+    if (!files.includes(filePath)) {
+      files.push(filePath);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Resolve the tool modules to load
+ *
+ * Plugin modules with the same name as a built-in module replace it. Modules that fail
+ * to load are skipped.
+ *
+ * @param {Object} config - Server configuration
+ * @param {string} configPath - Path to the configuration file
+ * @returns {Promise<Array<Object>>} Tool modules ({ name, register, source })
+ */
+export async function resolveToolModules(config, configPath) {
+  const pluginConfig = config.plugins || {};
+  const modules = new Map();
+
+  for (const module of BUILTIN_TOOL_MODULES) {
+    modules.set(module.name, { ...module, source: 'built-in' });
+  }
+
+  for (const filePath of listPluginFiles(pluginConfig, path.dirname(configPath))) {
+    try {
+      const module = await importToolModule(filePath);
+
+      if (modules.has(module.name)) {
+        logger.info(`[Plugins] Plugin ${filePath} replaces tool module: ${module.name}`);
+      }
+      modules.set(module.name, module);
+    } catch (error) {
+      logger.error(`[Plugins] Error loading plugin ${filePath}:`, error);
+    }
+  }
+
+  const enabled = Array.isArray(pluginConfig.enabled) ? pluginConfig.enabled : null;
+  const disabled = pluginConfig.disabled || [];
+
+  return Array.from(modules.values()).filter(module => {
+    if ((enabled && !enabled.includes(module.name)) || disabled.includes(module.name)) {
+      logger.info(`[Plugins] Tool module disabled: ${module.name}`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Load the tool modules and register their tools with the server
+ *
+ * @param {Server} server - The MCP server instance
+ * @param {Object} options - Plugin options
+ * @param {Object} options.config - Server configuration
+ * @param {string} options.configPath - Path to the configuration file
+ * @param {SiteManager} options.siteManager - The site manager instance
+ * @param {Function} options.registerToolHandler - Function to register a tool handler
+ * @returns {Promise<Array<string>>} Names of the loaded modules
+ */
+export async function loadToolModules(server, options) {
+  const { config, configPath, siteManager, registerToolHandler } = options;
+  const loaded = [];
+
+  for (const module of await resolveToolModules(config, configPath)) {
+    try {
+      await module.register(server, { siteManager, registerToolHandler });
+      loaded.push(module.name);
+      logger.debug(`[Plugins] Loaded tool module ${module.name} (${module.source})`);
+    } catch (error) {
+      logger.error(`[Plugins] Error registering tool module ${module.name}:`, error);
+    }
+  }
+
+  logger.info(`[Plugins] Loaded ${loaded.length} tool modules: ${loaded.join(', ')}`);
+
+  return loaded;
+}
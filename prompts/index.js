@@ -0,0 +1,346 @@
+/**
+ * Prompts for WordPress MCP Server
+ *
+ * This module implements the MCP prompts capability. It serves the built-in prompt
+ * library and any prompt definitions (`*.json`) found in the `prompts` directory next
+ * to the configuration file, so each team can add their own editorial and store workflows.
+ *
+ * Every prompt accepts an optional `site_id` argument (defaults to the active site) and
+ * pulls live data through the same WordPress and WooCommerce clients as the tools. Each data
+ * entry follows the access rules of a tool: the one named in its `tool` field, or else the
+ * list tool of the collection its rendered endpoint reads (e.g. `list_orders` for
+ * `orders/{{order_id}}`). Values substituted into an endpoint are URI-encoded, so an
+ * argument cannot move the request to another collection.
+ *
+ * @see https://modelcontextprotocol.io/docs/concepts/prompts
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import {
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  McpError
+} from '@modelcontextprotocol/sdk/types.js';
+import { builtinPrompts } from './library.js';
+import { logger } from '../logging/index.js';
+
+// Placeholder syntax: {{name}} or {{name.path}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Argument added to every prompt
+const SITE_ID_ARGUMENT = {
+  name: 'site_id',
+  description: 'Site ID (defaults to active site if not provided)',
+  required: false
+};
+
+/**
+ * Get the tool whose access rules apply to a prompt data entry
+ *
+ * @param {Object} entry - Data entry ({ source, endpoint, tool })
+ * @returns {string} Tool name
+ */
+export function getDataEntryTool(entry) {
+  if (entry.tool) {
+    return entry.tool;
+  }
+
+  // WordPress endpoints start with a namespace (/wp/v2/posts), WooCommerce endpoints with the collection (orders/42)
+  const segments = entry.endpoint.replace(/^\//, '').split('/');
+  const collection = entry.source === 'wp' ? segments[2] : segments[0];
+  return `list_${collection}`;
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ *
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve a dotted path in the template variables
+ *
+ * @param {Object} variables - Template variables
+ * @param {string} key - Dotted path (e.g. 'category.name')
+ * @returns {*} Value or undefined
+ */
+function resolveVariable(variables, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), variables);
+}
+
+/**
+ * Replace placeholders in a string
+ *
+ * Objects and arrays are rendered as formatted JSON. A string that consists of a single
+ * placeholder keeps the raw value when `raw` is set, so numeric params stay numbers.
+ *
+ * @param {string} template - Template string
+ * @param {Object} variables - Template variables
+ * @param {boolean} raw - Whether to return a raw value for a single placeholder
+ * @returns {*} Rendered value
+ */
+export function renderTemplate(template, variables, raw = false) {
+  if (raw) {
+    const single = /^\{\{\s*([\w.]+)\s*\}\}$/.exec(template);
+    if (single) {
+      return resolveVariable(variables, single[1]);
+    }
+  }
+
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+    const value = resolveVariable(variables, key);
+
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+  });
+}
+
+/**
+ * Replace placeholders in an endpoint
+ *
+ * Each value is URI-encoded so it stays within its path segment (e.g. `1?context=edit`
+ * or `../users`). A value that renders as a `.` or `..` segment is rejected, as URL
+ * parsing would resolve it against the rest of the path.
+ *
+ * @param {string} template - Endpoint template (e.g. 'orders/{{order_id}}')
+ * @param {Object} variables - Template variables
+ * @returns {string} Rendered endpoint
+ * @throws {McpError} If a value would render as a relative path segment
+ */
+export function renderEndpoint(template, variables) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+    const value = resolveVariable(variables, key);
+
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    const segment = encodeURIComponent(typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+    if (segment === '.' || segment === '..') {
+      throw new McpError(ErrorCode.InvalidParams, `Invalid value for ${key}: ${segment}`);
+    }
+
+    return segment;
+  });
+}
+
+/**
+ * Check that a prompt definition has the required fields
+ *
+ * @param {Object} prompt - Prompt definition
+ * @returns {string|null} Error message or null if the definition is valid
+ */
+function checkPromptDefinition(prompt) {
+  if (!prompt || typeof prompt !== 'object') {
+    return 'definition must be an object';
+  }
+  if (typeof prompt.name !== 'string' || !prompt.name) {
+    return 'missing required field: name';
+  }
+  if (typeof prompt.template !== 'string') {
+    return 'missing required field: template';
+  }
+  if (prompt.arguments && !Array.isArray(prompt.arguments)) {
+    return 'arguments must be an array';
+  }
+  if (prompt.data && !Array.isArray(prompt.data)) {
+    return 'data must be an array';
+  }
+
+  for (const entry of prompt.data || []) {
+    if (!entry.name || !entry.endpoint || !['wp', 'woo'].includes(entry.source)) {
+      return 'each data entry needs a name, an endpoint and a source of "wp" or "woo"';
+    }
+    if (entry.tool !== undefined && typeof entry.tool !== 'string') {
+      return 'the tool of a data entry must be a tool name';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load prompt definitions from a directory
+ *
+ * Each `*.json` file holds a single prompt definition or an array of definitions.
+ * Invalid files are skipped.
+ *
+ * @param {string} directory - Directory to load prompts from
+ * @returns {Array<Object>} Prompt definitions
+ */
+export function loadPromptDefinitions(directory) {
+  if (!directory || !fs.existsSync(directory)) {
+    return [];
+  }
+
+  const prompts = [];
+
+  for (const file of fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort()) {
+    const filePath = path.join(directory, file);
+
+    try {
+      const definitions = [].concat(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+
+      for (const definition of definitions) {
+        const error = checkPromptDefinition(definition);
+
+        if (error) {
+          logger.warn(`[Prompts] Skipping invalid prompt in ${filePath}: ${error}`);
+          continue;
+        }
+
+        prompts.push(definition);
+      }
+    } catch (error) {
+      logger.error(`[Prompts] Error loading prompts from ${filePath}:`, error.message);
+    }
+  }
+
+  logger.info(`[Prompts] Loaded ${prompts.length} prompts from ${directory}`);
+
+  return prompts;
+}
+
+/**
+ * Register prompts with the MCP server
+ *
+ * @param {Server} server - The MCP server instance
+ * @param {Object} options - Prompt options
+ * @param {SiteManager} options.siteManager - The site manager instance
+ * @param {string} options.configPath - Path to the configuration file
+ * @param {Function} options.findDenyingScope - Function that returns the access scope denying a tool on a site, if any
+ */
+export function registerPrompts(server, options) {
+  logger.info('[Prompts] Registering prompts');
+
+  const { siteManager, configPath, findDenyingScope } = options;
+
+  // Custom prompts override built-in prompts with the same name
+  const prompts = new Map();
+  for (const prompt of builtinPrompts) {
+    prompts.set(prompt.name, prompt);
+  }
+
+  const promptsDir = path.join(path.dirname(configPath), 'prompts');
+  for (const prompt of loadPromptDefinitions(promptsDir)) {
+    if (prompts.has(prompt.name)) {
+      logger.info(`[Prompts] Custom prompt overrides built-in prompt: ${prompt.name}`);
+    }
+    prompts.set(prompt.name, prompt);
+  }
+
+  /**
+   * Fetch a data entry for a prompt
+   *
+   * @param {Object} entry - Data entry from the prompt definition
+   * @param {Object} variables - Template variables
+   * @returns {Promise<*>} Response data
+   */
+  async function fetchData(entry, variables) {
+    const siteId = variables.site_id || siteManager.getActiveSite()?.id;
+
+    if (!siteId) {
+      throw new Error('[Prompts] No site_id provided and no active site set');
+    }
+
+    // Check access against the endpoint that is actually requested
+    const endpoint = renderEndpoint(entry.endpoint, variables);
+    const tool = getDataEntryTool({ ...entry, endpoint });
+    const denyingScope = findDenyingScope(tool, siteId);
+    if (denyingScope) {
+      throw new McpError(ErrorCode.InvalidRequest, `Prompt data '${entry.name}' needs tool '${tool}', which is not allowed for ${denyingScope.label}`);
+    }
+
+    const params = {};
+    for (const [key, value] of Object.entries(entry.params || {})) {
+      params[key] = typeof value === 'string' ? renderTemplate(value, variables, true) : value;
+    }
+
+    if (entry.source === 'woo') {
+      const response = await siteManager.createClientForWoocommerce(siteId).get(endpoint.replace(/^\//, ''), params);
+      return response.data;
+    }
+
+    return siteManager.createClientForSite(siteId).client.get(endpoint, params);
+  }
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => {
+    return {
+      prompts: Array.from(prompts.values()).map(prompt => ({
+        name: prompt.name,
+        description: prompt.description,
+        arguments: [
+          ...(prompt.arguments || []).map(({ name, description, required }) => ({
+            name,
+            description,
+            required: Boolean(required)
+          })),
+          SITE_ID_ARGUMENT
+        ]
+      }))
+    };
+  });
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: args = {} } = request.params;
+    logger.info(`[Prompts] Getting prompt: ${name}`);
+
+    const prompt = prompts.get(name);
+
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const now = new Date();
+    const variables = {
+      today: formatDate(now),
+      yesterday: formatDate(new Date(now.getTime() - 24 * 60 * 60 * 1000)),
+      site_id: args.site_id
+    };
+
+    // Apply arguments and their defaults
+    for (const argument of prompt.arguments || []) {
+      const value = args[argument.name];
+
+      if (value !== undefined && value !== '') {
+        variables[argument.name] = value;
+      } else if (argument.default !== undefined) {
+        variables[argument.name] = renderTemplate(String(argument.default), variables);
+      } else if (argument.required) {
+        throw new McpError(ErrorCode.InvalidParams, `Missing required argument for prompt '${name}': ${argument.name}`);
+      }
+    }
+
+    // Fetch the live data
+    const data = await Promise.all(
+      (prompt.data || []).map(entry => fetchData(entry, variables))
+    );
+    (prompt.data || []).forEach((entry, index) => {
+      variables[entry.name] = data[index];
+    });
+
+    return {
+      description: prompt.description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: renderTemplate(prompt.template, variables)
+          }
+        }
+      ]
+    };
+  });
+
+  logger.info(`[Prompts] ${prompts.size} prompts registered`);
+}
@@ -0,0 +1,220 @@
+/**
+ * Tests for the Prompts Module
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { GetPromptRequestSchema, ListPromptsRequestSchema, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { configureLogging } from '../logging/index.js';
+import { getDataEntryTool, loadPromptDefinitions, registerPrompts, renderEndpoint, renderTemplate } from './index.js';
+
+let directory;
+
+beforeAll(() => {
+  configureLogging({ level: 'error' });
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpress-mcp-prompts-'));
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+/**
+ * Write prompt definition files to a new prompts directory
+ *
+ * @param {Object} files - File contents by file name
+ * @returns {string} Path to the configuration file next to the prompts directory
+ */
+function writePrompts(files) {
+  const configDir = fs.mkdtempSync(path.join(directory, 'config-'));
+  fs.mkdirSync(path.join(configDir, 'prompts'));
+
+  for (const [file, content] of Object.entries(files)) {
+    fs.writeFileSync(path.join(configDir, 'prompts', file), typeof content === 'string' ? content : JSON.stringify(content));
+  }
+
+  return path.join(configDir, 'config.json');
+}
+
+describe('renderTemplate', () => {
+  const variables = { name: 'Shop', count: 5, category: { name: 'News', parent: null }, tags: ['a', 'b'] };
+
+  test('replaces placeholders, including dotted paths', () => {
+    expect(renderTemplate('{{ name }} has {{count}} posts in {{category.name}}', variables)).toBe('Shop has 5 posts in News');
+  });
+
+  test('renders objects and arrays as JSON', () => {
+    expect(renderTemplate('{{tags}}', variables)).toBe(JSON.stringify(['a', 'b'], null, 2));
+  });
+
+  test('renders missing values as empty strings', () => {
+    expect(renderTemplate('[{{missing}}][{{category.parent}}][{{category.missing.name}}]', variables)).toBe('[][][]');
+  });
+
+  test('keeps the raw value of a single placeholder when asked', () => {
+    expect(renderTemplate('{{count}}', variables, true)).toBe(5);
+    expect(renderTemplate('{{count}}', variables)).toBe('5');
+    expect(renderTemplate('{{count}} posts', variables, true)).toBe('5 posts');
+  });
+});
+
+describe('renderEndpoint', () => {
+  test('encodes values so they stay within their path segment', () => {
+    expect(renderEndpoint('/wp/v2/categories/{{id}}', { id: 12 })).toBe('/wp/v2/categories/12');
+    expect(renderEndpoint('/wp/v2/categories/{{id}}', { id: '1?context=edit' })).toBe('/wp/v2/categories/1%3Fcontext%3Dedit');
+    expect(renderEndpoint('orders/{{id}}', { id: '../customers' })).toBe('orders/..%2Fcustomers');
+    expect(renderEndpoint('orders/{{id}}', { id: '1#fragment' })).toBe('orders/1%23fragment');
+  });
+
+  test('rejects values that render as relative path segments', () => {
+    for (const id of ['.', '..']) {
+      expect(() => renderEndpoint('/wp/v2/categories/{{id}}', { id })).toThrow(McpError);
+    }
+  });
+});
+
+describe('getDataEntryTool', () => {
+  test.each([
+    [{ source: 'wp', endpoint: '/wp/v2/posts' }, 'list_posts'],
+    [{ source: 'wp', endpoint: '/wp/v2/categories/12' }, 'list_categories'],
+    [{ source: 'woo', endpoint: 'orders/42' }, 'list_orders'],
+    [{ source: 'woo', endpoint: '/products' }, 'list_products'],
+    [{ source: 'wp', endpoint: '/wp/v2/categories/12', tool: 'list_posts' }, 'list_posts']
+  ])('%j needs %s', (entry, expected) => {
+    expect(getDataEntryTool(entry)).toBe(expected);
+  });
+});
+
+describe('loadPromptDefinitions', () => {
+  test('loads single definitions and arrays of definitions, in file name order', () => {
+    const configPath = writePrompts({
+      'b.json': [
+        { name: 'second', template: 'Second' },
+        { name: 'third', template: 'Third' }
+      ],
+      'a.json': { name: 'first', template: 'First' },
+      'notes.txt': 'not a prompt'
+    });
+
+    expect(loadPromptDefinitions(path.join(path.dirname(configPath), 'prompts')).map(prompt => prompt.name))
+      .toEqual(['first', 'second', 'third']);
+  });
+
+  test('skips invalid definitions and unreadable files', () => {
+    const configPath = writePrompts({
+      'broken.json': '{ "name": ',
+      'invalid.json': [
+        { template: 'No name' },
+        { name: 'no_template' },
+        { name: 'bad_source', template: 'x', data: [{ name: 'd', source: 'ftp', endpoint: 'files' }] },
+        { name: 'bad_tool', template: 'x', data: [{ name: 'd', source: 'wp', endpoint: '/wp/v2/posts', tool: 42 }] },
+        { name: 'valid', template: 'x', data: [{ name: 'd', source: 'woo', endpoint: 'orders' }] }
+      ]
+    });
+
+    expect(loadPromptDefinitions(path.join(path.dirname(configPath), 'prompts')).map(prompt => prompt.name)).toEqual(['valid']);
+  });
+
+  test('returns no definitions without a prompts directory', () => {
+    expect(loadPromptDefinitions(path.join(directory, 'missing'))).toEqual([]);
+    expect(loadPromptDefinitions(undefined)).toEqual([]);
+  });
+});
+
+describe('registerPrompts', () => {
+  /**
+   * Register prompts against fake server and site clients
+   *
+   * @param {Object} options - Test options
+   * @param {Object} options.files - Custom prompt files
+   * @param {Array<string>} options.deniedTools - Tools the access rules deny
+   * @returns {Object} Prompt handlers and client mocks ({ listPrompts, getPrompt, wpGet, wooGet })
+   */
+  const setup = ({ files = {}, deniedTools = [] } = {}) => {
+    const handlers = new Map();
+    const server = { setRequestHandler: (schema, handler) => handlers.set(schema, handler) };
+
+    const wpGet = jest.fn(async (endpoint) => ({ endpoint }));
+    const wooGet = jest.fn(async (endpoint) => ({ data: { endpoint } }));
+    const siteManager = {
+      getActiveSite: () => ({ id: 'blog' }),
+      createClientForSite: () => ({ client: { get: wpGet } }),
+      createClientForWoocommerce: () => ({ get: wooGet })
+    };
+
+    registerPrompts(server, {
+      siteManager,
+      configPath: writePrompts(files),
+      findDenyingScope: (name) => (deniedTools.includes(name) ? { label: 'site blog' } : null)
+    });
+
+    return {
+      listPrompts: () => handlers.get(ListPromptsRequestSchema)({ params: {} }),
+      getPrompt: (name, args) => handlers.get(GetPromptRequestSchema)({ params: { name, arguments: args } }),
+      wpGet,
+      wooGet
+    };
+  };
+
+  test('lists the built-in and custom prompts with a site_id argument', async () => {
+    const { listPrompts } = setup({ files: { 'custom.json': { name: 'custom', template: 'Hello' } } });
+    const { prompts } = await listPrompts();
+
+    expect(prompts.map(prompt => prompt.name)).toEqual(['draft_post', 'write_product_copy', 'summarize_orders', 'custom']);
+    expect(prompts[3].arguments).toEqual([expect.objectContaining({ name: 'site_id', required: false })]);
+  });
+
+  test('renders a prompt with its arguments, defaults and fetched data', async () => {
+    const { getPrompt, wooGet } = setup();
+    const result = await getPrompt('write_product_copy', { product_id: '42' });
+
+    expect(wooGet).toHaveBeenCalledWith('products/42', expect.objectContaining({ _fields: expect.any(String) }));
+    expect(result.messages[0].content.text).toContain('in a friendly and persuasive tone');
+    expect(result.messages[0].content.text).toContain('"endpoint": "products/42"');
+  });
+
+  test('rejects unknown prompts and missing required arguments', async () => {
+    const { getPrompt } = setup();
+
+    await expect(getPrompt('missing', {})).rejects.toThrow('Unknown prompt: missing');
+    await expect(getPrompt('draft_post', {})).rejects.toThrow('Missing required argument for prompt \'draft_post\': category_id');
+  });
+
+  test('keeps a path-injecting argument within the authorised collection', async () => {
+    const { getPrompt, wpGet, wooGet } = setup({ deniedTools: ['list_users', 'list_customers'] });
+
+    await getPrompt('draft_post', { category_id: '../../users' });
+    await getPrompt('draft_post', { category_id: '1?context=edit' });
+    await getPrompt('write_product_copy', { product_id: '../customers' });
+
+    expect(wpGet.mock.calls.map(([endpoint]) => endpoint)).toEqual([
+      '/wp/v2/categories/..%2F..%2Fusers',
+      '/wp/v2/posts',
+      '/wp/v2/categories/1%3Fcontext%3Dedit',
+      '/wp/v2/posts'
+    ]);
+    expect(wooGet).toHaveBeenCalledWith('products/..%2Fcustomers', expect.any(Object));
+
+    await expect(getPrompt('draft_post', { category_id: '..' })).rejects.toThrow('Invalid value for category_id: ..');
+  });
+
+  test('checks access against the rendered endpoint', async () => {
+    const { getPrompt, wpGet } = setup({
+      deniedTools: ['list_users'],
+      files: {
+        'collection.json': {
+          name: 'collection',
+          arguments: [{ name: 'type', required: true }],
+          data: [{ name: 'items', source: 'wp', endpoint: '/wp/v2/{{type}}' }],
+          template: '{{items}}'
+        }
+      }
+    });
+
+    await expect(getPrompt('collection', { type: 'tags' })).resolves.toBeDefined();
+    await expect(getPrompt('collection', { type: 'users' }))
+      .rejects.toThrow('Prompt data \'items\' needs tool \'list_users\', which is not allowed for site blog');
+    expect(wpGet.mock.calls.map(([endpoint]) => endpoint)).toEqual(['/wp/v2/tags']);
+  });
+});
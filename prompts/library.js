@@ -0,0 +1,123 @@
+/**
+ * Built-in Prompt Library for WordPress MCP Server
+ *
+ * Prompt definitions use the same format as the JSON files loaded from the
+ * `prompts` directory next to `config.json`:
+ *
+ * - `name`, `description` and `arguments` are advertised through prompts/list
+ * - `data` lists the live data to fetch before rendering. Each entry has a `name`,
+ *   a `source` ('wp' for the WordPress REST API or 'woo' for the WooCommerce REST API),
+ *   an `endpoint`, optional `params` and an optional `tool` whose access rules apply
+ *   (default: the list tool of the endpoint's collection)
+ * - `template` is the prompt text. `{{name}}` placeholders are replaced with argument
+ *   values, fetched data (as JSON) and the built-in `today` and `yesterday` dates
+ */
+
+export const builtinPrompts = [
+  {
+    name: 'draft_post',
+    description: 'Draft a new blog post for a category, in the style of its recent posts',
+    arguments: [
+      {
+        name: 'category_id',
+        description: 'Category ID',
+        required: true
+      },
+      {
+        name: 'topic',
+        description: 'Topic of the post',
+        default: 'a topic that fits the category'
+      }
+    ],
+    data: [
+      {
+        name: 'category',
+        source: 'wp',
+        endpoint: '/wp/v2/categories/{{category_id}}',
+        tool: 'list_posts',
+        params: { _fields: 'id,name,description,count' }
+      },
+      {
+        name: 'recent_posts',
+        source: 'wp',
+        endpoint: '/wp/v2/posts',
+        params: { categories: '{{category_id}}', per_page: 5, _fields: 'id,title,excerpt,date,link' }
+      }
+    ],
+    template: [
+      'Draft a new blog post about {{topic}} for the category described below.',
+      'Match the tone and length of the recent posts in that category and do not repeat their subjects.',
+      'Return a title, an excerpt and the post content as HTML, then create it as a draft with the create_post tool.',
+      '',
+      'Category:',
+      '{{category}}',
+      '',
+      'Recent posts in this category:',
+      '{{recent_posts}}'
+    ].join('\n')
+  },
+  {
+    name: 'write_product_copy',
+    description: 'Write product copy (description and short description) for a WooCommerce product',
+    arguments: [
+      {
+        name: 'product_id',
+        description: 'Product ID',
+        required: true
+      },
+      {
+        name: 'tone',
+        description: 'Tone of voice',
+        default: 'friendly and persuasive'
+      }
+    ],
+    data: [
+      {
+        name: 'product',
+        source: 'woo',
+        endpoint: 'products/{{product_id}}',
+        params: { _fields: 'id,name,type,sku,price,regular_price,sale_price,description,short_description,categories,attributes,tags' }
+      }
+    ],
+    template: [
+      'Write new product copy for the WooCommerce product below in a {{tone}} tone.',
+      'Provide a full description (HTML) and a short description of at most two sentences.',
+      'Only state facts that are supported by the product data. Apply the copy with the update_product tool once it is approved.',
+      '',
+      'Product:',
+      '{{product}}'
+    ].join('\n')
+  },
+  {
+    name: 'summarize_orders',
+    description: 'Summarize the WooCommerce orders placed on a given day (yesterday by default)',
+    arguments: [
+      {
+        name: 'date',
+        description: 'Day to summarize (YYYY-MM-DD)',
+        default: '{{yesterday}}'
+      }
+    ],
+    data: [
+      {
+        name: 'orders',
+        source: 'woo',
+        endpoint: 'orders',
+        params: {
+          after: '{{date}}T00:00:00',
+          before: '{{date}}T23:59:59',
+          per_page: 100,
+          _fields: 'id,status,total,currency,date_created,payment_method_title,line_items,billing.country'
+        }
+      }
+    ],
+    template: [
+      'Summarize the WooCommerce orders placed on {{date}}.',
+      'Include the number of orders, revenue per currency, a breakdown by status, the best-selling products',
+      'and anything unusual (failed payments, large orders, refunds) that needs attention.',
+      '',
+      'Orders:',
+      '{{orders}}'
+    ].join('\n')
+  }
+];
@@ -0,0 +1,231 @@
+/**
+ * Request Retries and Circuit Breaker
+ *
+ * The WordPress and WooCommerce clients retry requests that fail with a retryable error
+ * (network errors, timeouts, 408, 429 and 5xx responses) with exponential backoff and full
+ * jitter. A `Retry-After` header sets the delay instead, and a request is not retried if the
+ * server asks to wait longer than `maxDelay`. Only idempotent methods are retried by default, so a
+ * POST that may already have created an object is never sent twice.
+ *
+ * Each site also has a circuit breaker: after `failureThreshold` consecutive failures that
+ * suggest the site is down, requests fail immediately for `resetTimeout` milliseconds. The
+ * next request then probes the site, and closes the circuit again if it succeeds. Other
+ * requests keep failing fast while the probe is in flight.
+ */
+import { ApiError } from '../errors/index.js';
+import { logger } from '../logging/index.js';
+
+// Default retry settings
+export const RETRY_DEFAULTS = {
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 10000,
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+};
+
+// Default circuit breaker settings
+export const CIRCUIT_BREAKER_DEFAULTS = {
+  failureThreshold: 5,
+  resetTimeout: 30000
+};
+
+// Circuit breakers keyed by site URL, shared by all clients of a site
+const circuitBreakers = new Map();
+
+/**
+ * Wait for a delay
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a `Retry-After` header
+ *
+ * @param {string|null} value - Header value (seconds or an HTTP date)
+ * @returns {number|undefined} Delay in milliseconds, or undefined if the header is missing or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return undefined;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the delay before retrying a request
+ *
+ * @param {number} attempt - Number of the failed attempt (0 for the first request)
+ * @param {Object} options - Retry settings ({ minDelay, maxDelay })
+ * @param {number} retryAfter - Delay requested by the server, in milliseconds
+ * @returns {number|null} Delay in milliseconds, or null if the server asks to wait longer than `maxDelay`
+ */
+export function getRetryDelay(attempt, options, retryAfter) {
+  if (retryAfter !== undefined) {
+    return retryAfter <= options.maxDelay ? retryAfter : null;
+  }
+
+  const ceiling = Math.min(options.maxDelay, options.minDelay * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Check whether a failed request may be retried
+ *
+ * @param {string} method - HTTP method
+ * @param {ApiError} error - Request error
+ * @param {number} attempt - Number of the failed attempt (0 for the first request)
+ * @param {Object} options - Retry settings ({ retries, methods })
+ * @returns {boolean} True if the request may be sent again
+ */
+export function isRetryable(method, error, attempt, options) {
+  return attempt < options.retries &&
+    error.retryable === true &&
+    error.code !== 'circuit_open' &&
+    options.methods.includes(method);
+}
+
+/**
+ * Circuit breaker of a site
+ */
+export class CircuitBreaker {
+  /**
+   * Create a new circuit breaker
+   *
+   * @param {string} name - Name used in messages (the site URL)
+   * @param {Object} options - Circuit breaker settings
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 5)
+   * @param {number} options.resetTimeout - Time the circuit stays open, in milliseconds (default: 30000)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.configure(options);
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Update the settings
+   *
+   * @param {Object} options - Circuit breaker settings ({ failureThreshold, resetTimeout })
+   */
+  configure(options = {}) {
+    this.failureThreshold = options.failureThreshold || CIRCUIT_BREAKER_DEFAULTS.failureThreshold;
+    this.resetTimeout = options.resetTimeout || CIRCUIT_BREAKER_DEFAULTS.resetTimeout;
+  }
+
+  /**
+   * Get the state of the circuit
+   *
+   * @returns {string} closed, open or half_open (the next request probes the site)
+   */
+  get state() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+
+    return Date.now() - this.openedAt < this.resetTimeout ? 'open' : 'half_open';
+  }
+
+  /**
+   * Fail fast while the circuit is open
+   *
+   * When the circuit is half open, the first request becomes the probe and the others fail
+   * until its outcome is recorded.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @throws {ApiError} If the circuit is open, or half open with a probe in flight
+   */
+  assertClosed(method, url) {
+    const state = this.state;
+
+    if (state === 'closed' || (state === 'half_open' && !this.probing)) {
+      this.probing = state === 'half_open';
+      return;
+    }
+
+    const retryAfter = state === 'open' ? this.resetTimeout - (Date.now() - this.openedAt) : undefined;
+    const reason = state === 'open'
+      ? `retry in ${Math.ceil(retryAfter / 1000)}s`
+      : 'a probe request is in flight';
+    throw new ApiError(
+      `[Client] ${method} ${url} refused: ${this.name} is unavailable after ${this.failures} consecutive failures, ${reason}`,
+      { category: 'unavailable', code: 'circuit_open', retryable: true, retryAfter, method, url }
+    );
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.openedAt !== null) {
+      logger.info(`[Circuit] ${this.name} is reachable again, closing the circuit`);
+    }
+
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  /**
+   * Record a failed request
+   *
+   * Only failures that suggest the site is down (network errors, timeouts and 5xx responses)
+   * count; client errors such as 404 show that the site is up.
+   *
+   * @param {ApiError} error - Request error
+   */
+  recordFailure(error) {
+    if (error.code === 'circuit_open') {
+      return;
+    }
+
+    // The probe is over; a client error leaves the circuit half open for the next request
+    this.probing = false;
+
+    if (error.category !== 'unavailable') {
+      return;
+    }
+
+    this.failures += 1;
+
+    // A failed probe opens the circuit again right away
+    if (this.failures >= this.failureThreshold || this.openedAt !== null) {
+      if (this.state !== 'open') {
+        logger.warn(`[Circuit] ${this.name} failed ${this.failures} times in a row, opening the circuit for ${this.resetTimeout}ms`);
+      }
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * Get the circuit breaker of a site
+ *
+ * @param {string} url - Site URL
+ * @param {Object} options - Circuit breaker settings ({ failureThreshold, resetTimeout })
+ * @returns {CircuitBreaker} Circuit breaker shared by all clients of the site
+ */
+export function getCircuitBreaker(url, options) {
+  let breaker = circuitBreakers.get(url);
+
+  if (!breaker) {
+    breaker = new CircuitBreaker(url, options);
+    circuitBreakers.set(url, breaker);
+  } else {
+    breaker.configure(options);
+  }
+
+  return breaker;
+}
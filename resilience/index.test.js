@@ -0,0 +1,212 @@
+/**
+ * Tests for the Request Retries and Circuit Breaker
+ */
+import { afterEach, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { ApiError } from '../errors/index.js';
+import { configureLogging } from '../logging/index.js';
+import { catchError } from '../testing/index.js';
+import {
+  CircuitBreaker,
+  getCircuitBreaker,
+  getRetryDelay,
+  isRetryable,
+  parseRetryAfter,
+  RETRY_DEFAULTS
+} from './index.js';
+
+beforeAll(() => {
+  configureLogging({ level: 'error' });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+/**
+ * Create the error of a failed request
+ *
+ * @param {string} category - Error category
+ * @param {Object} options - Extra error options
+ * @returns {ApiError} API error
+ */
+function apiError(category, options = {}) {
+  return new ApiError(`Request failed (${category})`, { category, retryable: category === 'unavailable', ...options });
+}
+
+describe('parseRetryAfter', () => {
+  test('reads a delay in seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter(' 0 ')).toBe(0);
+  });
+
+  test('reads an HTTP date', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+
+    expect(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT')).toBe(30000);
+    expect(parseRetryAfter('Wed, 31 Dec 2025 23:00:00 GMT')).toBe(0);
+  });
+
+  test('ignores missing and invalid values', () => {
+    expect(parseRetryAfter(null)).toBeUndefined();
+    expect(parseRetryAfter('')).toBeUndefined();
+    expect(parseRetryAfter('soon')).toBeUndefined();
+  });
+});
+
+describe('getRetryDelay', () => {
+  const options = { minDelay: 500, maxDelay: 4000 };
+
+  test('backs off exponentially with full jitter, up to maxDelay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.999999);
+
+    expect([0, 1, 2, 3, 4].map(attempt => getRetryDelay(attempt, options))).toEqual([500, 1000, 2000, 4000, 4000]);
+
+    Math.random.mockReturnValue(0.5);
+    expect(getRetryDelay(1, options)).toBe(500);
+  });
+
+  test('uses the delay the server asks for', () => {
+    expect(getRetryDelay(0, options, 3000)).toBe(3000);
+    expect(getRetryDelay(0, options, 0)).toBe(0);
+  });
+
+  test('gives up when the server asks to wait longer than maxDelay', () => {
+    expect(getRetryDelay(0, options, 60000)).toBeNull();
+  });
+});
+
+describe('isRetryable', () => {
+  test('retries retryable errors of idempotent methods', () => {
+    expect(isRetryable('GET', apiError('unavailable'), 0, RETRY_DEFAULTS)).toBe(true);
+    expect(isRetryable('PUT', apiError('unavailable'), 2, RETRY_DEFAULTS)).toBe(true);
+  });
+
+  test('does not retry a POST by default', () => {
+    expect(isRetryable('POST', apiError('unavailable'), 0, RETRY_DEFAULTS)).toBe(false);
+    expect(isRetryable('POST', apiError('unavailable'), 0, { ...RETRY_DEFAULTS, methods: ['POST'] })).toBe(true);
+  });
+
+  test('stops after the configured number of retries', () => {
+    expect(isRetryable('GET', apiError('unavailable'), 3, RETRY_DEFAULTS)).toBe(false);
+    expect(isRetryable('GET', apiError('unavailable'), 0, { ...RETRY_DEFAULTS, retries: 0 })).toBe(false);
+  });
+
+  test('does not retry errors that will not go away or an open circuit', () => {
+    expect(isRetryable('GET', apiError('not_found'), 0, RETRY_DEFAULTS)).toBe(false);
+    expect(isRetryable('GET', apiError('unavailable', { code: 'circuit_open' }), 0, RETRY_DEFAULTS)).toBe(false);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  /**
+   * Create a breaker on a fake clock
+   *
+   * @param {Object} options - Circuit breaker settings
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  const createBreaker = (options = { failureThreshold: 3, resetTimeout: 10000 }) => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    return new CircuitBreaker('https://shop.example.com', options);
+  };
+
+  /**
+   * Create a call that asks the breaker to let a request through
+   *
+   * @param {CircuitBreaker} breaker - Circuit breaker
+   * @returns {Function} Function that throws if the request is refused
+   */
+  const request = breaker => () => breaker.assertClosed('GET', 'https://shop.example.com/wp-json/wp/v2/posts');
+
+  test('opens after consecutive failures that suggest the site is down', () => {
+    const breaker = createBreaker();
+
+    breaker.recordFailure(apiError('unavailable'));
+    breaker.recordFailure(apiError('unavailable'));
+    expect(breaker.state).toBe('closed');
+    expect(request(breaker)).not.toThrow();
+
+    breaker.recordFailure(apiError('unavailable'));
+    expect(breaker.state).toBe('open');
+    expect(catchError(request(breaker))).toMatchObject({ code: 'circuit_open', category: 'unavailable', retryable: true, retryAfter: 10000 });
+  });
+
+  test('does not count client errors, and a success resets the count', () => {
+    const breaker = createBreaker();
+
+    breaker.recordFailure(apiError('unavailable'));
+    breaker.recordFailure(apiError('not_found'));
+    breaker.recordFailure(apiError('validation'));
+    breaker.recordFailure(apiError('unavailable'));
+    breaker.recordSuccess();
+    breaker.recordFailure(apiError('unavailable'));
+    breaker.recordFailure(apiError('unavailable'));
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('lets a single probe through once the reset timeout has passed', () => {
+    const breaker = createBreaker();
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure(apiError('unavailable'));
+    }
+
+    jest.advanceTimersByTime(10000);
+    expect(breaker.state).toBe('half_open');
+
+    // The first request probes the site; the others fail fast until it completes
+    expect(request(breaker)).not.toThrow();
+    expect(catchError(request(breaker))).toMatchObject({ code: 'circuit_open', message: expect.stringContaining('a probe request is in flight') });
+    expect(catchError(request(breaker))).toMatchObject({ code: 'circuit_open' });
+
+    // Refused requests are not failures of the site
+    breaker.recordFailure(catchError(request(breaker)));
+    expect(breaker.state).toBe('half_open');
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+    expect(request(breaker)).not.toThrow();
+    expect(request(breaker)).not.toThrow();
+  });
+
+  test('opens again right away when the probe fails', () => {
+    const breaker = createBreaker();
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure(apiError('unavailable'));
+    }
+
+    jest.advanceTimersByTime(10000);
+    expect(request(breaker)).not.toThrow();
+
+    breaker.recordFailure(apiError('unavailable'));
+    expect(breaker.state).toBe('open');
+    expect(catchError(request(breaker))).toMatchObject({ code: 'circuit_open', retryAfter: 10000 });
+  });
+
+  test('lets the next request probe after a probe that failed with a client error', () => {
+    const breaker = createBreaker();
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure(apiError('unavailable'));
+    }
+
+    jest.advanceTimersByTime(10000);
+    expect(request(breaker)).not.toThrow();
+
+    breaker.recordFailure(apiError('not_found'));
+    expect(breaker.state).toBe('half_open');
+    expect(request(breaker)).not.toThrow();
+    expect(catchError(request(breaker))).toMatchObject({ code: 'circuit_open' });
+  });
+});
+
+describe('getCircuitBreaker', () => {
+  test('shares one breaker per site and applies the latest settings', () => {
+    const first = getCircuitBreaker('https://shared.example.com', { failureThreshold: 2, resetTimeout: 1000 });
+    const second = getCircuitBreaker('https://shared.example.com', { failureThreshold: 4, resetTimeout: 5000 });
+
+    expect(second).toBe(first);
+    expect(first).toMatchObject({ failureThreshold: 4, resetTimeout: 5000 });
+    expect(getCircuitBreaker('https://other.example.com', {})).not.toBe(first);
+    expect(getCircuitBreaker('https://defaults.example.com', {})).toMatchObject({ failureThreshold: 5, resetTimeout: 30000 });
+  });
+});
@@ -0,0 +1,333 @@
+/**
+ * Content Resources for WordPress MCP Server
+ *
+ * This module exposes WordPress posts and pages and WooCommerce products as MCP resources,
+ * so clients can attach site content as context without making tool calls.
+ *
+ * Resource URIs:
+ * - wp://{site_id}/posts/{post_id}
+ * - wp://{site_id}/pages/{page_id}
+ * - woo://{site_id}/products/{product_id}
+ *
+ * Resources follow the tool access rules: a collection is only listed where its list tool
+ * (e.g. `list_posts`) is allowed, and only read where its read tool (e.g. `get_post`) is.
+ *
+ * @see https://modelcontextprotocol.io/docs/concepts/resources
+ */
+import {
+  ErrorCode,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  McpError,
+  ReadResourceRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../logging/index.js';
+
+// Number of items listed per content type, site and page of resources/list
+const LIST_PAGE_SIZE = 20;
+
+// Resource URI format: {scheme}://{site_id}/{collection}/{id}
+const RESOURCE_URI_PATTERN = /^(wp|woo):\/\/([^/]+)\/(posts|pages|products)\/(\d+)$/;
+
+// Supported resource collections
+const COLLECTIONS = {
+  posts: {
+    scheme: 'wp',
+    name: 'WordPress post',
+    tools: { list: 'list_posts', read: 'get_post' },
+    fetch: async (siteManager, siteId, id) => {
+      const client = siteManager.createClientForSite(siteId);
+      return formatPost(await client.client.get(`/wp/v2/posts/${id}`));
+    },
+    list: async (siteManager, siteId, page) => {
+      const client = siteManager.createClientForSite(siteId);
+      return client.client.get('/wp/v2/posts', { per_page: LIST_PAGE_SIZE, page, _fields: 'id,title,excerpt' });
+    },
+    describe: post => ({ title: post.title?.rendered, description: stripTags(post.excerpt?.rendered) })
+  },
+  pages: {
+    scheme: 'wp',
+    name: 'WordPress page',
+    tools: { list: 'list_pages', read: 'get_page' },
+    fetch: async (siteManager, siteId, id) => {
+      const client = siteManager.createClientForSite(siteId);
+      return formatPage(await client.client.get(`/wp/v2/pages/${id}`));
+    },
+    list: async (siteManager, siteId, page) => {
+      const client = siteManager.createClientForSite(siteId);
+      return client.client.get('/wp/v2/pages', { per_page: LIST_PAGE_SIZE, page, _fields: 'id,title,excerpt' });
+    },
+    describe: page => ({ title: page.title?.rendered, description: stripTags(page.excerpt?.rendered) })
+  },
+  products: {
+    scheme: 'woo',
+    name: 'WooCommerce product',
+    tools: { list: 'list_products', read: 'list_products' },
+    fetch: async (siteManager, siteId, id) => {
+      const client = siteManager.createClientForWoocommerce(siteId);
+      const response = await client.get(`products/${id}`);
+      return formatProduct(response.data);
+    },
+    list: async (siteManager, siteId, page) => {
+      const client = siteManager.createClientForWoocommerce(siteId);
+      const response = await client.get('products', { per_page: LIST_PAGE_SIZE, page });
+      return response.data;
+    },
+    describe: product => ({ title: product.name, description: stripTags(product.short_description) })
+  }
+};
+
+/**
+ * Remove HTML tags from rendered WordPress content
+ *
+ * @param {string} html - Rendered HTML
+ * @returns {string|undefined} Plain text
+ */
+function stripTags(html) {
+  if (!html) {
+    return undefined;
+  }
+
+  return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Format a post for a resource
+ *
+ * @param {Object} post - Post from the WordPress REST API
+ * @returns {Object} Formatted post
+ */
+function formatPost(post) {
+  return {
+    id: post.id,
+    title: post.title.rendered,
+    content: post.content.rendered,
+    excerpt: post.excerpt.rendered,
+    status: post.status,
+    date: post.date,
+    modified: post.modified,
+    link: post.link,
+    author: post.author,
+    featured_media: post.featured_media,
+    categories: post.categories,
+    tags: post.tags
+  };
+}
+
+/**
+ * Format a page for a resource
+ *
+ * @param {Object} page - Page from the WordPress REST API
+ * @returns {Object} Formatted page
+ */
+function formatPage(page) {
+  return {
+    id: page.id,
+    title: page.title.rendered,
+    content: page.content.rendered,
+    excerpt: page.excerpt.rendered,
+    status: page.status,
+    date: page.date,
+    modified: page.modified,
+    link: page.link,
+    author: page.author,
+    featured_media: page.featured_media,
+    parent: page.parent,
+    menu_order: page.menu_order,
+    template: page.template
+  };
+}
+
+/**
+ * Format a product for a resource
+ *
+ * @param {Object} product - Product from the WooCommerce REST API
+ * @returns {Object} Formatted product
+ */
+function formatProduct(product) {
+  return {
+    id: product.id,
+    name: product.name,
+    type: product.type,
+    status: product.status,
+    sku: product.sku,
+    price: product.price,
+    regular_price: product.regular_price,
+    sale_price: product.sale_price,
+    stock_status: product.stock_status,
+    stock_quantity: product.stock_quantity,
+    description: product.description,
+    short_description: product.short_description,
+    categories: product.categories,
+    images: (product.images || []).map(image => image.src),
+    permalink: product.permalink,
+    date_modified: product.date_modified
+  };
+}
+
+/**
+ * Build a resource URI
+ *
+ * @param {string} collection - Collection name (posts, pages or products)
+ * @param {string} siteId - Site ID
+ * @param {number} id - Object ID
+ * @returns {string} Resource URI
+ */
+export function buildResourceUri(collection, siteId, id) {
+  return `${COLLECTIONS[collection].scheme}://${encodeURIComponent(siteId)}/${collection}/${id}`;
+}
+
+/**
+ * Parse a resource URI
+ *
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} Object with collection, siteId and id, or null if the URI is not supported
+ */
+export function parseResourceUri(uri) {
+  const match = RESOURCE_URI_PATTERN.exec(uri);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, scheme, siteId, collection, id] = match;
+
+  if (COLLECTIONS[collection].scheme !== scheme) {
+    return null;
+  }
+
+  // A malformed escape (e.g. `%E0%A4%A`) makes the URI unsupported rather than an internal error
+  try {
+    return { collection, siteId: decodeURIComponent(siteId), id: parseInt(id, 10) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Register content resources with the MCP server
+ *
+ * @param {Server} server - The MCP server instance
+ * @param {Object} options - Resource options
+ * @param {SiteManager} options.siteManager - The site manager instance
+ * @param {Function} options.findDenyingScope - Function that returns the access scope denying a tool on a site, if any
+ */
+export function registerResources(server, options) {
+  logger.info('[Resources] Registering content resources');
+
+  const { siteManager, findDenyingScope } = options;
+
+  // Resource templates for discovery
+  const resourceTemplates = Object.entries(COLLECTIONS).map(([collection, { scheme, name }]) => ({
+    uriTemplate: `${scheme}://{site_id}/${collection}/{id}`,
+    name,
+    description: `A ${name} from a configured site`,
+    mimeType: 'application/json'
+  }));
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+    return { resourceTemplates };
+  });
+
+  // List resources page by page (the cursor is the page number)
+  server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+    const page = parseInt(request.params?.cursor || '1', 10) || 1;
+    const sites = siteManager.getAllSites();
+
+    logger.info(`[Resources] Listing resources for ${sites.length} sites, page ${page}`);
+
+    const lookups = [];
+    for (const site of sites) {
+      for (const [collection, definition] of Object.entries(COLLECTIONS)) {
+        // Only list products for sites with WooCommerce API keys
+        if (definition.scheme === 'woo' && (!site.consumerKey || !site.consumerSecret)) {
+          continue;
+        }
+
+        // Skip collections the access rules hide
+        if (findDenyingScope(definition.tools.list, site.id)) {
+          continue;
+        }
+
+        lookups.push(
+          definition.list(siteManager, site.id, page).then(items => ({ site, collection, items }))
+        );
+      }
+    }
+
+    const results = await Promise.allSettled(lookups);
+
+    const resources = [];
+    let hasMore = false;
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        // A site that is unreachable or has no such content should not hide the others
+        logger.error('[Resources] Error listing resources:', result.reason?.message || result.reason);
+        continue;
+      }
+
+      const { site, collection, items } = result.value;
+      const definition = COLLECTIONS[collection];
+
+      if (items.length === LIST_PAGE_SIZE) {
+        hasMore = true;
+      }
+
+      for (const item of items) {
+        const { title, description } = definition.describe(item);
+
+        resources.push({
+          uri: buildResourceUri(collection, site.id, item.id),
+          name: `${site.name}: ${title || `${definition.name} ${item.id}`}`,
+          description,
+          mimeType: 'application/json'
+        });
+      }
+    }
+
+    return {
+      resources,
+      ...(hasMore ? { nextCursor: String(page + 1) } : {})
+    };
+  });
+
+  // Read a single resource
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+    logger.info(`[Resources] Reading resource: ${uri}`);
+
+    const parsed = parseResourceUri(uri);
+
+    if (!parsed) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}`);
+    }
+
+    const { collection, siteId, id } = parsed;
+
+    if (!siteManager.getSiteById(siteId)) {
+      throw new McpError(ErrorCode.InvalidParams, `Site not found: ${siteId}`);
+    }
+
+    const { read } = COLLECTIONS[collection].tools;
+    const denyingScope = findDenyingScope(read, siteId);
+    if (denyingScope) {
+      logger.warn(`[Resources] Refused resource ${uri}: ${read} is not allowed for ${denyingScope.label}`);
+      throw new McpError(ErrorCode.InvalidRequest, `Resource not allowed: tool '${read}' is not allowed for ${denyingScope.label}`);
+    }
+
+    const data = await COLLECTIONS[collection].fetch(siteManager, siteId, id);
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(data, null, 2)
+        }
+      ]
+    };
+  });
+
+  logger.info('[Resources] Content resources registered');
+}
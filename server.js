@@ -4,17 +4,29 @@
  * This module implements the core MCP server for WordPress integration.
  */
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { CallToolRequestSchema, ListToolsRequestSchema, SetLevelRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { registerSiteTools } from './tools/site-tools.js';
-import { registerPostTools } from './tools/post-tools.js';
-import { registerPageTools } from './tools/page-tools.js';
-import { registerWooProductTools } from './tools/woo-product-tools.js';
-import { registerWooOrderTools } from './tools/woo-order-tools.js';
+import { registerAuditTools } from './tools/audit-tools.js';
+import { registerUndoTools } from './tools/undo-tools.js';
+import { registerMultiSiteTools } from './tools/multi-site-tools.js';
+import { loadToolModules } from './plugins/index.js';
+import { registerResources } from './resources/index.js';
+import { registerPrompts } from './prompts/index.js';
+import { validateToolArguments, createValidationErrorResult } from './validation/index.js';
+import { createToolAccessErrorResult, findDenyingScope } from './access/index.js';
+import { watchConfig } from './config/index.js';
+import { createErrorResult, ToolError } from './errors/index.js';
+import { createDryRunResult, runDryRun } from './dry-run/index.js';
+import { AuditLog, runAudited } from './audit/index.js';
+import { SnapshotStore, withChangeIds } from './snapshots/index.js';
+import { ConfirmationTokens, describeDestruction, requiresConfirmation } from './confirmation/index.js';
+import { recordToolCall, secondsSince } from './metrics/index.js';
 
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getSiteByKey } from './db/db_connect.js';
+import { fromMcpLevel, getLogLevel, LOG_LEVELS, logger, runWithLogSink, toMcpLevel } from './logging/index.js';
 
 // Get directory name in ESM
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -30,12 +42,14 @@ export class WordPressMcpServer {
    * @param {string} options.configPath - Path to the configuration file
    */
   constructor(options = {}) {
-    console.error('[Server:DEBUG] Constructor called with options:', JSON.stringify(options));
+    logger.debug('[Server:DEBUG] Constructor called with options:', options);
     
     this.configPath = options.configPath || path.join(__dirname, 'config.json');
+    this.accountKey = options.account_key;
     this.config = this.loadConfig();
     
-    this.renderInit(options.account_key);
+    // Initialization is asynchronous (account lookup, plugin modules); connect() waits for it
+    this.ready = this.renderInit(options.account_key);
   }
 
   async renderInit(account_key) {
@@ -73,11 +87,11 @@ export class WordPressMcpServer {
     
     // Store tool handlers
     this.toolHandlers = new Map();
-    console.error(`[Server:DEBUG] Initialized toolHandlers map: ${this.toolHandlers.size} entries`);
+    logger.debug(`[Server:DEBUG] Initialized toolHandlers map: ${this.toolHandlers.size} entries`);
     
     // Store tool definitions
     this.toolDefinitions = [];
-    console.error(`[Server:DEBUG] Initialized toolDefinitions array: ${this.toolDefinitions.length} entries`);
+    logger.debug(`[Server:DEBUG] Initialized toolDefinitions array: ${this.toolDefinitions.length} entries`);
     
     // Initialize the MCP server
     this.server = new Server(
@@ -87,26 +101,63 @@ export class WordPressMcpServer {
       },
       {
         capabilities: {
-          tools: {},
+          tools: { listChanged: true },
+          resources: {},
+          prompts: {},
+          logging: {},
         },
       }
     );
-    console.error('[Server:DEBUG] MCP Server instance created');
+    logger.debug('[Server:DEBUG] MCP Server instance created');
     
     // Set up error handling
     this.server.onerror = (error) => {
-      console.error('[MCP Error]', error);
+      logger.error('[MCP Error]', error);
     };
     
+    // Open the audit log of mutating tool calls
+    this.auditLog = new AuditLog({
+      file: path.resolve(path.dirname(this.configPath), this.config.audit?.file || 'audit.jsonl'),
+      enabled: this.config.audit?.enabled
+    });
+    
+    // Tokens that confirm destructive calls for clients without elicitation support
+    this.confirmationTokens = new ConfirmationTokens({ ttl: this.config.confirmation?.tokenTtl });
+    
+    // Keep the objects changed by update and delete tools so changes can be undone
+    this.snapshotStore = new SnapshotStore({
+      file: path.resolve(path.dirname(this.configPath), this.config.snapshots?.file || 'snapshots.json'),
+      limit: this.config.snapshots?.limit
+    });
+    
     // Register tools
-    this.registerTools();
-    console.error(`[Server:DEBUG] After registerTools: toolDefinitions has ${this.toolDefinitions.length} entries`);
+    await this.registerTools();
+    logger.debug(`[Server:DEBUG] After registerTools: toolDefinitions has ${this.toolDefinitions.length} entries`);
     
     // Register the centralized tool handlers
     this.registerCentralizedToolHandlers();
-    console.error(`[Server:DEBUG] After registerCentralizedToolHandlers: toolDefinitions has ${this.toolDefinitions.length} entries`);
+    logger.debug(`[Server:DEBUG] After registerCentralizedToolHandlers: toolDefinitions has ${this.toolDefinitions.length} entries`);
+    
+    // Register the content resources
+    registerResources(this.server, {
+      siteManager: this.siteManager,
+      findDenyingScope: (name, siteId) => this.findSiteToolDenyingScope(name, siteId)
+    });
     
-    console.error('[Server] WordPress MCP Server initialized');
+    // Register the prompt library
+    registerPrompts(this.server, {
+      siteManager: this.siteManager,
+      configPath: this.configPath,
+      findDenyingScope: (name, siteId) => this.findSiteToolDenyingScope(name, siteId)
+    });
+    
+    // Register the logging handler
+    this.registerLoggingHandler();
+    
+    // Pick up changes to the configuration file
+    this.watchConfigFile();
+    
+    logger.info('[Server] WordPress MCP Server initialized');
   }
   
   /**
@@ -120,7 +171,7 @@ export class WordPressMcpServer {
         return JSON.parse(configData);
       }
     } catch (error) {
-      console.error('[Config] Error loading configuration:', error);
+      logger.error('[Config] Error loading configuration:', error);
     }
     
     // Return default configuration
@@ -136,6 +187,52 @@ export class WordPressMcpServer {
     };
   }
   
+  /**
+   * Watch the configuration file and apply its changes
+   * 
+   * The watcher stops when the MCP session closes.
+   */
+  watchConfigFile() {
+    const unwatch = watchConfig(this.configPath, config => this.applyConfig(config));
+    let watching = true;
+
+    this.unwatchConfig = () => {
+      if (watching) {
+        watching = false;
+        unwatch();
+      }
+    };
+    this.server.onclose = () => this.unwatchConfig();
+  }
+  
+  /**
+   * Apply a configuration reloaded from the file
+   * 
+   * Swaps in the sites, active site and server settings, and notifies the client
+   * with tools/list_changed if the set of tools it may use has changed. Tool modules
+   * (the `plugins` section) are only loaded at startup.
+   * 
+   * @param {Object} config - Validated configuration
+   */
+  applyConfig(config) {
+    const listedTools = () => this.toolDefinitions
+      .filter(toolDefinition => this.isToolListed(toolDefinition))
+      .map(toolDefinition => toolDefinition.name)
+      .join(',');
+    
+    const previousTools = listedTools();
+    
+    this.config = config;
+    this.siteManager.reloadConfig(structuredClone(config));
+    
+    if (listedTools() !== previousTools) {
+      logger.info('[Config] Tool list changed, notifying client');
+      this.server.sendToolListChanged().catch(error => {
+        logger.debug('[Config] Could not send tools/list_changed:', error);
+      });
+    }
+  }
+  
   /**
    * Save the server configuration
    */
@@ -143,7 +240,7 @@ export class WordPressMcpServer {
     try {
       fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2), 'utf8');
     } catch (error) {
-      console.error('[Config] Error saving configuration:', error);
+      logger.error('[Config] Error saving configuration:', error);
     }
   }
   
@@ -153,7 +250,7 @@ export class WordPressMcpServer {
    * @param {Function} handler - The handler function
    */
   registerToolHandler(toolName, handler) {
-    console.error("registerToolHandler: ", toolName);
+    logger.debug("registerToolHandler: ", toolName);
     this.toolHandlers.set(toolName, handler);
   }
   
@@ -162,9 +259,9 @@ export class WordPressMcpServer {
    * @param {Object} toolDefinition - The tool definition object
    */
   registerToolDefinition(toolDefinition) {
-    console.error(`[Tools:DEBUG] Registering tool definition: ${toolDefinition.name}`);
+    logger.debug(`[Tools:DEBUG] Registering tool definition: ${toolDefinition.name}`);
     this.toolDefinitions.push(toolDefinition);
-    console.error(`[Tools:DEBUG] toolDefinitions now has ${this.toolDefinitions.length} entries`);
+    logger.debug(`[Tools:DEBUG] toolDefinitions now has ${this.toolDefinitions.length} entries`);
   }
   
   /**
@@ -172,60 +269,474 @@ export class WordPressMcpServer {
    * @param {Array<Object>} toolDefinitions - Array of tool definition objects
    */
   registerToolDefinitions(toolDefinitions) {
-    console.error(`[Tools:DEBUG] Registering ${toolDefinitions.length} tool definitions: ${toolDefinitions.map(t => t.name).join(', ')}`);
+    logger.debug(`[Tools:DEBUG] Registering ${toolDefinitions.length} tool definitions: ${toolDefinitions.map(t => t.name).join(', ')}`);
     for (const toolDefinition of toolDefinitions) {
       this.registerToolDefinition(toolDefinition);
     }
   }
   
+  /**
+   * Check whether a tool call must be refused because its target site is read-only
+   * 
+   * Only tools that act on a site through the `site_id` argument (or the active site) are
+   * checked, and tools annotated with `readOnlyHint: true` are always allowed.
+   * 
+   * @param {Object} toolDefinition - The tool definition
+   * @param {Object} args - The validated tool arguments
+   * @returns {boolean} True if the call must be refused
+   */
+  isToolRefusedByReadOnlySite(toolDefinition, args) {
+    if (!toolDefinition || toolDefinition.annotations?.readOnlyHint === true) {
+      return false;
+    }
+    
+    if (!toolDefinition.inputSchema?.properties?.site_id) {
+      return false;
+    }
+    
+    return this.siteManager.isSiteReadOnly(args.site_id);
+  }
+  
   /**
    * Register the centralized tool handlers
    * This sets up handlers for both tool listing and tool calling
    */
   registerCentralizedToolHandlers() {
-    console.error('[Server:DEBUG] Setting up centralized tool handlers');
+    logger.debug('[Server:DEBUG] Setting up centralized tool handlers');
     
-    // Handler for tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      console.error(`[CallTool:DEBUG] Received tool call request for: ${request.params.name}`);
-      const { name, arguments: args } = request.params;
-      
-      // Check if we have a handler for this tool
-      if (this.toolHandlers.has(name)) {
-        console.error(`[CallTool:DEBUG] Found handler for tool: ${name}`);
-        return this.toolHandlers.get(name)(args);
+    // Handler for tool calls, measured for the metrics endpoint
+    this.server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      if (!this.toolHandlers.has(request.params.name)) {
+        return this.handleToolCall(request, extra);
       }
       
-      // If no handler is found, throw an error
-      console.error(`[CallTool:DEBUG] No handler found for tool: ${name}`);
-      throw new Error(`Unknown tool: ${name}`);
+      const start = process.hrtime.bigint();
+      let result;
+      try {
+        result = await this.handleToolCall(request, extra);
+        return result;
+      } finally {
+        recordToolCall(request.params.name, result && !result.isError ? 'success' : 'error', secondsSince(start));
+      }
     });
     
     // Handler for tool listing
     this.server.setRequestHandler(ListToolsRequestSchema, async (request) => {
-      console.error(`[ListTools:DEBUG] Received tools/list request`);
-      console.error(`[ListTools:DEBUG] Request params: ${JSON.stringify(request.params)}`);
-      console.error(`[ListTools:DEBUG] Current toolDefinitions count: ${this.toolDefinitions.length}`);
+      logger.debug(`[ListTools:DEBUG] Received tools/list request`);
+      logger.debug(`[ListTools:DEBUG] Request params: ${JSON.stringify(request.params)}`);
+      logger.debug(`[ListTools:DEBUG] Current toolDefinitions count: ${this.toolDefinitions.length}`);
       if (this.toolDefinitions.length > 0) {
-        console.error(`[ListTools:DEBUG] First few tools: ${this.toolDefinitions.slice(0, 3).map(t => t.name).join(', ')}`);
+        logger.debug(`[ListTools:DEBUG] First few tools: ${this.toolDefinitions.slice(0, 3).map(t => t.name).join(', ')}`);
       }
       
+      // Hide the tools this session is not allowed to call
       const response = {
-        tools: this.toolDefinitions
+        tools: this.toolDefinitions.filter(toolDefinition => this.isToolListed(toolDefinition))
       };
       
-      console.error(`[ListTools:DEBUG] Returning ${this.toolDefinitions.length} registered tools`);
+      logger.debug(`[ListTools:DEBUG] Returning ${response.tools.length} of ${this.toolDefinitions.length} registered tools`);
       return response;
     });
     
-    console.error('[Server:DEBUG] Centralized tool handlers set up');
+    logger.debug('[Server:DEBUG] Centralized tool handlers set up');
+  }
+  
+  /**
+   * Handle a tools/call request
+   * 
+   * The call goes through the access rules, argument validation, read-only sites,
+   * confirmation of destructive calls, dry runs and the audit log before the tool runs.
+   * 
+   * @param {Object} request - The tools/call request
+   * @param {Object} extra - Request context from the MCP SDK (session id, request id)
+   * @returns {Promise<Object>} Tool result
+   * @throws {Error} If the tool is unknown
+   */
+  async handleToolCall(request, extra) {
+    logger.debug(`[CallTool:DEBUG] Received tool call request for: ${request.params.name}`);
+    const { name, arguments: args } = request.params;
+    
+    // Check if we have a handler for this tool
+    if (this.toolHandlers.has(name)) {
+      logger.debug(`[CallTool:DEBUG] Found handler for tool: ${name}`);
+      const toolDefinition = this.toolDefinitions.find(t => t.name === name);
+      
+      // Refuse tools that the server, account or site configuration does not allow
+      const denyingScope = this.findToolDenyingScope(toolDefinition, args);
+      if (denyingScope) {
+        logger.warn(`[CallTool] Refused tool ${name}: not allowed for ${denyingScope.label}`);
+        const result = createToolAccessErrorResult(name, denyingScope);
+        this.auditToolCall(toolDefinition, args, extra, { status: 'refused', result });
+        return result;
+      }
+      
+      // Validate the arguments against the tool's input schema and apply defaults
+      const validation = validateToolArguments(toolDefinition?.inputSchema, args);
+      
+      if (!validation.valid) {
+        logger.warn(`[CallTool] Invalid arguments for tool ${name}:`, validation.errors);
+        return createValidationErrorResult(name, validation.errors);
+      }
+      
+      // Refuse mutating tools against sites in read-only mode (a dry run changes nothing)
+      if (!validation.args.dry_run && this.isToolRefusedByReadOnlySite(toolDefinition, validation.args)) {
+        logger.warn(`[CallTool] Refused tool ${name}: site is in read-only mode`);
+        const result = createErrorResult(
+          new ToolError(`Tool '${name}' modifies the site and the site is in read-only mode`, { category: 'read_only' })
+        );
+        this.auditToolCall(toolDefinition, validation.args, extra, { status: 'refused', result });
+        return result;
+      }
+      
+      // Ask the user to confirm calls that destroy data
+      if (!validation.args.dry_run && this.config.confirmation?.enabled !== false &&
+          requiresConfirmation(name, validation.args)) {
+        const result = await this.confirmToolCall(toolDefinition, validation.args, extra);
+        
+        if (result) {
+          this.auditToolCall(toolDefinition, validation.args, extra, { status: 'refused', result });
+          return result;
+        }
+      }
+      
+      // Record calls to mutating tools, with snapshots of the objects they change
+      if (!validation.args.dry_run && this.isAuditedTool(toolDefinition)) {
+        const { result, error, mutations } = await runAudited(() => this.toolHandlers.get(name)(validation.args));
+        let auditedResult = error ? createErrorResult(error) : result;
+        const status = auditedResult?.isError ? 'error' : 'success';
+        
+        if (error) {
+          logger.error(`[Tool:${name}] Error:`, error);
+        }
+        
+        // Keep snapshots of the changed objects and tell the caller how to undo the change
+        let changeIds = [];
+        if (status === 'success') {
+          changeIds = this.snapshotStore.capture({
+            siteId: this.getAuditSiteId(toolDefinition, validation.args),
+            accountKey: this.accountKey,
+            tool: name,
+            mutations
+          }).map(change => change.id);
+          
+          auditedResult = withChangeIds(auditedResult, changeIds);
+        }
+        
+        this.auditToolCall(toolDefinition, validation.args, extra, {
+          status,
+          result: auditedResult,
+          mutations,
+          changeIds
+        });
+        
+        return auditedResult;
+      }
+      
+      // Report errors that escape the handler in the same shape as handled ones
+      try {
+        if (validation.args.dry_run && toolDefinition.inputSchema?.properties?.dry_run) {
+          return await this.dryRunTool(name, validation.args);
+        }
+        
+        return await this.toolHandlers.get(name)(validation.args);
+      } catch (error) {
+        logger.error(`[Tool:${name}] Error:`, error);
+        return createErrorResult(error);
+      }
+    }
+    
+    // If no handler is found, throw an error
+    logger.debug(`[CallTool:DEBUG] No handler found for tool: ${name}`);
+    throw new Error(`Unknown tool: ${name}`);
+  }
+  
+  /**
+   * Call a tool for one site on behalf of another tool (e.g. `multi_site_call`)
+   * 
+   * The call is checked against the tool access rules of the site and validated like a
+   * direct call; errors are returned as error results rather than thrown.
+   * 
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments, with the `site_id` of the site
+   * @returns {Promise<Object>} Tool result
+   */
+  async callSiteTool(name, args) {
+    const toolDefinition = this.toolDefinitions.find(t => t.name === name);
+    
+    const denyingScope = this.findToolDenyingScope(toolDefinition, args);
+    if (denyingScope) {
+      return createToolAccessErrorResult(name, denyingScope);
+    }
+    
+    const validation = validateToolArguments(toolDefinition.inputSchema, args);
+    if (!validation.valid) {
+      return createValidationErrorResult(name, validation.errors);
+    }
+    
+    try {
+      return await this.toolHandlers.get(name)(validation.args);
+    } catch (error) {
+      logger.error(`[Tool:${name}] Error:`, error);
+      return createErrorResult(error);
+    }
+  }
+  
+  /**
+   * Check whether calls to a tool are recorded in the audit log
+   * 
+   * @param {Object} toolDefinition - The tool definition
+   * @returns {boolean} True for tools that may modify a site or the configuration
+   */
+  isAuditedTool(toolDefinition) {
+    return toolDefinition?.annotations?.readOnlyHint !== true;
+  }
+  
+  /**
+   * Get the site changed by a tool call
+   * 
+   * @param {Object} toolDefinition - The tool definition
+   * @param {Object} args - The tool arguments
+   * @returns {string|undefined} Site ID
+   */
+  getAuditSiteId(toolDefinition, args = {}) {
+    // Site tools (add_site, update_site, ...) name the site they change with `id`
+    return toolDefinition.inputSchema?.properties?.site_id
+      ? args?.site_id || this.siteManager.getActiveSite()?.id
+      : args?.id;
+  }
+  
+  /**
+   * Record a call to a mutating tool in the audit log
+   * 
+   * @param {Object} toolDefinition - The tool definition
+   * @param {Object} args - The tool arguments
+   * @param {Object} extra - Request handler extra ({ sessionId, ... })
+   * @param {Object} outcome - Call outcome
+   * @param {string} outcome.status - success, error or refused
+   * @param {Object} outcome.result - Tool result
+   * @param {Array<Object>} outcome.mutations - Mutations made by the clients
+   * @param {Array<string>} outcome.changeIds - IDs of the changes that `undo_change` can revert
+   */
+  auditToolCall(toolDefinition, args = {}, extra = {}, { status, result, mutations, changeIds }) {
+    if (!this.isAuditedTool(toolDefinition)) {
+      return;
+    }
+    
+    let message;
+    if (status !== 'success') {
+      try {
+        message = JSON.parse(result.content[0].text).message;
+      } catch (error) {
+        message = undefined;
+      }
+    }
+    
+    this.auditLog.record({
+      sessionId: extra?.sessionId,
+      accountKey: this.accountKey,
+      siteId: this.getAuditSiteId(toolDefinition, args),
+      tool: toolDefinition.name,
+      args,
+      status,
+      message,
+      mutations,
+      changeIds
+    });
+  }
+  
+  /**
+   * Get the user's confirmation of a destructive tool call
+   * 
+   * The call is previewed as a dry run to summarise the objects it would destroy. Clients that
+   * support elicitation ask the user directly; other clients get a single-use token that
+   * confirms the same call when it is repeated with `confirmation_token`.
+   * 
+   * @param {Object} toolDefinition - The tool definition
+   * @param {Object} args - The validated tool arguments
+   * @param {Object} extra - Request handler extra ({ sessionId, requestId, ... })
+   * @returns {Promise<Object|null>} Result to return instead of running the tool, or null if the call is confirmed
+   */
+  async confirmToolCall(toolDefinition, args, extra = {}) {
+    const { name } = toolDefinition;
+    
+    if (args.confirmation_token) {
+      if (this.confirmationTokens.redeem(args.confirmation_token, name, args, extra.sessionId)) {
+        logger.info(`[CallTool] Tool ${name} confirmed with a token`);
+        return null;
+      }
+      
+      return createErrorResult(
+        new ToolError(`Invalid or expired confirmation token for '${name}'; call it again without the token for a new one`, { category: 'validation' })
+      );
+    }
+    
+    // Summarise what would be destroyed (and report errors such as unknown ids right away)
+    const { result: preview, requests } = await runDryRun(() => this.toolHandlers.get(name)(args));
+    if (preview?.isError) {
+      return preview;
+    }
+    
+    const message = describeDestruction(name, requests);
+    
+    if (this.server.getClientCapabilities()?.elicitation) {
+      let response;
+      try {
+        response = await this.server.elicitInput({
+          message,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              confirm: {
+                type: 'boolean',
+                title: 'Confirm deletion',
+                description: 'Delete the objects listed above'
+              }
+            },
+            required: ['confirm']
+          }
+        }, { relatedRequestId: extra.requestId });
+      } catch (error) {
+        logger.warn(`[CallTool] Could not get confirmation of ${name}:`, error);
+        return createErrorResult(new ToolError(`Could not get confirmation of '${name}': ${error.message}`, { category: 'cancelled' }));
+      }
+      
+      if (response.action === 'accept' && response.content?.confirm === true) {
+        logger.info(`[CallTool] Tool ${name} confirmed by the user`);
+        return null;
+      }
+      
+      return createErrorResult(new ToolError(`'${name}' was not confirmed by the user`, { category: 'cancelled' }));
+    }
+    
+    const { token, expires_at } = this.confirmationTokens.issue(name, args, extra.sessionId);
+    
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({
+            status: 'error',
+            message: `${message}\nAsk the user to confirm, then call '${name}' again with the same arguments and confirmation_token.`,
+            error: {
+              category: 'confirmation_required',
+              retryable: true
+            },
+            confirmation: {
+              token,
+              expires_at,
+              requests
+            }
+          }, null, 2)
+        }
+      ],
+      isError: true
+    };
+  }
+  
+  /**
+   * Run a tool in dry-run mode
+   * 
+   * The handler runs as usual, but the clients record the requests that would modify
+   * the site instead of sending them. If the handler failed before recording anything
+   * (e.g. the object does not exist), its error result is returned.
+   * 
+   * @param {string} name - Tool name
+   * @param {Object} args - Validated tool arguments
+   * @returns {Promise<Object>} Tool result
+   */
+  async dryRunTool(name, args) {
+    logger.info(`[CallTool] Dry run of tool ${name}`);
+    
+    const { result, requests } = await runDryRun(() => this.toolHandlers.get(name)(args));
+    
+    if (requests.length === 0 && result?.isError) {
+      return result;
+    }
+    
+    return createDryRunResult(name, requests);
+  }
+  
+  /**
+   * Get the tool access scopes that apply to this session
+   * 
+   * @param {Object|null} site - Site the tool operates on, if any
+   * @returns {Array<Object>} Access scopes ({ label, rule }), from the broadest to the narrowest
+   */
+  getToolAccessScopes(site) {
+    const scopes = [{ label: 'this server', rule: this.config.tools }];
+    
+    if (this.accountKey) {
+      scopes.push({ label: 'this account', rule: this.config.accounts?.[this.accountKey]?.tools });
+    }
+    
+    if (site) {
+      scopes.push({ label: `site '${site.name}'`, rule: site.tools });
+    }
+    
+    return scopes;
+  }
+  
+  /**
+   * Find the scope that denies a tool call
+   * 
+   * Site rules apply to tools that take a `site_id`, using the given or active site.
+   * 
+   * @param {Object} toolDefinition - The tool definition
+   * @param {Object} args - The tool arguments
+   * @returns {Object|null} The denying scope, or null if the call is allowed
+   */
+  findToolDenyingScope(toolDefinition, args = {}) {
+    if (!toolDefinition?.inputSchema?.properties?.site_id) {
+      return findDenyingScope(toolDefinition.name, this.getToolAccessScopes(null));
+    }
+    
+    return this.findSiteToolDenyingScope(toolDefinition.name, args?.site_id);
+  }
+  
+  /**
+   * Find the scope that denies a tool on a site
+   * 
+   * Used by the features that read or change a site on behalf of a tool without calling
+   * it (resources, prompts and `undo_change`), so they follow the same rules.
+   * 
+   * @param {string} name - Tool name
+   * @param {string} siteId - Site ID (defaults to the active site)
+   * @returns {Object|null} The denying scope, or null if the tool is allowed
+   */
+  findSiteToolDenyingScope(name, siteId) {
+    const site = siteId ? this.siteManager.getSiteById(siteId) : this.siteManager.getActiveSite();
+    return findDenyingScope(name, this.getToolAccessScopes(site));
+  }
+  
+  /**
+   * Check whether a tool is listed in tools/list
+   * 
+   * A tool that takes a `site_id` is listed if at least one configured site allows it.
+   * 
+   * @param {Object} toolDefinition - The tool definition
+   * @returns {boolean} True if the tool is listed
+   */
+  isToolListed(toolDefinition) {
+    if (findDenyingScope(toolDefinition.name, this.getToolAccessScopes(null))) {
+      return false;
+    }
+    
+    const sites = this.siteManager.getAllSites();
+    if (!toolDefinition.inputSchema?.properties?.site_id || sites.length === 0) {
+      return true;
+    }
+    
+    return sites.some(site => !findDenyingScope(toolDefinition.name, [{ label: site.name, rule: site.tools }]));
   }
   
   /**
    * Register all tools with the server
+   * 
+   * The site tools are always registered; the other tool modules are loaded
+   * through the plugin loader according to the `plugins` configuration.
    */
-  registerTools() {
-    console.error('[Server] Registering tools');
+  async registerTools() {
+    logger.info('[Server] Registering tools');
     
     // Create a proxy for the server that forwards all method calls to the original server
     // and adds our custom methods
@@ -249,53 +760,99 @@ export class WordPressMcpServer {
       }
     });
     
-    console.error('[Server:DEBUG] Created server proxy with custom methods');
-    console.error('[Server:DEBUG] Server proxy has setRequestHandler:', typeof serverProxy.setRequestHandler === 'function');
+    logger.debug('[Server:DEBUG] Created server proxy with custom methods');
+    logger.debug('[Server:DEBUG] Server proxy has setRequestHandler:', typeof serverProxy.setRequestHandler === 'function');
     
     
     // Register site management tools
-    const siteManager = registerSiteTools(serverProxy, {
+    const siteManager = this.siteManager = registerSiteTools(serverProxy, {
       configPath: this.configPath,
       registerToolHandler: (name, handler) => {
         this.registerToolHandler(name, handler);
       }
     });
     
-    // Register post management tools
-    registerPostTools(serverProxy, {
-      siteManager,
+    // Register the audit log tools
+    registerAuditTools(serverProxy, {
+      auditLog: this.auditLog,
+      accountKey: this.accountKey,
       registerToolHandler: (name, handler) => {
         this.registerToolHandler(name, handler);
       }
     });
     
-    // Register page management tools
-    registerPageTools(serverProxy, {
-      siteManager,
+    // Register the undo tools
+    registerUndoTools(serverProxy, {
+      snapshotStore: this.snapshotStore,
+      siteManager: this.siteManager,
+      accountKey: this.accountKey,
+      findDenyingScope: (name, siteId) => this.findSiteToolDenyingScope(name, siteId),
       registerToolHandler: (name, handler) => {
         this.registerToolHandler(name, handler);
       }
     });
     
-
-    registerWooProductTools(serverProxy, {
-      siteManager,
+    // Register the multi-site tools, which call the other tools for each site
+    registerMultiSiteTools(serverProxy, {
+      siteManager: this.siteManager,
+      getToolDefinition: (name) => this.toolDefinitions.find(t => t.name === name),
+      callTool: (name, args) => this.callSiteTool(name, args),
+      getFanOutSettings: () => this.config.multiSite,
       registerToolHandler: (name, handler) => {
         this.registerToolHandler(name, handler);
       }
     });
-
-    registerWooOrderTools(serverProxy, {
+    
+    // Register the built-in and plugin tool modules
+    await loadToolModules(serverProxy, {
+      config: this.config,
+      configPath: this.configPath,
       siteManager,
       registerToolHandler: (name, handler) => {
         this.registerToolHandler(name, handler);
       }
     });
     
-    // In future phases, we'll register additional tools here:
-    // - More WordPress API tools (comments, etc.)
+    logger.info('[Server] Tools registered');
+  }
+  
+  /**
+   * Register the logging/setLevel handler
+   * 
+   * Each server instance serves a single session, so the level set by the client
+   * applies to the log messages forwarded to that client only.
+   */
+  registerLoggingHandler() {
+    // Forward the same records as stderr until the client sets a level
+    this.logLevel = getLogLevel();
     
-    console.error('[Server] Tools registered');
+    this.server.setRequestHandler(SetLevelRequestSchema, async (request) => {
+      this.logLevel = fromMcpLevel(request.params.level);
+      logger.info(`[Logging] Client log level set to ${this.logLevel}`);
+      return {};
+    });
+  }
+  
+  /**
+   * Forward a log record to the client as a notifications/message
+   * 
+   * @param {Object} record - Log record
+   */
+  forwardLog(record) {
+    if (LOG_LEVELS.indexOf(record.level) < LOG_LEVELS.indexOf(this.logLevel)) {
+      return;
+    }
+    
+    // Send outside of the sink so that logging done by the transport is not forwarded again
+    runWithLogSink(undefined, () => {
+      this.server.sendLoggingMessage({
+        level: toMcpLevel(record.level),
+        ...(record.scope ? { logger: record.scope } : {}),
+        data: record.data === undefined ? record.message : { message: record.message, details: record.data }
+      }).catch(() => {
+        // The client may have disconnected; the record was already written locally
+      });
+    });
   }
   
   /**
@@ -303,24 +860,43 @@ export class WordPressMcpServer {
    * @param {Transport} transport - The transport to use
    */
   async run(transport) {
-    console.error('[Server] Starting WordPress MCP Server');
+    logger.info('[Server] Starting WordPress MCP Server');
     
     try {
       await this.connect(transport);
-      console.error('[Server] WordPress MCP Server running');
+      logger.info('[Server] WordPress MCP Server running');
       
       // Handle process termination
       process.on('SIGINT', async () => {
-        console.error('[Server] Shutting down...');
+        logger.info('[Server] Shutting down...');
         await this.server.close();
         process.exit(0);
       });
     } catch (error) {
-      console.error('[Server] Error starting server:', error);
+      logger.error('[Server] Error starting server:', error);
       throw error;
     }
   }
   
+  /**
+   * Close the session and stop watching the configuration file
+   * 
+   * Unlike closing the MCP server, this also releases a server whose transport was never
+   * connected (e.g. a session that failed to initialize).
+   * 
+   * @returns {Promise<void>}
+   */
+  async close() {
+    try {
+      await this.ready;
+    } catch (error) {
+      return;
+    }
+    
+    this.unwatchConfig();
+    await this.server.close();
+  }
+  
   /**
    * Connect the server to the specified transport
    * 
@@ -338,6 +914,13 @@ export class WordPressMcpServer {
    * @throws {Error} If the connection fails
    */
   async connect(transport) {
-    return this.server.connect(transport);
+    await this.ready;
+    await this.server.connect(transport);
+    
+    // Forward the logs of every request handled for this session to its client
+    const onmessage = transport.onmessage;
+    transport.onmessage = (message, extra) => {
+      return runWithLogSink(record => this.forwardLog(record), () => onmessage(message, extra));
+    };
   }
 }
@@ -7,7 +7,9 @@
  */
 import { SiteStorage } from './storage.js';
 import { WordPress } from '../wordpress/index.js';
+import { WooCommerceClient } from '../wordpress/woocommerce.js';
 import { validateCredentials } from '../wordpress/auth.js';
+import { ToolError } from '../errors/index.js';
 
 /**
  * Site Manager
@@ -23,6 +25,15 @@ export class SiteManager {
     this.storage = new SiteStorage({ configPath: options.configPath });
   }
   
+  /**
+   * Apply a configuration reloaded from the file
+   * 
+   * @param {Object} config - Validated configuration
+   */
+  reloadConfig(config) {
+    this.storage.replaceConfig(config);
+  }
+  
   /**
    * Get all sites
    * 
@@ -101,6 +112,7 @@ export class SiteManager {
    * @param {boolean} updates.validate - Whether to validate the site credentials (default: true)
    * @returns {Promise<Object>} Updated site configuration
    * @throws {Error} If the site is not found
+   * @throws {Error} If the site is in read-only mode
    * @throws {Error} If the site credentials are invalid
    */
   async updateSite(id, updates) {
@@ -111,6 +123,9 @@ export class SiteManager {
       throw new Error(`[SiteManager] Site not found: ${id}`);
     }
     
+    // Read-only sites can only be changed in the configuration file
+    this.assertSiteWritable(id);
+    
     // Validate the site credentials if requested
     if (updates.validate !== false) {
       const username = updates.username || currentSite.username;
@@ -142,11 +157,42 @@ export class SiteManager {
    * 
    * @param {string} id - Site ID
    * @returns {boolean} True if the site was removed, false otherwise
+   * @throws {Error} If the site is in read-only mode
    */
   removeSite(id) {
+    // Read-only sites can only be removed in the configuration file
+    this.assertSiteWritable(id);
+    
     return this.storage.removeSite(id);
   }
   
+  /**
+   * Check whether a site is in read-only mode
+   * 
+   * A site is read-only when its configuration has `mode: "read-only"`.
+   * 
+   * @param {string} id - Site ID (defaults to the active site)
+   * @returns {boolean} True if the site is read-only
+   */
+  isSiteReadOnly(id) {
+    const site = id ? this.storage.getSiteById(id) : this.storage.getActiveSite();
+    
+    return site?.mode === 'read-only';
+  }
+  
+  /**
+   * Ensure a site is not in read-only mode
+   * 
+   * @param {string} id - Site ID (defaults to the active site)
+   * @throws {ToolError} If the site is read-only
+   */
+  assertSiteWritable(id) {
+    if (this.isSiteReadOnly(id)) {
+      const site = id ? this.storage.getSiteById(id) : this.storage.getActiveSite();
+      throw new ToolError(`[SiteManager] Site "${site.name}" (${site.id}) is in read-only mode`, { category: 'read_only' });
+    }
+  }
+  
   /**
    * Set the active site
    * 
@@ -182,9 +228,45 @@ export class SiteManager {
     }
     
     return new WordPress({
+      siteId: site.id,
       url: site.url,
       username: site.username,
-      applicationPassword: site.applicationPassword
+      applicationPassword: site.applicationPassword,
+      readOnly: site.mode === 'read-only',
+      // Site settings override the server-wide ones
+      retry: { ...this.storage.config.retry, ...site.retry },
+      circuitBreaker: { ...this.storage.config.circuitBreaker, ...site.circuitBreaker }
+    });
+  }
+  
+  /**
+   * Create a WooCommerce client for a site
+   * 
+   * @param {string} id - Site ID
+   * @returns {WooCommerceClient} WooCommerce client
+   * @throws {Error} If the site is not found
+   * @throws {Error} If the site has no WooCommerce API keys
+   */
+  createClientForWoocommerce(id) {
+    const site = this.storage.getSiteById(id);
+    
+    if (!site) {
+      throw new Error(`[SiteManager] Site not found: ${id}`);
+    }
+    
+    if (!site.consumerKey || !site.consumerSecret) {
+      throw new Error(`[SiteManager] Site has no WooCommerce API keys: ${id}`);
+    }
+    
+    return new WooCommerceClient({
+      siteId: site.id,
+      url: site.url,
+      consumerKey: site.consumerKey,
+      consumerSecret: site.consumerSecret,
+      readOnly: site.mode === 'read-only',
+      // Site settings override the server-wide ones
+      retry: { ...this.storage.config.retry, ...site.retry },
+      circuitBreaker: { ...this.storage.config.circuitBreaker, ...site.circuitBreaker }
     });
   }
   
@@ -7,6 +7,7 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../logging/index.js';
 
 /**
  * Site Storage Manager
@@ -27,7 +28,7 @@ export class SiteStorage {
       this.config.sites = [];
     }
     
-    console.error(`[SiteStorage] Initialized with ${this.config.sites.length} sites`);
+    logger.info(`[SiteStorage] Initialized with ${this.config.sites.length} sites`);
   }
   
   /**
@@ -42,7 +43,7 @@ export class SiteStorage {
         return JSON.parse(configData);
       }
     } catch (error) {
-      console.error('[SiteStorage] Error loading configuration:', error);
+      logger.error('[SiteStorage] Error loading configuration:', error);
     }
     
     // Return default configuration
@@ -58,15 +59,30 @@ export class SiteStorage {
     };
   }
   
+  /**
+   * Replace the configuration with one reloaded from the file
+   * 
+   * @param {Object} config - Validated configuration
+   */
+  replaceConfig(config) {
+    this.config = config;
+    
+    if (!this.config.sites) {
+      this.config.sites = [];
+    }
+    
+    logger.info(`[SiteStorage] Reloaded with ${this.config.sites.length} sites`);
+  }
+  
   /**
    * Save the configuration to the file
    */
   saveConfig() {
     try {
       fs.writeFileSync(this.configPath, JSON.stringify(this.config, null, 2), 'utf8');
-      console.error('[SiteStorage] Configuration saved');
+      logger.info('[SiteStorage] Configuration saved');
     } catch (error) {
-      console.error('[SiteStorage] Error saving configuration:', error);
+      logger.error('[SiteStorage] Error saving configuration:', error);
       throw new Error(`[SiteStorage] Failed to save configuration: ${error.message}`);
     }
   }
@@ -166,7 +182,7 @@ export class SiteStorage {
     // Save the configuration
     this.saveConfig();
     
-    console.error(`[SiteStorage] Added site: ${newSite.name} (${newSite.id})`);
+    logger.info(`[SiteStorage] Added site: ${newSite.name} (${newSite.id})`);
     
     return newSite;
   }
@@ -213,7 +229,7 @@ export class SiteStorage {
     // Save the configuration
     this.saveConfig();
     
-    console.error(`[SiteStorage] Updated site: ${updatedSite.name} (${updatedSite.id})`);
+    logger.info(`[SiteStorage] Updated site: ${updatedSite.name} (${updatedSite.id})`);
     
     return updatedSite;
   }
@@ -241,7 +257,7 @@ export class SiteStorage {
     // Save the configuration
     this.saveConfig();
     
-    console.error(`[SiteStorage] Removed site: ${siteName} (${id})`);
+    logger.info(`[SiteStorage] Removed site: ${siteName} (${id})`);
     
     return true;
   }
@@ -267,7 +283,7 @@ export class SiteStorage {
     // Save the configuration
     this.saveConfig();
     
-    console.error(`[SiteStorage] Set active site: ${site.name} (${site.id})`);
+    logger.info(`[SiteStorage] Set active site: ${site.name} (${site.id})`);
     
     return site;
   }
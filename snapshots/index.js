@@ -0,0 +1,214 @@
+/**
+ * Change Snapshots
+ *
+ * This module keeps the remote objects captured before each successful change, so the
+ * `undo_change` tool can restore them. A change is recorded when a mutating tool:
+ *
+ * - updates an object (e.g. `update_post`, `update_product`): undoing it sends the previous
+ *   values of the fields the update sent
+ * - moves an object to the trash (e.g. `delete_post` without `force`): undoing it restores
+ *   the previous status
+ *
+ * Changes are stored in a JSON file, most recent last, and only the most recent ones are kept.
+ * A change keeps only the fields it touched, with secrets redacted as in the audit log, and
+ * the file is only readable by its owner.
+ */
+import fs from 'fs-extra';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { logger, redact } from '../logging/index.js';
+import { getAccountId, getObjectId, maskAccountSiteId } from '../audit/index.js';
+
+// Default number of changes kept
+const DEFAULT_LIMIT = 100;
+
+/**
+ * Get the undoable change described by a mutation
+ *
+ * @param {Object} mutation - Mutation recorded by a client
+ * @returns {Object|null} Change ({ action, fields }), or null if the mutation cannot be undone
+ */
+function getUndoableChange(mutation) {
+  if (!mutation.before || !mutation.after || !mutation.api || !mutation.endpoint) {
+    return null;
+  }
+
+  if (['PUT', 'PATCH', 'POST'].includes(mutation.method) && mutation.body && Object.keys(mutation.body).length > 0) {
+    return { action: 'update', fields: Object.keys(mutation.body) };
+  }
+
+  // Deleting without `force` moves the object to the trash and returns it
+  if (mutation.method === 'DELETE' && mutation.after.status === 'trash' && mutation.before.status !== 'trash') {
+    return { action: 'trash', fields: ['status'] };
+  }
+
+  return null;
+}
+
+/**
+ * Keep the fields of an object that a change touched, with secrets redacted
+ *
+ * @param {Object} object - Object before or after the change
+ * @param {Array<string>} fields - Changed fields
+ * @returns {Object} Kept fields ({ values, redacted }); `redacted` is true if a secret was masked
+ */
+function snapshotFields(object, fields) {
+  const values = Object.fromEntries(fields.map(field => [field, object[field]]));
+  const redacted = redact(values);
+
+  return { values: redacted, redacted: !isDeepStrictEqual(values, redacted) };
+}
+
+/**
+ * Add the ids of the changes made by a tool to its JSON result
+ *
+ * @param {Object} result - Tool result
+ * @param {Array<string>} changeIds - Change ids
+ * @returns {Object} Tool result with `change_id` (or `change_ids` for several changes), or the result unchanged if there are no changes or it is not a JSON object
+ */
+export function withChangeIds(result, changeIds) {
+  if (changeIds.length === 0) {
+    return result;
+  }
+
+  try {
+    const payload = JSON.parse(result.content[0].text);
+    const ids = changeIds.length === 1 ? { change_id: changeIds[0] } : { change_ids: changeIds };
+
+    return {
+      ...result,
+      content: [
+        { ...result.content[0], text: JSON.stringify({ ...payload, ...ids }, null, 2) },
+        ...result.content.slice(1)
+      ]
+    };
+  } catch (error) {
+    return result;
+  }
+}
+
+/**
+ * Store of change snapshots
+ */
+export class SnapshotStore {
+  /**
+   * Create a new snapshot store
+   *
+   * @param {Object} options - Store options
+   * @param {string} options.file - Path of the JSON file
+   * @param {number} options.limit - Number of changes kept (default: 100)
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.limit = options.limit || DEFAULT_LIMIT;
+  }
+
+  /**
+   * Load the stored changes
+   *
+   * @returns {Array<Object>} Changes, most recent last
+   */
+  load() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return fs.readJsonSync(this.file);
+      }
+    } catch (error) {
+      logger.error(`[Snapshots] Error loading ${this.file}:`, error);
+    }
+
+    return [];
+  }
+
+  /**
+   * Save the changes, dropping the oldest ones over the limit
+   *
+   * @param {Array<Object>} changes - Changes, most recent last
+   */
+  save(changes) {
+    try {
+      fs.ensureDirSync(path.dirname(this.file));
+      fs.writeJsonSync(this.file, changes.slice(-this.limit), { spaces: 2, mode: 0o600 });
+      fs.chmodSync(this.file, 0o600);
+    } catch (error) {
+      logger.error(`[Snapshots] Error saving ${this.file}:`, error);
+    }
+  }
+
+  /**
+   * Store the undoable changes made by a tool call
+   *
+   * @param {Object} details - Tool call details
+   * @param {string} details.siteId - Site id
+   * @param {string} details.accountKey - Account key (only a hash of it is stored)
+   * @param {string} details.tool - Tool name
+   * @param {Array<Object>} details.mutations - Mutations made by the clients
+   * @returns {Array<Object>} Stored changes
+   */
+  capture({ siteId, accountKey, tool, mutations = [] }) {
+    const captured = [];
+
+    for (const mutation of mutations) {
+      const change = getUndoableChange(mutation);
+
+      if (change) {
+        const before = snapshotFields(mutation.before, change.fields);
+        const after = snapshotFields(mutation.after, change.fields);
+
+        captured.push({
+          id: uuidv4(),
+          timestamp: new Date().toISOString(),
+          site_id: maskAccountSiteId(siteId, accountKey) || null,
+          account_id: getAccountId(accountKey),
+          tool,
+          action: change.action,
+          api: mutation.api,
+          endpoint: mutation.endpoint,
+          object_id: getObjectId(mutation),
+          fields: change.fields,
+          before: before.values,
+          after: after.values,
+          // A change whose previous values were redacted cannot be restored
+          redacted: before.redacted || after.redacted,
+          undone_at: null
+        });
+      }
+    }
+
+    if (captured.length > 0) {
+      this.save([...this.load(), ...captured]);
+      logger.debug(`[Snapshots] Stored ${captured.length} change(s) made by ${tool}`);
+    }
+
+    return captured;
+  }
+
+  /**
+   * Get a change
+   *
+   * @param {string} id - Change id
+   * @returns {Object|null} Change, or null if it is unknown or no longer kept
+   */
+  get(id) {
+    return this.load().find(change => change.id === id) || null;
+  }
+
+  /**
+   * Mark a change as undone
+   *
+   * @param {string} id - Change id
+   * @returns {Object|null} Updated change
+   */
+  markUndone(id) {
+    const changes = this.load();
+    const change = changes.find(entry => entry.id === id);
+
+    if (change) {
+      change.undone_at = new Date().toISOString();
+      this.save(changes);
+    }
+
+    return change || null;
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * Tests for the Change Snapshots
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, test } from '@jest/globals';
+import { getAccountId } from '../audit/index.js';
+import { configureLogging } from '../logging/index.js';
+import { SnapshotStore, withChangeIds } from './index.js';
+
+describe('SnapshotStore', () => {
+  let directory;
+
+  beforeAll(() => {
+    configureLogging({ level: 'error' });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpress-mcp-snapshots-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Create a store with a file of its own
+   *
+   * @param {Object} options - Extra store options
+   * @returns {SnapshotStore} Snapshot store
+   */
+  const createStore = (options = {}) => new SnapshotStore({
+    file: path.join(fs.mkdtempSync(path.join(directory, 'store-')), 'snapshots.json'),
+    ...options
+  });
+
+  const customer = {
+    id: 12,
+    email: 'jane@example.com',
+    first_name: 'Jane',
+    billing: { address_1: '1 Main Street', phone: '555-0100' },
+    meta_data: [{ key: 'api_key', value: 'sk_live_123' }]
+  };
+
+  test('keeps only the fields a change touched', () => {
+    const store = createStore();
+    const [change] = store.capture({
+      siteId: 'shop',
+      tool: 'update_customer',
+      mutations: [{
+        method: 'PUT',
+        api: 'woocommerce',
+        endpoint: 'customers/12',
+        body: { first_name: 'Janet' },
+        before: customer,
+        after: { ...customer, first_name: 'Janet' }
+      }]
+    });
+
+    expect(change).toMatchObject({ site_id: 'shop', account_id: null, fields: ['first_name'], redacted: false });
+    expect(store.get(change.id).before).toEqual({ first_name: 'Jane' });
+    expect(store.get(change.id).after).toEqual({ first_name: 'Janet' });
+    expect(fs.readFileSync(store.file, 'utf8')).not.toContain('jane@example.com');
+  });
+
+  test('redacts secrets in the changed fields', () => {
+    const store = createStore();
+    const [change] = store.capture({
+      siteId: 'shop',
+      tool: 'update_customer',
+      mutations: [{
+        method: 'PUT',
+        api: 'woocommerce',
+        endpoint: 'customers/12',
+        body: { meta_data: [{ key: 'api_key', value: 'sk_live_456' }] },
+        before: { ...customer, meta_data: [{ api_key: 'sk_live_123' }] },
+        after: { ...customer, meta_data: [{ api_key: 'sk_live_456' }] }
+      }]
+    });
+
+    expect(change.redacted).toBe(true);
+    expect(store.get(change.id).before).toEqual({ meta_data: [{ api_key: '[REDACTED]' }] });
+    expect(fs.readFileSync(store.file, 'utf8')).not.toContain('sk_live');
+  });
+
+  test('records a move to the trash with the previous status', () => {
+    const store = createStore();
+    const [change] = store.capture({
+      siteId: 'blog',
+      tool: 'delete_post',
+      mutations: [{
+        method: 'DELETE',
+        api: 'wordpress',
+        endpoint: '/wp/v2/posts/7',
+        before: { id: 7, status: 'publish', content: { raw: 'Text' } },
+        after: { id: 7, status: 'trash', content: { raw: 'Text' } }
+      }]
+    });
+
+    expect(change).toMatchObject({ action: 'trash', fields: ['status'], before: { status: 'publish' }, after: { status: 'trash' } });
+  });
+
+  test('ignores mutations that cannot be undone', () => {
+    const store = createStore();
+
+    expect(store.capture({
+      siteId: 'blog',
+      tool: 'delete_post',
+      mutations: [
+        { method: 'DELETE', api: 'wordpress', endpoint: '/wp/v2/posts/7', before: { status: 'publish' }, after: { deleted: true } },
+        { method: 'POST', api: 'wordpress', endpoint: '/wp/v2/posts', body: { title: 'New' }, before: null, after: { id: 8 } }
+      ]
+    })).toEqual([]);
+    expect(fs.existsSync(store.file)).toBe(false);
+  });
+
+  test('stores the account id instead of the account key', () => {
+    const store = createStore();
+    const [change] = store.capture({
+      siteId: 'secret-account-key',
+      accountKey: 'secret-account-key',
+      tool: 'update_post',
+      mutations: [{ method: 'PUT', api: 'wordpress', endpoint: '/wp/v2/posts/7', body: { title: 'B' }, before: { title: 'A' }, after: { title: 'B' } }]
+    });
+
+    expect(change).toMatchObject({ site_id: getAccountId('secret-account-key'), account_id: getAccountId('secret-account-key') });
+    expect(fs.readFileSync(store.file, 'utf8')).not.toContain('secret-account-key');
+  });
+
+  test('writes a file only its owner can read', () => {
+    const store = createStore();
+    store.capture({
+      siteId: 'blog',
+      tool: 'update_post',
+      mutations: [{ method: 'PUT', api: 'wordpress', endpoint: '/wp/v2/posts/7', body: { title: 'B' }, before: { title: 'A' }, after: { title: 'B' } }]
+    });
+
+    expect(fs.statSync(store.file).mode & 0o777).toBe(0o600);
+  });
+
+  test('keeps the most recent changes up to the limit', () => {
+    const store = createStore({ limit: 2 });
+
+    for (const title of ['B', 'C', 'D']) {
+      store.capture({
+        siteId: 'blog',
+        tool: 'update_post',
+        mutations: [{ method: 'PUT', api: 'wordpress', endpoint: '/wp/v2/posts/7', body: { title }, before: { title: 'A' }, after: { title } }]
+      });
+    }
+
+    expect(store.load().map(change => change.after.title)).toEqual(['C', 'D']);
+  });
+
+  test('marks a change as undone', () => {
+    const store = createStore();
+    const [change] = store.capture({
+      siteId: 'blog',
+      tool: 'update_post',
+      mutations: [{ method: 'PUT', api: 'wordpress', endpoint: '/wp/v2/posts/7', body: { title: 'B' }, before: { title: 'A' }, after: { title: 'B' } }]
+    });
+
+    expect(store.markUndone(change.id).undone_at).toEqual(expect.any(String));
+    expect(store.get(change.id).undone_at).toEqual(expect.any(String));
+    expect(store.markUndone('unknown')).toBeNull();
+  });
+});
+
+describe('withChangeIds', () => {
+  const result = { content: [{ type: 'text', text: JSON.stringify({ status: 'success' }) }] };
+
+  test('adds a single change id, or a list for several changes', () => {
+    expect(JSON.parse(withChangeIds(result, ['a']).content[0].text)).toEqual({ status: 'success', change_id: 'a' });
+    expect(JSON.parse(withChangeIds(result, ['a', 'b']).content[0].text)).toEqual({ status: 'success', change_ids: ['a', 'b'] });
+  });
+
+  test('leaves results without changes or without JSON unchanged', () => {
+    const text = { content: [{ type: 'text', text: 'Done' }] };
+
+    expect(withChangeIds(result, [])).toBe(result);
+    expect(withChangeIds(text, ['a'])).toBe(text);
+  });
+});
@@ -15,26 +15,58 @@
  *    - Client sends requests to `/message/{sessionId}` endpoint via POST
  *    - Server responds with "Accepted" (status 202)
  *    - Server sends the actual response via the SSE connection
+ * 
+ * 3. Resumption:
+ *    - Every event has an id, and messages are kept in a bounded replay buffer
+ *    - A client whose connection drops reconnects to `/sse` with the `Last-Event-ID` header
+ *      (or a `lastEventId` query parameter) and is reattached to its session, receiving
+ *      the events it missed, as long as it comes back within the grace period
+ * 
+ * The server also exposes Prometheus metrics at `/metrics` (see metrics/index.js).
+ * 
+ * When the `auth` section of the configuration holds API keys or an OAuth issuer, every
+ * endpoint requires a bearer token (see auth/index.js), and a session can only be used
+ * with the token that opened it. Host and Origin headers are validated and CORS requests
+ * answered according to the `http` section (see http-security/index.js).
  */
 import express from 'express';
 import bodyParser from 'body-parser';
-import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { ResumableSSEServerTransport, parseEventId } from './transport/resumable-sse.js';
 import { WordPressMcpServer } from './server.js';
 import { CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import { addNewSite } from './db/db_connect.js';
+import { logger } from './logging/index.js';
+import { METRICS_CONTENT_TYPE, registerGauge, renderMetrics } from './metrics/index.js';
+import { Authenticator, requireAuth, serveResourceMetadata } from './auth/index.js';
+import { HTTP_SECURITY_DEFAULTS, HttpSecurity } from './http-security/index.js';
 
 /**
  * Start an SSE server for the WordPress MCP Server
  * @param {Object} options - Configuration options
  * @param {number} options.port - Port to listen on (default: 3000)
+ * @param {string} options.host - Address to bind to (default: 127.0.0.1)
  * @param {string} options.configPath - Path to the configuration file
+ * @param {boolean} options.metrics - Whether to expose Prometheus metrics at /metrics (default: true)
+ * @param {boolean} options.auth - Whether requests must be authenticated; false serves them without authentication (default: true)
+ * @param {number} options.gracePeriod - Time a disconnected session can be resumed, in milliseconds (default: 60000)
+ * @param {number} options.replayLimit - Maximum number of events kept per session for replay (default: 200)
  * @returns {Object} Object with close method to shut down the server
+ * @throws {Error} If authentication is enabled but no API keys or OAuth issuer are configured
  */
 export function startSseServer(options = {}) {
-  const { port = 3000, configPath } = options;
+  const { port = 3000, host = HTTP_SECURITY_DEFAULTS.host, configPath, metrics = true, auth: authentication = true, gracePeriod, replayLimit } = options;
+
+  // Bearer token authentication, from the `auth` section of the configuration; throws
+  // without API keys or an OAuth issuer unless authentication is disabled
+  const authenticator = new Authenticator({ configPath, disabled: !authentication });
 
   const app = express();
 
+  // Host and Origin validation and CORS, ahead of every route and of authentication
+  const httpSecurity = new HttpSecurity({ host, configPath });
+  app.use(httpSecurity.middleware());
+  serveResourceMetadata(app, authenticator);
+
   // Apply JSON body parsing to all routes EXCEPT /message
   app.use((req, res, next) => {
     if (req.path !== '/message') {
@@ -49,7 +81,7 @@ export function startSseServer(options = {}) {
   // Add error handling for JSON parsing
   app.use((err, req, res, next) => {
     if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-      console.error('[SSE] JSON parse error:', err.message);
+      logger.error('[SSE] JSON parse error:', err.message);
       return res.status(400).json({ error: 'Invalid JSON in request body' });
     }
     next(err);
@@ -58,7 +90,16 @@ export function startSseServer(options = {}) {
   // Store active connections
   const connections = new Map();
 
-  app.post('/connect-account', async (req, res) => {
+  // Expose the metrics of the process, with the number of open SSE sessions
+  if (metrics) {
+    registerGauge('wordpress_mcp_sse_sessions', 'Active SSE sessions', () => connections.size);
+
+    app.get('/metrics', requireAuth(authenticator, 'metrics'), (req, res) => {
+      res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+    });
+  }
+
+  app.post('/connect-account', requireAuth(authenticator, 'accounts:write'), async (req, res) => {
 
     let postData = req.body;
 
@@ -77,44 +118,60 @@ export function startSseServer(options = {}) {
   });
 
   // Set up SSE endpoint
-  app.get('/:account_key/sse', async (req, res) => {
-    console.error('[SSE] Received connection');
+  app.get('/:account_key/sse', requireAuth(authenticator, 'mcp', { checkAccount: true }), async (req, res) => {
+    logger.info('[SSE] Received connection');
+    
+    // Sessions are bound to the token that opened them
+    const principalId = req.principal?.id;
 
+    // Reattach a reconnecting client to its session, if it is still within the grace period
+    const lastEventId = parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (lastEventId) {
+      const connection = connections.get(lastEventId.sessionId);
+      
+      if (connection && connection.accountKey === req.params.account_key && connection.principalId === principalId) {
+        try {
+          connection.transport.reconnect(res, lastEventId.sequence);
+          return;
+        } catch (error) {
+          logger.warn(`[SSE] Could not resume session ${lastEventId.sessionId}:`, error);
+        }
+      } else {
+        logger.info(`[SSE] Session ${lastEventId.sessionId} expired, starting a new session`);
+      }
+    }
     
     // Create a new server instance for this connection
     const server = new WordPressMcpServer({ configPath, account_key: req.params.account_key });
     
     // Create SSE transport with path parameter instead of query parameter
-    const transport = new SSEServerTransport('/message', res);
+    const transport = new ResumableSSEServerTransport('/message', res, { gracePeriod, replayLimit });
     
-    console.error('[SSE] Transport created, connecting server...');
+    logger.info('[SSE] Transport created, connecting server...');
     
     // Get the session ID from the transport
     const sessionId = transport.sessionId;
-    console.error(`[SSE] Created session: ${sessionId}`);
+    logger.info(`[SSE] Created session: ${sessionId}`);
     
     // Store the connection
-    connections.set(sessionId, { server, transport, res });
+    connections.set(sessionId, { server, transport, accountKey: req.params.account_key, principalId });
 
-    // Handle client disconnect
-    req.on('close', () => {
-      console.error(`[SSE] Client disconnected: ${sessionId}`);
-      
-      // Clean up the connection
-      if (connections.has(sessionId)) {
-        const connection = connections.get(sessionId);
-        connection.server.server.close().catch(console.error);
-        connections.delete(sessionId);
-      }
-    });
+    // Clean up the connection once the client is gone for longer than the grace period; installed
+    // before connecting (the MCP server keeps this handler) so a client that leaves during startup
+    // is cleaned up too
+    transport.onclose = () => {
+      logger.info(`[SSE] Session closed: ${sessionId}`);
+      connections.delete(sessionId);
+    };
 
     try {
       // Connect the server to the transport
       await server.connect(transport);
-      console.error(`[SSE] Server connected to transport for session: ${sessionId}`);
+      logger.info(`[SSE] Server connected to transport for session: ${sessionId}`);
     } catch (error) {
-      console.error('[SSE] Error connecting server to transport:', error);
+      logger.error('[SSE] Error connecting server to transport:', error);
       connections.delete(sessionId);
+      await server.close().catch(() => {});
       
       // Don't try to send a response if headers are already sent
       if (!res.headersSent) {
@@ -124,7 +181,7 @@ export function startSseServer(options = {}) {
   });
 
   // Set up message endpoint for client-to-server communication using path parameter
-  app.post('/message', async (req, res) => {
+  app.post('/message', requireAuth(authenticator, 'mcp'), async (req, res) => {
     // Extract the session ID from the URL path parameter
     const rawSessionId = req.query.sessionId;
     
@@ -133,24 +190,24 @@ export function startSseServer(options = {}) {
       ? rawSessionId.split('?')[0].split('&')[0]
       : rawSessionId;
     
-    console.error(`[SSE] Received message for session: ${rawSessionId}`);
-    console.error(`[SSE] Parsed session ID: ${sessionId}`);
+    logger.debug(`[SSE] Received message for session: ${rawSessionId}`);
+    logger.debug(`[SSE] Parsed session ID: ${sessionId}`);
     
     // We can't read the request body directly because it would consume the stream
     // Instead, we'll log the request URL and query parameters
-    console.error(`[SSE:DEBUG] Request URL: ${req.url}`);
-    console.error(`[SSE:DEBUG] Request query params:`, req.query);
+    logger.debug(`[SSE:DEBUG] Request URL: ${req.url}`);
+    logger.debug(`[SSE:DEBUG] Request query params:`, req.query);
     
     // Check if this might be a tools/list request based on the session ID
     if (sessionId) {
-      console.error('[SSE:DEBUG] This might be a tools/list request');
+      logger.debug('[SSE:DEBUG] This might be a tools/list request');
     }
     
     try {
-      // Find the connection
-      if (!connections.has(sessionId)) {
-        console.error(`[SSE] Session ID not found: ${sessionId}`);
-        console.error(`[SSE] Known sessions: ${Array.from(connections.keys()).join(', ')}`);
+      // Find the connection; a session opened with another token is reported as unknown
+      if (!connections.has(sessionId) || connections.get(sessionId).principalId !== req.principal?.id) {
+        logger.warn(`[SSE] Session ID not found: ${sessionId}`);
+        logger.debug(`[SSE] Known sessions: ${Array.from(connections.keys()).join(', ')}`);
         return res.status(400).json({ error: 'Invalid or expired session' });
       }
       
@@ -158,21 +215,21 @@ export function startSseServer(options = {}) {
       const { transport, server } = connection;
       
       // Log the server state
-      console.error(`[SSE:DEBUG] Server instance for session ${sessionId}:`);
-      console.error(`[SSE:DEBUG] Server has ${server.toolDefinitions ? server.toolDefinitions.length : 'unknown'} tool definitions`);
+      logger.debug(`[SSE:DEBUG] Server instance for session ${sessionId}:`);
+      logger.debug(`[SSE:DEBUG] Server has ${server.toolDefinitions ? server.toolDefinitions.length : 'unknown'} tool definitions`);
       
-      console.error('[SSE] Calling handlePostMessage');
+      logger.debug('[SSE] Calling handlePostMessage');
       
       // Monkey patch the transport to log the response
       const originalSendEvent = transport.sendEvent;
       transport.sendEvent = function(event, data) {
-        console.error(`[SSE:DEBUG] Sending event: ${event}`);
+        logger.debug(`[SSE:DEBUG] Sending event: ${event}`);
         
         // Check if this is a response to a tools/list request
         if (data && data.id === 'list-tools' && data.result) {
-          console.error(`[SSE:DEBUG] Response to tools/list request: Number of tools: ${data.result.tools ? data.result.tools.length : 0}`);
+          logger.debug(`[SSE:DEBUG] Response to tools/list request: Number of tools: ${data.result.tools ? data.result.tools.length : 0}`);
           if (data.result.tools && data.result.tools.length > 0) {
-            console.error(`[SSE:DEBUG] Tool names: ${data.result.tools.map(t => t.name).join(', ')}`);
+            logger.debug(`[SSE:DEBUG] Tool names: ${data.result.tools.map(t => t.name).join(', ')}`);
           }
         }
         
@@ -180,9 +237,9 @@ export function startSseServer(options = {}) {
       };
       
       await transport.handlePostMessage(req, res);
-      console.error('[SSE] handlePostMessage completed successfully');
+      logger.debug('[SSE] handlePostMessage completed successfully');
     } catch (error) {
-      console.error('[SSE] Error handling message:', error);
+      logger.error('[SSE] Error handling message:', error);
       
       // If headers haven't been sent yet, send an error response
       if (!res.headersSent) {
@@ -195,8 +252,8 @@ export function startSseServer(options = {}) {
   });
 
   // Start the Express server
-  const httpServer = app.listen(port, () => {
-    console.error(`[SSE] Server listening on port ${port}`);
+  const httpServer = app.listen(port, host, () => {
+    logger.info(`[SSE] Server listening on ${host}:${port}`);
   });
   
   // Return cleanup function
@@ -208,15 +265,17 @@ export function startSseServer(options = {}) {
       // Close all active connections
       for (const [sessionId, connection] of connections.entries()) {
         try {
-          console.error(`[SSE] Closing connection: ${sessionId}`);
+          logger.info(`[SSE] Closing connection: ${sessionId}`);
           await connection.server.server.close();
         } catch (error) {
-          console.error(`[SSE] Error closing connection ${sessionId}:`, error);
+          logger.error(`[SSE] Error closing connection ${sessionId}:`, error);
         }
       }
       
       // Clear the connections map
       connections.clear();
+      authenticator.close();
+      httpSecurity.close();
     }
   };
 }
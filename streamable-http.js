@@ -0,0 +1,334 @@
+/**
+ * Streamable HTTP Server for WordPress MCP Server
+ *
+ * This module implements the Streamable HTTP transport of the MCP specification, which
+ * serves every session on a single `/mcp` endpoint:
+ *
+ * 1. Initialization:
+ *    - Client POSTs an `initialize` request to `/mcp` without a session ID
+ *    - Server creates a server instance and a StreamableHTTPServerTransport for the session
+ *    - Server returns the session ID in the `Mcp-Session-Id` response header
+ *
+ * 2. Message Exchange:
+ *    - Client POSTs requests, notifications and responses to `/mcp` with the `Mcp-Session-Id` header
+ *    - Server answers requests with a JSON body or an SSE stream (which can also carry
+ *      notifications and requests related to the call, such as logs and elicitation)
+ *    - Client may GET `/mcp` to open an SSE stream for server-initiated messages
+ *
+ * 3. Termination:
+ *    - Client sends DELETE `/mcp` with the `Mcp-Session-Id` header to end the session
+ *    - Sessions without any request or open stream for the idle timeout are closed
+ *
+ * Sessions for an account connected with `/connect-account` use `/{account_key}/mcp`.
+ * The server also exposes Prometheus metrics at `/metrics` (see metrics/index.js).
+ *
+ * When the `auth` section of the configuration holds API keys or an OAuth issuer, every
+ * request needs a bearer token (see auth/index.js), and a session can only be used with
+ * the token that created it. Host and Origin headers are validated and CORS requests
+ * answered according to the `http` section (see http-security/index.js).
+ *
+ * @see https://modelcontextprotocol.io/specification/2025-03-26/basic/transports#streamable-http
+ */
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { WordPressMcpServer } from './server.js';
+import { logger } from './logging/index.js';
+import { METRICS_CONTENT_TYPE, registerGauge, renderMetrics } from './metrics/index.js';
+import { Authenticator, requireAuth, serveResourceMetadata } from './auth/index.js';
+import { HTTP_SECURITY_DEFAULTS, HttpSecurity } from './http-security/index.js';
+
+// Default session settings
+export const HTTP_SESSION_DEFAULTS = {
+  idleTimeout: 30 * 60 * 1000
+};
+
+/**
+ * Send a JSON-RPC error response
+ *
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ */
+function sendJsonRpcError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * Check whether a request body holds an initialize request
+ *
+ * @param {Object|Array} body - Parsed JSON-RPC message or batch
+ * @returns {boolean} True if the body initializes a session
+ */
+function isInitializeBody(body) {
+  return Array.isArray(body) ? body.some(message => isInitializeRequest(message)) : isInitializeRequest(body);
+}
+
+/**
+ * Start a Streamable HTTP server for the WordPress MCP Server
+ * @param {Object} options - Configuration options
+ * @param {number} options.port - Port to listen on (default: 3000)
+ * @param {string} options.host - Address to bind to (default: 127.0.0.1)
+ * @param {string} options.configPath - Path to the configuration file
+ * @param {boolean} options.jsonResponse - Answer POST requests with JSON bodies instead of SSE streams (default: false)
+ * @param {boolean} options.metrics - Whether to expose Prometheus metrics at /metrics (default: true)
+ * @param {boolean} options.auth - Whether requests must be authenticated; false serves them without authentication (default: true)
+ * @param {number} options.idleTimeout - Time a session without requests is kept open, in milliseconds (default: 1800000)
+ * @returns {Object} Object with close method to shut down the server
+ * @throws {Error} If authentication is enabled but no API keys or OAuth issuer are configured
+ */
+export function startHttpServer(options = {}) {
+  const { port = 3000, host = HTTP_SECURITY_DEFAULTS.host, configPath, jsonResponse = false, metrics = true, auth: authentication = true } = options;
+  const idleTimeout = options.idleTimeout ?? HTTP_SESSION_DEFAULTS.idleTimeout;
+
+  // Bearer token authentication, from the `auth` section of the configuration; throws
+  // without API keys or an OAuth issuer unless authentication is disabled
+  const authenticator = new Authenticator({ configPath, disabled: !authentication });
+
+  const app = express();
+
+  // Host and Origin validation and CORS, ahead of every route and of authentication
+  const httpSecurity = new HttpSecurity({ host, configPath });
+  app.use(httpSecurity.middleware());
+  app.use(express.json({ limit: '4mb' }));
+  serveResourceMetadata(app, authenticator);
+
+  // Active sessions by session ID ({ server, transport, accountKey, principalId, activeRequests, idleTimer })
+  const sessions = new Map();
+
+  // Expose the metrics of the process, with the number of open sessions
+  if (metrics) {
+    registerGauge('wordpress_mcp_http_sessions', 'Active Streamable HTTP sessions', () => sessions.size);
+
+    app.get('/metrics', requireAuth(authenticator, 'metrics'), (req, res) => {
+      res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+    });
+  }
+
+  /**
+   * Create a session for an initialize request
+   *
+   * @param {string} accountKey - Account key from the URL, if any
+   * @param {string} principalId - Id of the token that creates the session, if authentication is enabled
+   * @returns {Promise<Object>} Server and transport of the new session ({ server, transport })
+   */
+  const createSession = async (accountKey, principalId) => {
+    const server = new WordPressMcpServer({ configPath, account_key: accountKey });
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      enableJsonResponse: jsonResponse,
+      onsessioninitialized: (sessionId) => {
+        logger.info(`[HTTP] Created session: ${sessionId}`);
+        sessions.set(sessionId, { server, transport, accountKey, principalId, activeRequests: 0, idleTimer: null });
+      }
+    });
+
+    // Clean up when the session ends (DELETE, idle timeout or server shutdown)
+    transport.onclose = () => {
+      const { sessionId } = transport;
+      const session = sessionId && sessions.get(sessionId);
+
+      if (session) {
+        logger.info(`[HTTP] Session closed: ${sessionId}`);
+        clearTimeout(session.idleTimer);
+        sessions.delete(sessionId);
+      }
+    };
+
+    try {
+      await server.connect(transport);
+    } catch (error) {
+      await server.close();
+      throw error;
+    }
+
+    return { server, transport };
+  };
+
+  /**
+   * Close a session once it has received no request for the idle timeout
+   *
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session
+   */
+  const startIdleTimer = (sessionId, session) => {
+    clearTimeout(session.idleTimer);
+
+    session.idleTimer = setTimeout(async () => {
+      logger.info(`[HTTP] Session ${sessionId} idle for ${idleTimeout}ms, closing it`);
+
+      try {
+        await session.server.close();
+      } catch (error) {
+        logger.error(`[HTTP] Error closing session ${sessionId}:`, error);
+      }
+    }, idleTimeout);
+  };
+
+  /**
+   * Handle a request of a session, keeping the session open while the request or its stream lasts
+   *
+   * The idle timer starts again once the session has no open request.
+   *
+   * @param {Object} session - Session
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<void>}
+   */
+  const handleSessionMessage = async (session, req, res) => {
+    const sessionId = session.transport.sessionId;
+
+    session.activeRequests += 1;
+    clearTimeout(session.idleTimer);
+
+    res.on('close', () => {
+      session.activeRequests -= 1;
+
+      if (session.activeRequests === 0 && sessions.get(sessionId) === session) {
+        startIdleTimer(sessionId, session);
+      }
+    });
+
+    await session.transport.handleRequest(req, res, req.method === 'POST' ? req.body : undefined);
+  };
+
+  /**
+   * Find the session a request belongs to
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Object|null} Session, or null if an error response was sent
+   */
+  const findSession = (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+
+    if (!sessionId) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+      return null;
+    }
+
+    // A session can only be used through the URL and with the token it was created with
+    const session = sessions.get(sessionId);
+    if (!session || session.accountKey !== req.params.account_key || session.principalId !== req.principal?.id) {
+      logger.warn(`[HTTP] Session ID not found: ${sessionId}`);
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return null;
+    }
+
+    return session;
+  };
+
+  /**
+   * Create a session and answer its initialize request
+   *
+   * The session's server is closed if the request does not initialize the session.
+   *
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<void>}
+   */
+  const initializeSession = async (req, res) => {
+    const { server, transport } = await createSession(req.params.account_key, req.principal?.id);
+    let session;
+
+    try {
+      await transport.handleRequest(req, res, req.body);
+      session = sessions.get(transport.sessionId);
+    } finally {
+      if (session?.transport === transport) {
+        startIdleTimer(transport.sessionId, session);
+      } else {
+        logger.warn('[HTTP] Session initialization failed, closing its server');
+        await server.close();
+      }
+    }
+  };
+
+  const endpoints = ['/mcp', '/:account_key/mcp'];
+  const auth = requireAuth(authenticator, 'mcp', { checkAccount: true });
+
+  // Client-to-server messages; initialize requests start a new session
+  app.post(endpoints, auth, async (req, res) => {
+    try {
+      if (!req.get('mcp-session-id') && isInitializeBody(req.body)) {
+        logger.info('[HTTP] Received initialize request');
+        await initializeSession(req, res);
+        return;
+      }
+
+      const session = findSession(req, res);
+      if (session) {
+        await handleSessionMessage(session, req, res);
+      }
+    } catch (error) {
+      logger.error('[HTTP] Error handling message:', error);
+
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  });
+
+  // Server-to-client stream (GET) and session termination (DELETE)
+  const handleSessionRequest = async (req, res) => {
+    try {
+      const session = findSession(req, res);
+      if (session) {
+        await handleSessionMessage(session, req, res);
+      }
+    } catch (error) {
+      logger.error(`[HTTP] Error handling ${req.method} request:`, error);
+
+      if (!res.headersSent) {
+        sendJsonRpcError(res, 500, -32603, 'Internal server error');
+      }
+    }
+  };
+
+  app.get(endpoints, auth, handleSessionRequest);
+  app.delete(endpoints, auth, handleSessionRequest);
+
+  // Report malformed JSON as a JSON-RPC parse error
+  app.use((err, req, res, next) => {
+    if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+      logger.error('[HTTP] JSON parse error:', err.message);
+      return sendJsonRpcError(res, 400, -32700, 'Parse error: invalid JSON');
+    }
+    next(err);
+  });
+
+  // Start the Express server
+  const httpServer = app.listen(port, host, () => {
+    logger.info(`[HTTP] Server listening on ${host}:${port}, endpoint /mcp`);
+  });
+
+  // Return cleanup function
+  return {
+    close: async () => {
+      // Close the HTTP server
+      httpServer.close();
+
+      // Close all active sessions
+      for (const [sessionId, session] of sessions.entries()) {
+        try {
+          logger.info(`[HTTP] Closing session: ${sessionId}`);
+          await session.server.close();
+        } catch (error) {
+          logger.error(`[HTTP] Error closing session ${sessionId}:`, error);
+        }
+      }
+
+      // Clear the sessions map
+      sessions.clear();
+      authenticator.close();
+      httpSecurity.close();
+    }
+  };
+}
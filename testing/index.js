@@ -0,0 +1,24 @@
+/**
+ * Test Helpers
+ *
+ * Helpers shared by the Jest test suites (`*.test.js` next to each module).
+ */
+
+/**
+ * Get the error a call throws
+ *
+ * Lets a test check the properties of an error (e.g. `status` or `category`), which
+ * `toThrow` cannot match.
+ *
+ * @param {Function} fn - Function expected to throw
+ * @returns {Error} Thrown error
+ * @throws {Error} If the call does not throw
+ */
+export function catchError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the call to throw');
+}
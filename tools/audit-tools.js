@@ -0,0 +1,118 @@
+/**
+ * Audit Tools for WordPress MCP Server
+ *
+ * This module provides the MCP tool for querying the audit log of mutating tool calls.
+ */
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
+import { MAX_QUERY_LIMIT, getAccountId, maskAccountSiteId } from '../audit/index.js';
+
+/**
+ * Register audit tools with the MCP server
+ *
+ * @param {Server} server - The MCP server instance
+ * @param {Object} options - Tool options
+ * @param {AuditLog} options.auditLog - The audit log
+ * @param {string} options.accountKey - Account key of the session; its queries only return the account's entries
+ * @param {Function} options.registerToolHandler - Function to register a tool handler
+ */
+export function registerAuditTools(server, options) {
+  logger.info('[Tools] Registering audit tools');
+
+  const { auditLog, accountKey, registerToolHandler } = options;
+
+  // Define the tools
+  const tools = [
+    {
+      name: 'query_audit_log',
+      description: 'Query the audit log of mutating tool calls (most recent first), with before/after snapshots of the changed objects',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          since: {
+            type: 'string',
+            description: 'Only entries at or after this time (ISO 8601)'
+          },
+          until: {
+            type: 'string',
+            description: 'Only entries before this time (ISO 8601)'
+          },
+          tool: {
+            type: 'string',
+            description: 'Tool name (e.g. update_product)'
+          },
+          site_id: {
+            type: 'string',
+            description: 'Site ID'
+          },
+          object_id: {
+            type: ['integer', 'string'],
+            description: 'ID of the changed post, page, product, order or customer'
+          },
+          session_id: {
+            type: 'string',
+            description: 'MCP session ID'
+          },
+          status: {
+            type: 'string',
+            description: 'Outcome of the call',
+            enum: ['success', 'error', 'refused']
+          },
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of entries to return',
+            minimum: 1,
+            maximum: MAX_QUERY_LIMIT,
+            default: 50
+          }
+        }
+      }
+    }
+  ];
+
+  // Register tool definitions with the server
+  server.registerToolDefinitions(tools);
+
+  registerToolHandler('query_audit_log', async (args) => {
+    logger.info('[Tool:query_audit_log] Querying audit log');
+
+    try {
+      // Sessions connected with an account key only see the account's entries, which record the account by id
+      const entries = await auditLog.query({
+        ...args,
+        ...(args.site_id ? { site_id: maskAccountSiteId(args.site_id, accountKey) } : {}),
+        ...(accountKey ? { account_id: getAccountId(accountKey) } : {})
+      });
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              status: 'success',
+              count: entries.length,
+              entries
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logger.error('[Tool:query_audit_log] Error:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(serializeError(error), null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  });
+}
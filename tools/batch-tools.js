@@ -0,0 +1,206 @@
+/**
+ * Batch Tools for WordPress MCP Server
+ *
+ * This module provides MCP tools that update many posts, pages, products, orders or
+ * customers in one call, through the WordPress batch API (`/batch/v1`) and the WooCommerce
+ * batch endpoints (e.g. `products/batch`). Each object is reported separately, so a call
+ * can partly succeed.
+ */
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
+import { DRY_RUN_PROPERTY } from '../dry-run/index.js';
+import { WORDPRESS_BATCH_LIMIT } from '../wordpress/client.js';
+import { WOOCOMMERCE_BATCH_LIMIT } from '../wordpress/woocommerce.js';
+
+// Batch tools by API: tool name, object type and endpoint
+const BATCH_TOOLS = [
+  { name: 'batch_update_posts', api: 'wordpress', type: 'post', endpoint: '/wp/v2/posts' },
+  { name: 'batch_update_pages', api: 'wordpress', type: 'page', endpoint: '/wp/v2/pages' },
+  { name: 'batch_update_products', api: 'woocommerce', type: 'product', endpoint: 'products' },
+  { name: 'batch_update_orders', api: 'woocommerce', type: 'order', endpoint: 'orders' },
+  { name: 'batch_update_customers', api: 'woocommerce', type: 'customer', endpoint: 'customers' }
+];
+
+/**
+ * Create the definition of a batch tool
+ *
+ * @param {Object} batchTool - Batch tool ({ name, api, type })
+ * @returns {Object} Tool definition
+ */
+function createToolDefinition({ name, api, type }) {
+  const limit = api === 'wordpress' ? WORDPRESS_BATCH_LIMIT : WOOCOMMERCE_BATCH_LIMIT;
+
+  return {
+    name,
+    description: `Update up to ${limit} ${type}s in a single request, reporting the result of each ${type}`,
+    annotations: {
+      readOnlyHint: false,
+      destructiveHint: true,
+      idempotentHint: true
+    },
+    inputSchema: {
+      type: 'object',
+      properties: {
+        site_id: {
+          type: 'string',
+          description: 'Site ID (defaults to active site if not provided)'
+        },
+        updates: {
+          type: 'array',
+          description: `${type[0].toUpperCase()}${type.slice(1)} updates: the ${type} ID and the fields to change, with the same names as the REST API (e.g. { "id": 42, "status": "draft" })`,
+          minItems: 1,
+          maxItems: limit,
+          items: {
+            type: 'object',
+            properties: {
+              id: {
+                type: 'integer',
+                description: `${type[0].toUpperCase()}${type.slice(1)} ID`
+              }
+            },
+            required: ['id'],
+            additionalProperties: true
+          }
+        },
+        ...(api === 'wordpress' ? {
+          validation: {
+            type: 'string',
+            description: 'normal applies every valid update; require-all-validate applies none if any update is invalid',
+            enum: ['normal', 'require-all-validate'],
+            default: 'normal'
+          }
+        } : {}),
+        dry_run: DRY_RUN_PROPERTY
+      },
+      required: ['updates']
+    }
+  };
+}
+
+/**
+ * Send updates through the WordPress batch API
+ *
+ * @param {SiteManager} siteManager - The site manager
+ * @param {Object} batchTool - Batch tool ({ endpoint })
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Array<Object>>} Result of each update ({ id, status, http_status, error })
+ */
+async function sendWordPressBatch(siteManager, { endpoint }, args) {
+  const client = args.site_id
+    ? siteManager.createClientForSite(args.site_id)
+    : siteManager.createClientForActiveSite();
+
+  const response = await client.client.batch(
+    args.updates.map(({ id, ...fields }) => ({ method: 'PUT', path: `${endpoint}/${id}`, body: fields })),
+    { validation: args.validation }
+  );
+
+  return args.updates.map(({ id }, index) => {
+    const itemResponse = response.responses?.[index];
+
+    // With require-all-validate, valid requests are skipped when another one is invalid
+    if (!itemResponse) {
+      return { id, status: 'skipped' };
+    }
+
+    if (itemResponse.status >= 300) {
+      return {
+        id,
+        status: 'error',
+        http_status: itemResponse.status,
+        error: { code: itemResponse.body?.code, message: itemResponse.body?.message }
+      };
+    }
+
+    return { id, status: 'success', http_status: itemResponse.status };
+  });
+}
+
+/**
+ * Send updates through a WooCommerce batch endpoint
+ *
+ * @param {SiteManager} siteManager - The site manager
+ * @param {Object} batchTool - Batch tool ({ endpoint })
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Array<Object>>} Result of each update ({ id, status, error })
+ */
+async function sendWooCommerceBatch(siteManager, { endpoint }, args) {
+  const client = siteManager.createClientForWoocommerce(args.site_id || siteManager.getActiveSite()?.id);
+  const response = await client.batch(endpoint, { update: args.updates });
+
+  return args.updates.map(({ id }, index) => {
+    const result = response.data?.update?.[index];
+
+    if (!result) {
+      return { id, status: 'skipped' };
+    }
+
+    if (result.error) {
+      return { id, status: 'error', error: { code: result.error.code, message: result.error.message } };
+    }
+
+    return { id, status: 'success' };
+  });
+}
+
+/**
+ * Register batch tools with the MCP server
+ *
+ * @param {Server} server - The MCP server instance
+ * @param {Object} options - Tool options
+ * @param {SiteManager} options.siteManager - The site manager instance
+ * @param {Function} options.registerToolHandler - Function to register a tool handler
+ */
+export function registerBatchTools(server, options) {
+  logger.info('[Tools] Registering batch tools');
+
+  const { siteManager, registerToolHandler } = options;
+
+  // Register tool definitions with the server
+  server.registerToolDefinitions(BATCH_TOOLS.map(createToolDefinition));
+
+  for (const batchTool of BATCH_TOOLS) {
+    registerToolHandler(batchTool.name, async (args) => {
+      logger.info(`[Tool:${batchTool.name}] Updating ${args.updates.length} ${batchTool.type}s`);
+
+      try {
+        const results = batchTool.api === 'wordpress'
+          ? await sendWordPressBatch(siteManager, batchTool, args)
+          : await sendWooCommerceBatch(siteManager, batchTool, args);
+
+        const succeeded = results.filter(result => result.status === 'success').length;
+        const failed = results.length - succeeded;
+        const status = failed === 0 ? 'success' : succeeded === 0 ? 'error' : 'partial';
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                status,
+                message: `Updated ${succeeded} of ${results.length} ${batchTool.type}s`,
+                succeeded,
+                failed,
+                results
+              }, null, 2)
+            }
+          ],
+          // A partly applied batch is not an error, so its changes can still be undone
+          ...(status === 'error' ? { isError: true } : {})
+        };
+      } catch (error) {
+        logger.error(`[Tool:${batchTool.name}] Error:`, error);
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(serializeError(error), null, 2)
+            }
+          ],
+          isError: true
+        };
+      }
+    });
+  }
+}
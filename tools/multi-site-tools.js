@@ -0,0 +1,156 @@
+/**
+ * Multi-site Tools for WordPress MCP Server
+ *
+ * This module provides the MCP tool that runs a read-only tool (e.g. `list_orders`) across
+ * several sites and merges the results into a single response tagged by site.
+ */
+import { logger } from '../logging/index.js';
+import { serializeError, ToolError } from '../errors/index.js';
+import { FAN_OUT_DEFAULTS, mapConcurrently, selectSites } from '../fan-out/index.js';
+
+/**
+ * Read the JSON payload of a tool result
+ *
+ * @param {Object} result - Tool result
+ * @returns {*} Parsed payload, or the text itself if it is not JSON
+ */
+function readPayload(result) {
+  const text = result?.content?.[0]?.text;
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Register multi-site tools with the MCP server
+ *
+ * @param {Server} server - The MCP server instance
+ * @param {Object} options - Tool options
+ * @param {SiteManager} options.siteManager - The site manager
+ * @param {Function} options.getToolDefinition - Function that returns the definition of a tool by name
+ * @param {Function} options.callTool - Function that calls a tool for one site, with the server's access checks and validation
+ * @param {Function} options.getFanOutSettings - Function that returns the `multiSite` configuration ({ concurrency })
+ * @param {Function} options.registerToolHandler - Function to register a tool handler
+ */
+export function registerMultiSiteTools(server, options) {
+  logger.info('[Tools] Registering multi-site tools');
+
+  const { siteManager, getToolDefinition, callTool, getFanOutSettings, registerToolHandler } = options;
+
+  // Define the tools
+  const tools = [
+    {
+      name: 'multi_site_call',
+      description: 'Run a read-only tool (e.g. list_orders, list_posts) on several sites at once and merge the results by site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tool: {
+            type: 'string',
+            description: 'Name of a read-only tool that takes a site_id'
+          },
+          arguments: {
+            type: 'object',
+            description: 'Arguments of the tool, without site_id',
+            default: {}
+          },
+          site_ids: {
+            type: 'array',
+            description: 'Sites to run the tool on (defaults to every site)',
+            items: {
+              type: 'string'
+            },
+            minItems: 1
+          },
+          site_group: {
+            type: 'string',
+            description: 'Run the tool on the sites of this group instead of listing site_ids'
+          },
+          concurrency: {
+            type: 'integer',
+            description: `Maximum number of sites called at the same time (default: ${FAN_OUT_DEFAULTS.concurrency})`,
+            minimum: 1,
+            maximum: FAN_OUT_DEFAULTS.maxConcurrency
+          }
+        },
+        required: ['tool']
+      }
+    }
+  ];
+
+  // Register tool definitions with the server
+  server.registerToolDefinitions(tools);
+
+  registerToolHandler('multi_site_call', async (args) => {
+    const { tool, site_ids, site_group } = args;
+    logger.info(`[Tool:multi_site_call] Running ${tool} across sites`);
+
+    try {
+      const toolDefinition = getToolDefinition(tool);
+
+      if (!toolDefinition) {
+        throw new ToolError(`Unknown tool: ${tool}`, { category: 'not_found' });
+      }
+
+      // Only reads are fanned out: a write across many sites deserves its own calls
+      if (toolDefinition.annotations?.readOnlyHint !== true || !toolDefinition.inputSchema?.properties?.site_id) {
+        throw new ToolError(`Tool '${tool}' cannot run across sites: only read-only tools that take a site_id can`, { category: 'validation' });
+      }
+
+      const sites = selectSites(siteManager.getAllSites(), { siteIds: site_ids, siteGroup: site_group });
+      const concurrency = args.concurrency || getFanOutSettings()?.concurrency || FAN_OUT_DEFAULTS.concurrency;
+
+      logger.debug(`[Tool:multi_site_call] Calling ${tool} on ${sites.length} sites, ${concurrency} at a time`);
+
+      const results = await mapConcurrently(sites, concurrency, async (site) => {
+        const result = await callTool(tool, { ...args.arguments, site_id: site.id });
+        const payload = readPayload(result);
+
+        return result?.isError
+          ? { site_id: site.id, site_name: site.name, status: 'error', error: payload }
+          : { site_id: site.id, site_name: site.name, status: 'success', result: payload };
+      });
+
+      const succeeded = results.filter(result => result.status === 'success').length;
+      const failed = results.length - succeeded;
+      const status = failed === 0 ? 'success' : succeeded === 0 ? 'error' : 'partial';
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              status,
+              message: `Ran '${tool}' on ${succeeded} of ${results.length} sites`,
+              tool,
+              succeeded,
+              failed,
+              sites: results
+            }, null, 2)
+          }
+        ],
+        ...(status === 'error' ? { isError: true } : {})
+      };
+    } catch (error) {
+      logger.error('[Tool:multi_site_call] Error:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(serializeError(error), null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  });
+}
@@ -5,6 +5,12 @@
  * It includes tools for creating, retrieving, updating, and deleting pages.
  */
 import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
+import { createListResult, LIST_OUTPUT_PROPERTIES, projectItems, toFieldsParam } from '../output/index.js';
+import { collectItems, FETCH_ALL_PROPERTY } from '../pagination/index.js';
+import { DRY_RUN_PROPERTY } from '../dry-run/index.js';
+import { CONFIRMATION_TOKEN_PROPERTY } from '../confirmation/index.js';
 
 /**
  * Register page management tools with the MCP server
@@ -15,7 +21,7 @@ import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
  * @param {Function} options.registerToolHandler - Function to register a tool handler
  */
 export function registerPageTools(server, options) {
-  console.error('[Tools] Registering page management tools');
+  logger.info('[Tools] Registering page management tools');
   
   const { siteManager, registerToolHandler } = options;
   
@@ -24,6 +30,11 @@ export function registerPageTools(server, options) {
     {
       name: 'list_pages',
       description: 'List pages from a WordPress site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -65,13 +76,20 @@ export function registerPageTools(server, options) {
             description: 'Order by field',
             enum: ['date', 'title', 'modified', 'menu_order', 'id'],
             default: 'date'
-          }
+          },
+          ...LIST_OUTPUT_PROPERTIES,
+          fetch_all: FETCH_ALL_PROPERTY
         }
       }
     },
     {
       name: 'get_page',
       description: 'Get a page from a WordPress site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -90,6 +108,11 @@ export function registerPageTools(server, options) {
     {
       name: 'create_page',
       description: 'Create a page on a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -130,7 +153,8 @@ export function registerPageTools(server, options) {
           featured_media: {
             type: 'integer',
             description: 'Featured media ID'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['title', 'content']
       }
@@ -138,6 +162,11 @@ export function registerPageTools(server, options) {
     {
       name: 'update_page',
       description: 'Update a page on a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -181,7 +210,8 @@ export function registerPageTools(server, options) {
           featured_media: {
             type: 'integer',
             description: 'Featured media ID'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['page_id']
       }
@@ -189,6 +219,11 @@ export function registerPageTools(server, options) {
     {
       name: 'delete_page',
       description: 'Delete a page from a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -204,7 +239,9 @@ export function registerPageTools(server, options) {
             type: 'boolean',
             description: 'Whether to bypass trash and force deletion',
             default: false
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY,
+          confirmation_token: CONFIRMATION_TOKEN_PROPERTY
         },
         required: ['page_id']
       }
@@ -212,18 +249,18 @@ export function registerPageTools(server, options) {
   ];
   
   // Register tool definitions with the server
-  console.error('[PageTools:DEBUG] Checking for centralized registration method');
-  console.error('[PageTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
+  logger.debug('[PageTools:DEBUG] Checking for centralized registration method');
+  logger.debug('[PageTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
   
   if (typeof server.registerToolDefinitions === 'function') {
     // Use the new centralized registration method if available
-    console.error('[PageTools:DEBUG] Using centralized registration method');
-    console.error('[PageTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
+    logger.debug('[PageTools:DEBUG] Using centralized registration method');
+    logger.debug('[PageTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
     server.registerToolDefinitions(tools);
-    console.error('[ListTools] Page tools registered using centralized method:', tools.map(t => t.name));
+    logger.debug('[ListTools] Page tools registered using centralized method:', tools.map(t => t.name));
   } else {
     // Fall back to the old method for backward compatibility
-    console.error('[PageTools:DEBUG] Falling back to legacy registration method');
+    logger.debug('[PageTools:DEBUG] Falling back to legacy registration method');
     server.setRequestHandler(ListToolsRequestSchema, async (request) => {
       try {
         // Get existing tools
@@ -240,7 +277,7 @@ export function registerPageTools(server, options) {
         
         return response;
       } catch (error) {
-        console.error('[ListTools] Error:', error);
+        logger.error('[ListTools] Error:', error);
         return { tools };
       }
     });
@@ -250,7 +287,7 @@ export function registerPageTools(server, options) {
   if (registerToolHandler) {
     // Register list_pages tool handler
     registerToolHandler('list_pages', async (args) => {
-      console.error('[Tool:list_pages] Listing pages');
+      logger.info('[Tool:list_pages] Listing pages');
       
       try {
         // Get the site client
@@ -258,7 +295,7 @@ export function registerPageTools(server, options) {
           ? siteManager.createClientForSite(args.site_id)
           : siteManager.createClientForActiveSite();
         
-        const { per_page, page, search, parent, status, order, orderby } = args;
+        const { per_page, page, search, parent, status, order, orderby, fields, output_format, fetch_all } = args;
         
         // Build query parameters
         const params = {
@@ -268,7 +305,8 @@ export function registerPageTools(server, options) {
           parent,
           status,
           order,
-          orderby
+          orderby,
+          _fields: toFieldsParam(fields)
         };
         
         // Filter out undefined values
@@ -278,52 +316,44 @@ export function registerPageTools(server, options) {
           }
         });
         
-        // Get pages
-        const pages = await client.client.get('/wp/v2/pages', params);
+        // Get pages (every page of results with fetch_all)
+        const { items: pages, truncated } = fetch_all
+          ? await collectItems(client.client.paginate('/wp/v2/pages', params))
+          : { items: await client.client.get('/wp/v2/pages', params), truncated: false };
         
         // Get total pages and pages count from headers
-        const totalPages = parseInt(client.client.lastResponse?.headers?.get('X-WP-Total') || '0', 10);
-        const totalPagesCount = parseInt(client.client.lastResponse?.headers?.get('X-WP-TotalPages') || '0', 10);
+        const { total, totalPages } = client.client.lastResponse || {};
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: 'success',
-                count: pages.length,
-                total: totalPages,
-                total_pages: totalPagesCount,
-                current_page: page || 1,
-                pages: pages.map(page => ({
-                  id: page.id,
-                  title: page.title.rendered,
-                  excerpt: page.excerpt.rendered,
-                  status: page.status,
-                  date: page.date,
-                  modified: page.modified,
-                  link: page.link,
-                  author: page.author,
-                  featured_media: page.featured_media,
-                  parent: page.parent,
-                  menu_order: page.menu_order,
-                  template: page.template
-                }))
-              }, null, 2)
-            }
-          ]
-        };
+        return createListResult({
+          status: 'success',
+          count: pages.length,
+          total: total ?? pages.length,
+          total_pages: totalPages ?? 1,
+          current_page: page || 1,
+          ...(fetch_all ? { truncated } : {}),
+          pages: projectItems(pages, fields, page => ({
+            id: page.id,
+            title: page.title.rendered,
+            excerpt: page.excerpt.rendered,
+            status: page.status,
+            date: page.date,
+            modified: page.modified,
+            link: page.link,
+            author: page.author,
+            featured_media: page.featured_media,
+            parent: page.parent,
+            menu_order: page.menu_order,
+            template: page.template
+          }))
+        }, 'pages', output_format);
       } catch (error) {
-        console.error('[Tool:list_pages] Error:', error);
+        logger.error('[Tool:list_pages] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -333,7 +363,7 @@ export function registerPageTools(server, options) {
     
     // Register get_page tool handler
     registerToolHandler('get_page', async (args) => {
-      console.error('[Tool:get_page] Getting page:', args.page_id);
+      logger.info('[Tool:get_page] Getting page:', args.page_id);
       
       try {
         // Get the site client
@@ -372,16 +402,13 @@ export function registerPageTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:get_page] Error:', error);
+        logger.error('[Tool:get_page] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -391,7 +418,7 @@ export function registerPageTools(server, options) {
     
     // Register create_page tool handler
     registerToolHandler('create_page', async (args) => {
-      console.error('[Tool:create_page] Creating page:', args.title);
+      logger.info('[Tool:create_page] Creating page:', args.title);
       
       try {
         // Get the site client
@@ -442,16 +469,13 @@ export function registerPageTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:create_page] Error:', error);
+        logger.error('[Tool:create_page] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -461,7 +485,7 @@ export function registerPageTools(server, options) {
     
     // Register update_page tool handler
     registerToolHandler('update_page', async (args) => {
-      console.error('[Tool:update_page] Updating page:', args.page_id);
+      logger.info('[Tool:update_page] Updating page:', args.page_id);
       
       try {
         // Get the site client
@@ -513,16 +537,13 @@ export function registerPageTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:update_page] Error:', error);
+        logger.error('[Tool:update_page] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -532,7 +553,7 @@ export function registerPageTools(server, options) {
     
     // Register delete_page tool handler
     registerToolHandler('delete_page', async (args) => {
-      console.error('[Tool:delete_page] Deleting page:', args.page_id);
+      logger.info('[Tool:delete_page] Deleting page:', args.page_id);
       
       try {
         // Get the site client
@@ -564,16 +585,13 @@ export function registerPageTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:delete_page] Error:', error);
+        logger.error('[Tool:delete_page] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
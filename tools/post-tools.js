@@ -5,6 +5,12 @@
  * It includes tools for creating, retrieving, updating, and deleting posts.
  */
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
+import { createListResult, LIST_OUTPUT_PROPERTIES, projectItems, toFieldsParam } from '../output/index.js';
+import { collectItems, FETCH_ALL_PROPERTY } from '../pagination/index.js';
+import { DRY_RUN_PROPERTY } from '../dry-run/index.js';
+import { CONFIRMATION_TOKEN_PROPERTY } from '../confirmation/index.js';
 
 /**
  * Register post management tools with the MCP server
@@ -15,7 +21,7 @@ import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprot
  * @param {Function} options.registerToolHandler - Function to register a tool handler
  */
 export function registerPostTools(server, options) {
-  console.error('[Tools] Registering post management tools');
+  logger.info('[Tools] Registering post management tools');
   
   const { siteManager, registerToolHandler } = options;
   
@@ -24,6 +30,11 @@ export function registerPostTools(server, options) {
     {
       name: 'list_posts',
       description: 'List posts from a WordPress site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -75,13 +86,20 @@ export function registerPostTools(server, options) {
             description: 'Order by field',
             enum: ['date', 'title', 'modified', 'author', 'id'],
             default: 'date'
-          }
+          },
+          ...LIST_OUTPUT_PROPERTIES,
+          fetch_all: FETCH_ALL_PROPERTY
         }
       }
     },
     {
       name: 'get_post',
       description: 'Get a post from a WordPress site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -100,6 +118,11 @@ export function registerPostTools(server, options) {
     {
       name: 'create_post',
       description: 'Create a post on a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -142,7 +165,8 @@ export function registerPostTools(server, options) {
           featured_media: {
             type: 'integer',
             description: 'Featured media ID'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['title', 'content']
       }
@@ -150,6 +174,11 @@ export function registerPostTools(server, options) {
     {
       name: 'update_post',
       description: 'Update a post on a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -195,7 +224,8 @@ export function registerPostTools(server, options) {
           featured_media: {
             type: 'integer',
             description: 'Featured media ID'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['post_id']
       }
@@ -203,6 +233,11 @@ export function registerPostTools(server, options) {
     {
       name: 'delete_post',
       description: 'Delete a post from a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -218,7 +253,9 @@ export function registerPostTools(server, options) {
             type: 'boolean',
             description: 'Whether to bypass trash and force deletion',
             default: false
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY,
+          confirmation_token: CONFIRMATION_TOKEN_PROPERTY
         },
         required: ['post_id']
       }
@@ -226,44 +263,44 @@ export function registerPostTools(server, options) {
   ];
   
   // Register tool definitions with the server
-  console.error('[PostTools:DEBUG] Checking for centralized registration method');
-  console.error('[PostTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
-  console.error('[PostTools:DEBUG] server object keys:', Object.keys(server));
+  logger.debug('[PostTools:DEBUG] Checking for centralized registration method');
+  logger.debug('[PostTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
+  logger.debug('[PostTools:DEBUG] server object keys:', Object.keys(server));
   
   if (typeof server.registerToolDefinitions === 'function') {
     // Use the new centralized registration method if available
-    console.error('[PostTools:DEBUG] Using centralized registration method');
-    console.error('[PostTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
+    logger.debug('[PostTools:DEBUG] Using centralized registration method');
+    logger.debug('[PostTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
     server.registerToolDefinitions(tools);
-    console.error('[ListTools] Post tools registered using centralized method:', tools.map(t => t.name));
+    logger.debug('[ListTools] Post tools registered using centralized method:', tools.map(t => t.name));
   } else {
     // Fall back to the old method for backward compatibility
-    console.error('[PostTools:DEBUG] Falling back to legacy registration method');
+    logger.debug('[PostTools:DEBUG] Falling back to legacy registration method');
     server.setRequestHandler(ListToolsRequestSchema, async (request) => {
-      console.error('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
+      logger.debug('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
       try {
         // Get existing tools
         let response;
         if (typeof request.next === 'function') {
-          console.error('[PostTools:DEBUG] Calling request.next()');
+          logger.debug('[PostTools:DEBUG] Calling request.next()');
           response = await request.next();
-          console.error('[PostTools:DEBUG] request.next() returned:', JSON.stringify(response));
+          logger.debug('[PostTools:DEBUG] request.next() returned:', response);
         } else {
           // If request.next is not available, create a default response
-          console.error('[PostTools:DEBUG] request.next not available, creating default response');
+          logger.debug('[PostTools:DEBUG] request.next not available, creating default response');
           response = { tools: [] };
         }
         
         // Add our tools
-        console.error('[PostTools:DEBUG] Adding post tools to response');
+        logger.debug('[PostTools:DEBUG] Adding post tools to response');
         response.tools = [...(response.tools || []), ...tools];
         
-        console.error('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
+        logger.debug('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
         
         return response;
       } catch (error) {
-        console.error('[ListTools] Error:', error);
-        console.error('[PostTools:DEBUG] Error in legacy handler:', error);
+        logger.error('[ListTools] Error:', error);
+        logger.debug('[PostTools:DEBUG] Error in legacy handler:', error);
         return { tools };
       }
     });
@@ -296,7 +333,7 @@ export function registerPostTools(server, options) {
       }
     }
     
-    console.error(`[Tool:${name}] Executing with args:`, args);
+    logger.debug(`[Tool:${name}] Executing with args:`, args);
     
     try {
       // Get the site client
@@ -320,16 +357,13 @@ export function registerPostTools(server, options) {
       // If we get here, the tool wasn't handled
       throw new Error(`Tool not implemented: ${name}`);
     } catch (error) {
-      console.error(`[Tool:${name}] Error:`, error);
+      logger.error(`[Tool:${name}] Error:`, error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -339,7 +373,7 @@ export function registerPostTools(server, options) {
   
   // Helper functions for tool implementations
   async function listPosts(client, args) {
-    console.error('[Tool:list_posts] Listing posts');
+    logger.info('[Tool:list_posts] Listing posts');
     
     try {
       const { per_page, page, search, categories, tags, status, order, orderby } = args;
@@ -398,16 +432,13 @@ export function registerPostTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[Tool:list_posts] Error:', error);
+      logger.error('[Tool:list_posts] Error:', error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -416,7 +447,7 @@ export function registerPostTools(server, options) {
   }
   
   async function getPost(client, args) {
-    console.error('[Tool:get_post] Getting post:', args.post_id);
+    logger.info('[Tool:get_post] Getting post:', args.post_id);
     
     try {
       const { post_id } = args;
@@ -449,16 +480,13 @@ export function registerPostTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[Tool:get_post] Error:', error);
+      logger.error('[Tool:get_post] Error:', error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -467,7 +495,7 @@ export function registerPostTools(server, options) {
   }
   
   async function createPost(client, args) {
-    console.error('[Tool:create_post] Creating post:', args.title);
+    logger.info('[Tool:create_post] Creating post:', args.title);
     
     try {
       const { title, content, excerpt, status, categories, tags, featured_media } = args;
@@ -512,16 +540,13 @@ export function registerPostTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[Tool:create_post] Error:', error);
+      logger.error('[Tool:create_post] Error:', error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -530,7 +555,7 @@ export function registerPostTools(server, options) {
   }
   
   async function updatePost(client, args) {
-    console.error('[Tool:update_post] Updating post:', args.post_id);
+    logger.info('[Tool:update_post] Updating post:', args.post_id);
     
     try {
       const { post_id, title, content, excerpt, status, categories, tags, featured_media } = args;
@@ -576,16 +601,13 @@ export function registerPostTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[Tool:update_post] Error:', error);
+      logger.error('[Tool:update_post] Error:', error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -594,7 +616,7 @@ export function registerPostTools(server, options) {
   }
   
   async function deletePost(client, args) {
-    console.error('[Tool:delete_post] Deleting post:', args.post_id);
+    logger.info('[Tool:delete_post] Deleting post:', args.post_id);
     
     try {
       const { post_id, force } = args;
@@ -621,16 +643,13 @@ export function registerPostTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[Tool:delete_post] Error:', error);
+      logger.error('[Tool:delete_post] Error:', error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -642,7 +661,7 @@ export function registerPostTools(server, options) {
   if (registerToolHandler) {
     // Register list_posts tool handler
     registerToolHandler('list_posts', async (args) => {
-      console.error('[Tool:list_posts] Listing posts');
+      logger.info('[Tool:list_posts] Listing posts');
       
       try {
         // Get the site client
@@ -650,7 +669,7 @@ export function registerPostTools(server, options) {
           ? siteManager.createClientForSite(args.site_id)
           : siteManager.createClientForActiveSite();
         
-        const { per_page, page, search, categories, tags, status, order, orderby } = args;
+        const { per_page, page, search, categories, tags, status, order, orderby, fields, output_format, fetch_all } = args;
         
         // Build query parameters
         const params = {
@@ -661,7 +680,8 @@ export function registerPostTools(server, options) {
           tags,
           status,
           order,
-          orderby
+          orderby,
+          _fields: toFieldsParam(fields)
         };
         
         // Filter out undefined values
@@ -671,51 +691,43 @@ export function registerPostTools(server, options) {
           }
         });
         
-        // Get posts
-        const posts = await client.client.get('/wp/v2/posts', params);
+        // Get posts (every page with fetch_all)
+        const { items: posts, truncated } = fetch_all
+          ? await collectItems(client.client.paginate('/wp/v2/posts', params))
+          : { items: await client.client.get('/wp/v2/posts', params), truncated: false };
         
         // Get total posts and pages from headers
-        const totalPosts = parseInt(client.client.lastResponse?.headers?.get('X-WP-Total') || '0', 10);
-        const totalPages = parseInt(client.client.lastResponse?.headers?.get('X-WP-TotalPages') || '0', 10);
+        const { total, totalPages } = client.client.lastResponse || {};
         
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: 'success',
-                count: posts.length,
-                total: totalPosts,
-                total_pages: totalPages,
-                current_page: page || 1,
-                posts: posts.map(post => ({
-                  id: post.id,
-                  title: post.title.rendered,
-                  excerpt: post.excerpt.rendered,
-                  status: post.status,
-                  date: post.date,
-                  modified: post.modified,
-                  link: post.link,
-                  author: post.author,
-                  featured_media: post.featured_media,
-                  categories: post.categories,
-                  tags: post.tags
-                }))
-              }, null, 2)
-            }
-          ]
-        };
+        return createListResult({
+          status: 'success',
+          count: posts.length,
+          total: total ?? posts.length,
+          total_pages: totalPages ?? 1,
+          current_page: page || 1,
+          ...(fetch_all ? { truncated } : {}),
+          posts: projectItems(posts, fields, post => ({
+            id: post.id,
+            title: post.title.rendered,
+            excerpt: post.excerpt.rendered,
+            status: post.status,
+            date: post.date,
+            modified: post.modified,
+            link: post.link,
+            author: post.author,
+            featured_media: post.featured_media,
+            categories: post.categories,
+            tags: post.tags
+          }))
+        }, 'posts', output_format);
       } catch (error) {
-        console.error('[Tool:list_posts] Error:', error);
+        logger.error('[Tool:list_posts] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -725,7 +737,7 @@ export function registerPostTools(server, options) {
     
     // Register get_post tool handler
     registerToolHandler('get_post', async (args) => {
-      console.error('[Tool:get_post] Getting post:', args.post_id);
+      logger.info('[Tool:get_post] Getting post:', args.post_id);
       
       try {
         // Get the site client
@@ -763,16 +775,13 @@ export function registerPostTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:get_post] Error:', error);
+        logger.error('[Tool:get_post] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -782,7 +791,7 @@ export function registerPostTools(server, options) {
     
     // Register create_post tool handler
     registerToolHandler('create_post', async (args) => {
-      console.error('[Tool:create_post] Creating post:', args.title);
+      logger.info('[Tool:create_post] Creating post:', args.title);
       
       try {
         // Get the site client
@@ -832,16 +841,13 @@ export function registerPostTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:create_post] Error:', error);
+        logger.error('[Tool:create_post] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -851,7 +857,7 @@ export function registerPostTools(server, options) {
     
     // Register update_post tool handler
     registerToolHandler('update_post', async (args) => {
-      console.error('[Tool:update_post] Updating post:', args.post_id);
+      logger.info('[Tool:update_post] Updating post:', args.post_id);
       
       try {
         // Get the site client
@@ -902,16 +908,13 @@ export function registerPostTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:update_post] Error:', error);
+        logger.error('[Tool:update_post] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -921,7 +924,7 @@ export function registerPostTools(server, options) {
     
     // Register delete_post tool handler
     registerToolHandler('delete_post', async (args) => {
-      console.error('[Tool:delete_post] Deleting post:', args.post_id);
+      logger.info('[Tool:delete_post] Deleting post:', args.post_id);
       
       try {
         // Get the site client
@@ -953,16 +956,13 @@ export function registerPostTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:delete_post] Error:', error);
+        logger.error('[Tool:delete_post] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
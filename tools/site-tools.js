@@ -6,6 +6,8 @@
  */
 import { SiteManager } from '../sites/index.js';
 import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
 
 /**
  * Register site management tools with the MCP server
@@ -16,7 +18,7 @@ import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
  * @param {Function} options.registerToolHandler - Function to register a tool handler
  */
 export function registerSiteTools(server, options) {
-  console.error('[Tools] Registering site management tools');
+  logger.info('[Tools] Registering site management tools');
   
   // Create site manager
   const siteManager = new SiteManager({ configPath: options.configPath });
@@ -29,6 +31,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'add_site',
       description: 'Add a new WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -60,6 +67,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'list_sites',
       description: 'List all WordPress sites',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -74,6 +86,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'get_site',
       description: 'Get a WordPress site by ID or name',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -100,6 +117,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'update_site',
       description: 'Update a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -135,6 +157,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'remove_site',
       description: 'Remove a WordPress site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -149,6 +176,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'select_site',
       description: 'Select a WordPress site as the active site',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -163,6 +195,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'get_active_site',
       description: 'Get the active WordPress site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -177,6 +214,11 @@ export function registerSiteTools(server, options) {
     /* {
       name: 'test_site_connectivity',
       description: 'Test connectivity to a WordPress site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -191,6 +233,11 @@ export function registerSiteTools(server, options) {
     {
       name: 'get_site_info',
       description: 'Get information about a WordPress site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -205,20 +252,20 @@ export function registerSiteTools(server, options) {
   ];
   
   // Register tool definitions with the server
-  console.error('[SiteTools:DEBUG] Checking for centralized registration method');
-  console.error('[SiteTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
+  logger.debug('[SiteTools:DEBUG] Checking for centralized registration method');
+  logger.debug('[SiteTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
   
   if (typeof server.registerToolDefinitions === 'function') {
     // Use the new centralized registration method if available
-    console.error('[SiteTools:DEBUG] Using centralized registration method');
-    console.error('[SiteTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
+    logger.debug('[SiteTools:DEBUG] Using centralized registration method');
+    logger.debug('[SiteTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
     server.registerToolDefinitions(tools);
-    console.error('[ListTools] Site tools registered using centralized method:', tools.map(t => t.name));
+    logger.debug('[ListTools] Site tools registered using centralized method:', tools.map(t => t.name));
   } else {
     // Fall back to the old method for backward compatibility
-    console.error('[SiteTools:DEBUG] Falling back to legacy registration method');
+    logger.debug('[SiteTools:DEBUG] Falling back to legacy registration method');
     server.setRequestHandler(ListToolsRequestSchema, async () => {
-      console.error('[SiteTools:DEBUG] Legacy ListToolsRequestSchema handler called');
+      logger.debug('[SiteTools:DEBUG] Legacy ListToolsRequestSchema handler called');
       return { tools };
     });
   }
@@ -240,7 +287,7 @@ export function registerSiteTools(server, options) {
   if (registerToolHandler) {
     // Register add_site tool handler
     registerToolHandler('add_site', async (args) => {
-      console.error('[Tool:add_site] Adding site:', args.name);
+      logger.info('[Tool:add_site] Adding site:', args.name);
       
       try {
         const site = await siteManager.addSite(args);
@@ -258,16 +305,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:add_site] Error:', error);
+        logger.error('[Tool:add_site] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -277,7 +321,7 @@ export function registerSiteTools(server, options) {
     
     // Register list_sites tool handler
     registerToolHandler('list_sites', (args) => {
-      console.error('[Tool:list_sites] Listing sites');
+      logger.info('[Tool:list_sites] Listing sites');
       
       try {
         const sites = siteManager.getAllSites().map(site => 
@@ -297,16 +341,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:list_sites] Error:', error);
+        logger.error('[Tool:list_sites] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -316,7 +357,7 @@ export function registerSiteTools(server, options) {
     
     // Register get_site tool handler
     registerToolHandler('get_site', (args) => {
-      console.error('[Tool:get_site] Getting site:', args.id || args.name);
+      logger.info('[Tool:get_site] Getting site:', args.id || args.name);
       
       try {
         let site;
@@ -354,16 +395,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:get_site] Error:', error);
+        logger.error('[Tool:get_site] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -373,7 +411,7 @@ export function registerSiteTools(server, options) {
     
     // Register update_site tool handler
     registerToolHandler('update_site', async (args) => {
-      console.error('[Tool:update_site] Updating site:', args.id);
+      logger.info('[Tool:update_site] Updating site:', args.id);
       
       try {
         const { id, ...updates } = args;
@@ -393,16 +431,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:update_site] Error:', error);
+        logger.error('[Tool:update_site] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -412,7 +447,7 @@ export function registerSiteTools(server, options) {
     
     // Register remove_site tool handler
     registerToolHandler('remove_site', (args) => {
-      console.error('[Tool:remove_site] Removing site:', args.id);
+      logger.info('[Tool:remove_site] Removing site:', args.id);
       
       try {
         const success = siteManager.removeSite(args.id);
@@ -444,16 +479,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:remove_site] Error:', error);
+        logger.error('[Tool:remove_site] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -463,7 +495,7 @@ export function registerSiteTools(server, options) {
     
     // Register select_site tool handler
     registerToolHandler('select_site', (args) => {
-      console.error('[Tool:select_site] Selecting site:', args.id);
+      logger.info('[Tool:select_site] Selecting site:', args.id);
       
       try {
         const site = siteManager.setActiveSite(args.id);
@@ -481,16 +513,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:select_site] Error:', error);
+        logger.error('[Tool:select_site] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -500,7 +529,7 @@ export function registerSiteTools(server, options) {
     
     // Register get_active_site tool handler
     registerToolHandler('get_active_site', (args) => {
-      console.error('[Tool:get_active_site] Getting active site');
+      logger.info('[Tool:get_active_site] Getting active site');
       
       try {
         const site = siteManager.getActiveSite();
@@ -532,16 +561,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:get_active_site] Error:', error);
+        logger.error('[Tool:get_active_site] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -551,7 +577,7 @@ export function registerSiteTools(server, options) {
     
     // Register test_site_connectivity tool handler
     registerToolHandler('test_site_connectivity', async (args) => {
-      console.error('[Tool:test_site_connectivity] Testing connectivity to site:', args.id);
+      logger.info('[Tool:test_site_connectivity] Testing connectivity to site:', args.id);
       
       try {
         const reachable = await siteManager.testSiteConnectivity(args.id);
@@ -569,16 +595,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:test_site_connectivity] Error:', error);
+        logger.error('[Tool:test_site_connectivity] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -588,7 +611,7 @@ export function registerSiteTools(server, options) {
     
     // Register get_site_info tool handler
     registerToolHandler('get_site_info', async (args) => {
-      console.error('[Tool:get_site_info] Getting site info:', args.id);
+      logger.info('[Tool:get_site_info] Getting site info:', args.id);
       
       try {
         const info = await siteManager.getSiteInfo(args.id);
@@ -605,16 +628,13 @@ export function registerSiteTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[Tool:get_site_info] Error:', error);
+        logger.error('[Tool:get_site_info] Error:', error);
         
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -0,0 +1,168 @@
+/**
+ * Undo Tools for WordPress MCP Server
+ *
+ * This module provides the MCP tool that reverts a change using the snapshot taken before it.
+ */
+import { logger } from '../logging/index.js';
+import { serializeError, ToolError } from '../errors/index.js';
+import { comparableValue, diffFields, DRY_RUN_PROPERTY, isDryRun } from '../dry-run/index.js';
+import { getAccountId } from '../audit/index.js';
+
+/**
+ * Send a request for a change to the API that made it
+ *
+ * @param {SiteManager} siteManager - The site manager
+ * @param {Object} change - Stored change
+ * @param {string} siteId - Site the change was made on
+ * @param {string} method - HTTP method (GET or PUT)
+ * @param {Object} data - Request body data
+ * @returns {Promise<Object>} The object returned by the API
+ */
+async function sendChangeRequest(siteManager, change, siteId, method, data) {
+  if (change.api === 'woocommerce') {
+    const client = siteManager.createClientForWoocommerce(siteId);
+    const response = method === 'GET'
+      ? await client.get(change.endpoint, {}, { cache: false })
+      : await client.put(change.endpoint, data);
+    return response.data;
+  }
+
+  const client = siteManager.createClientForSite(siteId).client;
+  return method === 'GET'
+    ? client.get(change.endpoint, { context: 'edit' }, { cache: false })
+    : client.put(change.endpoint, data);
+}
+
+/**
+ * Register undo tools with the MCP server
+ *
+ * @param {Server} server - The MCP server instance
+ * @param {Object} options - Tool options
+ * @param {SnapshotStore} options.snapshotStore - The snapshot store
+ * @param {SiteManager} options.siteManager - The site manager
+ * @param {string} options.accountKey - Account key of the session; it can only undo the account's changes (or, without a key, changes made without one)
+ * @param {Function} options.findDenyingScope - Function that returns the access scope denying a tool on a site, if any
+ * @param {Function} options.registerToolHandler - Function to register a tool handler
+ */
+export function registerUndoTools(server, options) {
+  logger.info('[Tools] Registering undo tools');
+
+  const { snapshotStore, siteManager, accountKey, findDenyingScope, registerToolHandler } = options;
+
+  // Define the tools
+  const tools = [
+    {
+      name: 'undo_change',
+      description: 'Undo a change made by an update tool, or restore an object moved to the trash, using the snapshot taken before the change',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
+      inputSchema: {
+        type: 'object',
+        properties: {
+          change_id: {
+            type: 'string',
+            description: 'Change ID returned by the update or delete tool (also listed in the audit log)'
+          },
+          force: {
+            type: 'boolean',
+            description: 'Undo even if the object was modified again after the change',
+            default: false
+          },
+          dry_run: DRY_RUN_PROPERTY
+        },
+        required: ['change_id']
+      }
+    }
+  ];
+
+  // Register tool definitions with the server
+  server.registerToolDefinitions(tools);
+
+  registerToolHandler('undo_change', async (args) => {
+    const { change_id, force } = args;
+    logger.info(`[Tool:undo_change] Undoing change ${change_id}`);
+
+    try {
+      const change = snapshotStore.get(change_id);
+
+      // Sessions can only undo the changes of their own account; sessions without an account
+      // key only those made without one
+      if (!change || (change.account_id ?? null) !== getAccountId(accountKey)) {
+        throw new ToolError(`Change not found: ${change_id}`, { category: 'not_found' });
+      }
+
+      // The site of an account session is stored under the account id instead of the key
+      const siteId = accountKey && change.site_id === change.account_id ? accountKey : change.site_id;
+
+      if (change.undone_at) {
+        throw new ToolError(`Change ${change_id} was already undone at ${change.undone_at}`, { category: 'conflict' });
+      }
+
+      if (change.redacted) {
+        throw new ToolError(`Change ${change_id} cannot be undone: its snapshot holds redacted secrets`, { category: 'conflict' });
+      }
+
+      // Undoing a change needs the tool that made it, so access rules cannot be sidestepped
+      const denyingScope = findDenyingScope(change.tool, siteId);
+      if (denyingScope) {
+        throw new ToolError(
+          `Change ${change_id} cannot be undone: tool '${change.tool}' is not allowed for ${denyingScope.label}`,
+          { category: 'forbidden' }
+        );
+      }
+
+      siteManager.assertSiteWritable(siteId);
+
+      // Refuse to overwrite later modifications of the changed fields
+      const current = await sendChangeRequest(siteManager, change, siteId, 'GET');
+      const expected = Object.fromEntries(change.fields.map(field => [field, comparableValue(change.after[field])]));
+      const modified = diffFields(current, expected).map(entry => entry.field);
+
+      if (modified.length > 0 && !force) {
+        throw new ToolError(
+          `Change ${change_id} cannot be undone: ${modified.join(', ')} changed since (use force to undo anyway)`,
+          { category: 'conflict' }
+        );
+      }
+
+      const restored = Object.fromEntries(change.fields.map(field => [field, comparableValue(change.before[field])]));
+      await sendChangeRequest(siteManager, change, siteId, 'PUT', restored);
+
+      if (!isDryRun()) {
+        snapshotStore.markUndone(change_id);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              status: 'success',
+              message: change.action === 'trash'
+                ? `Restored ${change.endpoint} from the trash`
+                : `Restored ${change.fields.length} field(s) of ${change.endpoint}`,
+              site_id: change.site_id,
+              object_id: change.object_id,
+              restored
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      logger.error('[Tool:undo_change] Error:', error);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(serializeError(error), null, 2)
+          }
+        ],
+        isError: true
+      };
+    }
+  });
+}
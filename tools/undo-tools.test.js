@@ -0,0 +1,111 @@
+/**
+ * Tests for the Undo Tools
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, jest, test } from '@jest/globals';
+import { configureLogging } from '../logging/index.js';
+import { SnapshotStore } from '../snapshots/index.js';
+import { registerUndoTools } from './undo-tools.js';
+
+describe('undo_change', () => {
+  let directory;
+
+  beforeAll(() => {
+    configureLogging({ level: 'error' });
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wordpress-mcp-undo-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  /**
+   * Record a change to post 7 and register undo_change for a session
+   *
+   * @param {Object} options - Test options
+   * @param {string} options.changedBy - Account key of the session that made the change
+   * @param {string} options.undoneBy - Account key of the session that undoes it
+   * @param {Object} options.mutation - Fields of the recorded mutation to change
+   * @returns {Object} Undo handler, change id and client mock ({ undo, changeId, put })
+   */
+  const setup = ({ changedBy, undoneBy, mutation = {} }) => {
+    const snapshotStore = new SnapshotStore({ file: path.join(directory, `snapshots-${Date.now()}-${Math.random()}.json`) });
+    const [change] = snapshotStore.capture({
+      siteId: changedBy || 'blog',
+      accountKey: changedBy,
+      tool: 'update_post',
+      mutations: [{
+        method: 'PUT',
+        api: 'wordpress',
+        endpoint: '/wp/v2/posts/7',
+        body: { title: 'New' },
+        before: { id: 7, title: 'Old', status: 'publish' },
+        after: { id: 7, title: 'New', status: 'publish' },
+        ...mutation
+      }]
+    });
+
+    const put = jest.fn(async (endpoint, data) => ({ id: 7, ...data }));
+    const siteManager = {
+      createClientForSite: () => ({ client: { get: async () => ({ id: 7, title: 'New' }), put } }),
+      assertSiteWritable: () => {}
+    };
+
+    let handler;
+    registerUndoTools({ registerToolDefinitions: () => {} }, {
+      snapshotStore,
+      siteManager,
+      accountKey: undoneBy,
+      findDenyingScope: () => null,
+      registerToolHandler: (name, fn) => { handler = fn; }
+    });
+
+    return { undo: args => handler(args), changeId: change.id, put };
+  };
+
+  test('undoes a change made by the same account', async () => {
+    const { undo, changeId, put } = setup({ changedBy: 'account-1', undoneBy: 'account-1' });
+    const result = await undo({ change_id: changeId });
+
+    expect(result.isError).toBeUndefined();
+    expect(put).toHaveBeenCalledWith('/wp/v2/posts/7', { title: 'Old' });
+  });
+
+  test('undoes a change made without an account from a session without one', async () => {
+    const { undo, changeId, put } = setup({});
+    const result = await undo({ change_id: changeId });
+
+    expect(result.isError).toBeUndefined();
+    expect(put).toHaveBeenCalledWith('/wp/v2/posts/7', { title: 'Old' });
+  });
+
+  test.each([
+    ['another account', { changedBy: 'account-1', undoneBy: 'account-2' }],
+    ['a session without an account', { changedBy: 'account-1' }],
+    ['an account, for a change made without one', { undoneBy: 'account-1' }]
+  ])('hides the change from %s', async (name, accounts) => {
+    const { undo, changeId, put } = setup(accounts);
+    const result = await undo({ change_id: changeId });
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text)).toMatchObject({ error: { category: 'not_found' } });
+    expect(put).not.toHaveBeenCalled();
+  });
+
+  test('refuses to restore redacted secrets', async () => {
+    const { undo, changeId, put } = setup({
+      mutation: {
+        body: { meta: { api_key: 'new-key' } },
+        before: { id: 7, meta: { api_key: 'old-key' } },
+        after: { id: 7, meta: { api_key: 'new-key' } }
+      }
+    });
+    const result = await undo({ change_id: changeId });
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text)).toMatchObject({ error: { category: 'conflict' } });
+    expect(put).not.toHaveBeenCalled();
+  });
+});
@@ -5,6 +5,12 @@
  * It includes tools for creating, retrieving, updating, and deleting customers.
  */
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
+import { createListResult, LIST_OUTPUT_PROPERTIES, projectItems, toFieldsParam } from '../output/index.js';
+import { collectItems, FETCH_ALL_PROPERTY } from '../pagination/index.js';
+import { DRY_RUN_PROPERTY } from '../dry-run/index.js';
+import { CONFIRMATION_TOKEN_PROPERTY } from '../confirmation/index.js';
 
 /**
  * Register customer management tools with the MCP server
@@ -15,7 +21,7 @@ import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprot
  * @param {Function} options.registerToolHandler - Function to register a tool handler
  */
 export function registerWooCustomerTools(server, options) {
-  console.error('[Tools] Registering customer management tools');
+  logger.info('[Tools] Registering customer management tools');
   
   const { siteManager, registerToolHandler } = options;
   
@@ -24,6 +30,11 @@ export function registerWooCustomerTools(server, options) {
     {
       name: 'list_customers',
       description: 'List customers from a WooCommerce site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -56,13 +67,20 @@ export function registerWooCustomerTools(server, options) {
             description: 'Order by field',
             enum: ['id', 'email', 'date'],
             default: 'id'
-          }
+          },
+          ...LIST_OUTPUT_PROPERTIES,
+          fetch_all: FETCH_ALL_PROPERTY
         }
       }
     },
     {
       name: 'create_customer',
       description: 'Create a new customer in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -113,7 +131,8 @@ export function registerWooCustomerTools(server, options) {
               postcode: { type: 'string' },
               country: { type: 'string' }
             }
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['email', 'first_name', 'last_name']
       }
@@ -121,6 +140,11 @@ export function registerWooCustomerTools(server, options) {
     {
       name: 'update_customer',
       description: 'Update an existing customer in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -167,7 +191,8 @@ export function registerWooCustomerTools(server, options) {
               postcode: { type: 'string' },
               country: { type: 'string' }
             }
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['id']
       }
@@ -175,6 +200,11 @@ export function registerWooCustomerTools(server, options) {
     {
       name: 'delete_customer',
       description: 'Delete a customer in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -185,7 +215,9 @@ export function registerWooCustomerTools(server, options) {
           id: {
             type: 'integer',
             description: 'Customer ID to delete'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY,
+          confirmation_token: CONFIRMATION_TOKEN_PROPERTY
         },
         required: ['id']
       }
@@ -199,32 +231,32 @@ export function registerWooCustomerTools(server, options) {
   }
   else {
     // Fall back to the old method for backward compatibility
-    console.error('[PostTools:DEBUG] Falling back to legacy registration method');
+    logger.debug('[PostTools:DEBUG] Falling back to legacy registration method');
     server.setRequestHandler(ListToolsRequestSchema, async (request) => {
-      console.error('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
+      logger.debug('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
       try {
         // Get existing tools
         let response;
         if (typeof request.next === 'function') {
-          console.error('[PostTools:DEBUG] Calling request.next()');
+          logger.debug('[PostTools:DEBUG] Calling request.next()');
           response = await request.next();
-          console.error('[PostTools:DEBUG] request.next() returned:', JSON.stringify(response));
+          logger.debug('[PostTools:DEBUG] request.next() returned:', response);
         } else {
           // If request.next is not available, create a default response
-          console.error('[PostTools:DEBUG] request.next not available, creating default response');
+          logger.debug('[PostTools:DEBUG] request.next not available, creating default response');
           response = { tools: [] };
         }
         
         // Add our tools
-        console.error('[PostTools:DEBUG] Adding post tools to response');
+        logger.debug('[PostTools:DEBUG] Adding post tools to response');
         response.tools = [...(response.tools || []), ...tools];
         
-        console.error('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
+        logger.debug('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
         
         return response;
       } catch (error) {
-        console.error('[ListTools] Error:', error);
-        console.error('[PostTools:DEBUG] Error in legacy handler:', error);
+        logger.error('[ListTools] Error:', error);
+        logger.debug('[PostTools:DEBUG] Error in legacy handler:', error);
         return { tools };
       }
     });
@@ -257,7 +289,7 @@ export function registerWooCustomerTools(server, options) {
       }
     }
 
-    console.error(`[Tool:${name}] Executing with args:`, args);
+    logger.debug(`[Tool:${name}] Executing with args:`, args);
 
     try {
       // Get the site client
@@ -279,16 +311,13 @@ export function registerWooCustomerTools(server, options) {
       // If we get here, the tool wasn't handled
       throw new Error(`Tool not implemented: ${name}`);
     } catch (error) {
-      console.error(`[Tool:${name}] Error:`, error);
+      logger.error(`[Tool:${name}] Error:`, error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -299,7 +328,7 @@ export function registerWooCustomerTools(server, options) {
 
   // List Customers
   async function listCustomers(client, args) {
-    console.error('[Tool:list_customers] Listing customers');
+    logger.info('[Tool:list_customers] Listing customers');
 
     try {
 
@@ -339,16 +368,13 @@ export function registerWooCustomerTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:list_customers] Error:', error);
+      logger.error('[WooCommerce:list_customers] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -358,7 +384,7 @@ export function registerWooCustomerTools(server, options) {
 
   // Create Customer
   async function createCustomer(client, args) {
-    console.error('[Tool:create_customer] Creating customer:', args);
+    logger.debug('[Tool:create_customer] Creating customer:', args);
 
     try {
 
@@ -400,16 +426,13 @@ export function registerWooCustomerTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:create_customer] Error:', error);
+      logger.error('[WooCommerce:create_customer] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -419,7 +442,7 @@ export function registerWooCustomerTools(server, options) {
 
   // Update Customer
   async function updateCustomer(client, args) {
-    console.error('[Tool:update_customer] Updating customer:', args.id);
+    logger.info('[Tool:update_customer] Updating customer:', args.id);
 
     try {
 
@@ -459,16 +482,13 @@ export function registerWooCustomerTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:update_customer] Error:', error);
+      logger.error('[WooCommerce:update_customer] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -478,7 +498,7 @@ export function registerWooCustomerTools(server, options) {
 
   // Delete Customer
   async function deleteCustomer(client, args) {
-    console.error('[Tool:delete_customer] Deleting customer:', args.id);
+    logger.info('[Tool:delete_customer] Deleting customer:', args.id);
 
     try {
 
@@ -504,16 +524,13 @@ export function registerWooCustomerTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:delete_customer] Error:', error);
+      logger.error('[WooCommerce:delete_customer] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -526,13 +543,13 @@ export function registerWooCustomerTools(server, options) {
   if (registerToolHandler) {
     // Register list_customers tool handler
     registerToolHandler('list_customers', async (args) => {
-      console.error('[WooCommerce:list_customers] Fetching customers with args:', args);
+      logger.debug('[WooCommerce:list_customers] Fetching customers with args:', args);
 
       try {
 
         const client = args.site_id ? siteManager.createClientForWoocommerce(args.site_id) : false;
 
-        const { per_page, page, search, order, orderby } = args;
+        const { per_page, page, search, order, orderby, fields, output_format, fetch_all } = args;
 
         // Build query parameters
         const params = {
@@ -540,7 +557,8 @@ export function registerWooCustomerTools(server, options) {
           page,
           search,
           order,
-          orderby
+          orderby,
+          _fields: toFieldsParam(fields)
         };
 
         // Filter out undefined values
@@ -550,32 +568,29 @@ export function registerWooCustomerTools(server, options) {
           }
         });
 
-        // Fetch customers
-        const response = await client.get('customers', params);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: 'success',
-                count: response.data.length,
-                customers: response.data
-              }, null, 2)
-            }
-          ]
-        };
+        // Fetch customers (every page with fetch_all)
+        const { items, truncated } = fetch_all
+          ? await collectItems(client.paginate('customers', params))
+          : { items: (await client.get('customers', params)).data, truncated: false };
+        const { total, totalPages } = client.lastResponse || {};
+
+        return createListResult({
+          status: 'success',
+          count: items.length,
+          total: total ?? items.length,
+          total_pages: totalPages ?? 1,
+          current_page: page || 1,
+          ...(fetch_all ? { truncated } : {}),
+          customers: projectItems(items, fields)
+        }, 'customers', output_format);
       } catch (error) {
-        console.error('[WooCommerce:list_customers] Error:', error);
+        logger.error('[WooCommerce:list_customers] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -585,7 +600,7 @@ export function registerWooCustomerTools(server, options) {
 
     // Register create_customer tool handler
     registerToolHandler('create_customer', async (args) => {
-      console.error('[WooCommerce:create_customer] Creating customer with args:', args);
+      logger.debug('[WooCommerce:create_customer] Creating customer with args:', args);
 
       try {
 
@@ -627,16 +642,13 @@ export function registerWooCustomerTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:create_customer] Error:', error);
+        logger.error('[WooCommerce:create_customer] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -646,7 +658,7 @@ export function registerWooCustomerTools(server, options) {
 
     // Register update_customer tool handler
     registerToolHandler('update_customer', async (args) => {
-      console.error('[WooCommerce:update_customer] Updating customer with args:', args);
+      logger.debug('[WooCommerce:update_customer] Updating customer with args:', args);
 
       try {
 
@@ -686,16 +698,13 @@ export function registerWooCustomerTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:update_customer] Error:', error);
+        logger.error('[WooCommerce:update_customer] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -705,7 +714,7 @@ export function registerWooCustomerTools(server, options) {
 
     // Register delete_customer tool handler
     registerToolHandler('delete_customer', async (args) => {
-      console.error('[WooCommerce:delete_customer] Deleting customer with args:', args);
+      logger.debug('[WooCommerce:delete_customer] Deleting customer with args:', args);
 
       try {
 
@@ -731,16 +740,13 @@ export function registerWooCustomerTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:delete_customer] Error:', error);
+        logger.error('[WooCommerce:delete_customer] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -6,6 +6,12 @@
  */
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
 import pkg from '@woocommerce/woocommerce-rest-api';
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
+import { createListResult, LIST_OUTPUT_PROPERTIES, projectItems, toFieldsParam } from '../output/index.js';
+import { collectItems, FETCH_ALL_PROPERTY } from '../pagination/index.js';
+import { DRY_RUN_PROPERTY } from '../dry-run/index.js';
+import { CONFIRMATION_TOKEN_PROPERTY } from '../confirmation/index.js';
 const WooCommerceRestApi = pkg.default;
 
 const wooCommerceApi = new WooCommerceRestApi({
@@ -23,7 +29,7 @@ const wooCommerceApi = new WooCommerceRestApi({
  * @param {Function} options.registerToolHandler - Function to register a tool handler
  */
 export function registerWooOrderTools(server, options) {
-  console.error('[Tools] Registering order management tools');
+  logger.info('[Tools] Registering order management tools');
   
   const { siteManager, registerToolHandler } = options;
 
@@ -32,6 +38,11 @@ export function registerWooOrderTools(server, options) {
     {
       name: 'list_orders',
       description: 'List orders from a WooCommerce site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -69,13 +80,20 @@ export function registerWooOrderTools(server, options) {
             description: 'Order by field',
             enum: ['date', 'id', 'total'],
             default: 'date'
-          }
+          },
+          ...LIST_OUTPUT_PROPERTIES,
+          fetch_all: FETCH_ALL_PROPERTY
         }
       }
     },
     {
       name: 'create_order',
       description: 'Create a new order in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -107,7 +125,8 @@ export function registerWooOrderTools(server, options) {
           total: {
             type: 'string',
             description: 'Total amount for the order'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['line_items']
       }
@@ -115,6 +134,11 @@ export function registerWooOrderTools(server, options) {
     {
       name: 'update_order',
       description: 'Update an existing order in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -144,7 +168,8 @@ export function registerWooOrderTools(server, options) {
                 quantity: { type: 'integer' }
               }
             }
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['id']
       }
@@ -152,6 +177,11 @@ export function registerWooOrderTools(server, options) {
     {
       name: 'delete_order',
       description: 'Delete an order in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -162,7 +192,9 @@ export function registerWooOrderTools(server, options) {
           id: {
             type: 'integer',
             description: 'Order ID to delete'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY,
+          confirmation_token: CONFIRMATION_TOKEN_PROPERTY
         },
         required: ['id']
       }
@@ -175,32 +207,32 @@ export function registerWooOrderTools(server, options) {
   }
   else {
     // Fall back to the old method for backward compatibility
-    console.error('[PostTools:DEBUG] Falling back to legacy registration method');
+    logger.debug('[PostTools:DEBUG] Falling back to legacy registration method');
     server.setRequestHandler(ListToolsRequestSchema, async (request) => {
-      console.error('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
+      logger.debug('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
       try {
         // Get existing tools
         let response;
         if (typeof request.next === 'function') {
-          console.error('[PostTools:DEBUG] Calling request.next()');
+          logger.debug('[PostTools:DEBUG] Calling request.next()');
           response = await request.next();
-          console.error('[PostTools:DEBUG] request.next() returned:', JSON.stringify(response));
+          logger.debug('[PostTools:DEBUG] request.next() returned:', response);
         } else {
           // If request.next is not available, create a default response
-          console.error('[PostTools:DEBUG] request.next not available, creating default response');
+          logger.debug('[PostTools:DEBUG] request.next not available, creating default response');
           response = { tools: [] };
         }
         
         // Add our tools
-        console.error('[PostTools:DEBUG] Adding post tools to response');
+        logger.debug('[PostTools:DEBUG] Adding post tools to response');
         response.tools = [...(response.tools || []), ...tools];
         
-        console.error('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
+        logger.debug('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
         
         return response;
       } catch (error) {
-        console.error('[ListTools] Error:', error);
-        console.error('[PostTools:DEBUG] Error in legacy handler:', error);
+        logger.error('[ListTools] Error:', error);
+        logger.debug('[PostTools:DEBUG] Error in legacy handler:', error);
         return { tools };
       }
     });
@@ -233,7 +265,7 @@ export function registerWooOrderTools(server, options) {
       }
     }
 
-    console.error(`[Tool:${name}] Executing with args:`, args);
+    logger.debug(`[Tool:${name}] Executing with args:`, args);
 
     try {
       // Get the site client
@@ -255,16 +287,13 @@ export function registerWooOrderTools(server, options) {
       // If we get here, the tool wasn't handled
       throw new Error(`Tool not implemented: ${name}`);
     } catch (error) {
-      console.error(`[Tool:${name}] Error:`, error);
+      logger.error(`[Tool:${name}] Error:`, error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -274,7 +303,7 @@ export function registerWooOrderTools(server, options) {
 
   // List Orders
   async function listOrders(client, args) {
-    console.error('[Tool:list_orders] Listing orders');
+    logger.info('[Tool:list_orders] Listing orders');
 
     try {
 
@@ -315,16 +344,13 @@ export function registerWooOrderTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:list_orders] Error:', error);
+      logger.error('[WooCommerce:list_orders] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -334,7 +360,7 @@ export function registerWooOrderTools(server, options) {
 
   // Create Order
   async function createOrder(client, args) {
-    console.error('[Tool:create_order] Creating order:', args);
+    logger.debug('[Tool:create_order] Creating order:', args);
 
     try {
 
@@ -373,16 +399,13 @@ export function registerWooOrderTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:create_order] Error:', error);
+      logger.error('[WooCommerce:create_order] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -392,7 +415,7 @@ export function registerWooOrderTools(server, options) {
 
   // Update Order
   async function updateOrder(client, args) {
-    console.error('[Tool:update_order] Updating order:', args.id);
+    logger.info('[Tool:update_order] Updating order:', args.id);
 
     try {
 
@@ -430,16 +453,13 @@ export function registerWooOrderTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:update_order] Error:', error);
+      logger.error('[WooCommerce:update_order] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -449,7 +469,7 @@ export function registerWooOrderTools(server, options) {
 
   // Delete Order
   async function deleteOrder(client, args) {
-    console.error('[Tool:delete_order] Deleting order:', args.id);
+    logger.info('[Tool:delete_order] Deleting order:', args.id);
 
     try {
 
@@ -475,16 +495,13 @@ export function registerWooOrderTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:delete_order] Error:', error);
+      logger.error('[WooCommerce:delete_order] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -497,13 +514,13 @@ export function registerWooOrderTools(server, options) {
   if (registerToolHandler) {
     // Register list_orders tool handler
     registerToolHandler('list_orders', async (args) => {
-      console.error('[WooCommerce:list_orders] Fetching orders with args:', args);
+      logger.debug('[WooCommerce:list_orders] Fetching orders with args:', args);
 
       try {
 
         const client = args.site_id ? siteManager.createClientForWoocommerce(args.site_id) : false;
 
-        const { per_page, page, search, status, order, orderby } = args;
+        const { per_page, page, search, status, order, orderby, fields, output_format, fetch_all } = args;
 
         // Build query parameters
         const params = {
@@ -512,7 +529,8 @@ export function registerWooOrderTools(server, options) {
           search,
           status,
           order,
-          orderby
+          orderby,
+          _fields: toFieldsParam(fields)
         };
 
         // Filter out undefined values
@@ -522,32 +540,29 @@ export function registerWooOrderTools(server, options) {
           }
         });
 
-        // Fetch orders
-        const response = await client.get('orders', params);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: 'success',
-                count: response.data.length,
-                orders: response.data
-              }, null, 2)
-            }
-          ]
-        };
+        // Fetch orders (every page with fetch_all)
+        const { items, truncated } = fetch_all
+          ? await collectItems(client.paginate('orders', params))
+          : { items: (await client.get('orders', params)).data, truncated: false };
+        const { total, totalPages } = client.lastResponse || {};
+
+        return createListResult({
+          status: 'success',
+          count: items.length,
+          total: total ?? items.length,
+          total_pages: totalPages ?? 1,
+          current_page: page || 1,
+          ...(fetch_all ? { truncated } : {}),
+          orders: projectItems(items, fields)
+        }, 'orders', output_format);
       } catch (error) {
-        console.error('[WooCommerce:list_orders] Error:', error);
+        logger.error('[WooCommerce:list_orders] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -557,7 +572,7 @@ export function registerWooOrderTools(server, options) {
 
     // Register create_order tool handler
     registerToolHandler('create_order', async (args) => {
-      console.error('[WooCommerce:create_order] Creating order with args:', args);
+      logger.debug('[WooCommerce:create_order] Creating order with args:', args);
 
       try {
 
@@ -596,16 +611,13 @@ export function registerWooOrderTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:create_order] Error:', error);
+        logger.error('[WooCommerce:create_order] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -615,7 +627,7 @@ export function registerWooOrderTools(server, options) {
 
     // Register update_order tool handler
     registerToolHandler('update_order', async (args) => {
-      console.error('[WooCommerce:update_order] Updating order with args:', args);
+      logger.debug('[WooCommerce:update_order] Updating order with args:', args);
 
       try {
         const client = args.site_id ? siteManager.createClientForWoocommerce(args.site_id) : false;
@@ -651,16 +663,13 @@ export function registerWooOrderTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:update_order] Error:', error);
+        logger.error('[WooCommerce:update_order] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -670,7 +679,7 @@ export function registerWooOrderTools(server, options) {
 
     // Register delete_order tool handler
     registerToolHandler('delete_order', async (args) => {
-      console.error('[WooCommerce:delete_order] Deleting order with args:', args);
+      logger.debug('[WooCommerce:delete_order] Deleting order with args:', args);
 
       try {
 
@@ -696,16 +705,13 @@ export function registerWooOrderTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:delete_order] Error:', error);
+        logger.error('[WooCommerce:delete_order] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
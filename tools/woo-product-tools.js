@@ -5,6 +5,12 @@
  * It includes tools for creating, retrieving, updating, and deleting posts.
  */
 import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../logging/index.js';
+import { serializeError } from '../errors/index.js';
+import { createListResult, LIST_OUTPUT_PROPERTIES, projectItems, toFieldsParam } from '../output/index.js';
+import { collectItems, FETCH_ALL_PROPERTY } from '../pagination/index.js';
+import { DRY_RUN_PROPERTY } from '../dry-run/index.js';
+import { CONFIRMATION_TOKEN_PROPERTY } from '../confirmation/index.js';
 
 /**
  * Register post management tools with the MCP server
@@ -15,7 +21,7 @@ import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprot
  * @param {Function} options.registerToolHandler - Function to register a tool handler
  */
 export function registerWooProductTools(server, options) {
-  console.error('[Tools] Registering post management tools');
+  logger.info('[Tools] Registering post management tools');
   
   const { siteManager, registerToolHandler } = options;
   
@@ -24,6 +30,11 @@ export function registerWooProductTools(server, options) {
     {
       name: 'list_products',
       description: 'List products from a woocommerce site',
+      annotations: {
+        readOnlyHint: true,
+        destructiveHint: false,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -65,13 +76,20 @@ export function registerWooProductTools(server, options) {
             description: 'Order by field',
             enum: ['date', 'title', 'price', 'popularity'],
             default: 'date'
-          }
+          },
+          ...LIST_OUTPUT_PROPERTIES,
+          fetch_all: FETCH_ALL_PROPERTY
         }
       }
     },
     {
       name: 'create_product',
       description: 'Create a new product in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: false,
+        idempotentHint: false
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -113,7 +131,8 @@ export function registerWooProductTools(server, options) {
             items: {
               type: 'string'
             }
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['name', 'regular_price']
       }
@@ -121,6 +140,11 @@ export function registerWooProductTools(server, options) {
     {
       name: 'update_product',
       description: 'Update an existing product in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -169,7 +193,8 @@ export function registerWooProductTools(server, options) {
             items: {
               type: 'string'
             }
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY
         },
         required: ['id']
       }
@@ -177,6 +202,11 @@ export function registerWooProductTools(server, options) {
     {
       name: 'delete_product',
       description: 'Delete a product in WooCommerce',
+      annotations: {
+        readOnlyHint: false,
+        destructiveHint: true,
+        idempotentHint: true
+      },
       inputSchema: {
         type: 'object',
         properties: {
@@ -187,7 +217,9 @@ export function registerWooProductTools(server, options) {
           id: {
             type: 'integer',
             description: 'Product ID to delete'
-          }
+          },
+          dry_run: DRY_RUN_PROPERTY,
+          confirmation_token: CONFIRMATION_TOKEN_PROPERTY
         },
         required: ['id']
       }
@@ -195,44 +227,44 @@ export function registerWooProductTools(server, options) {
   ];
   
   // Register tool definitions with the server
-  console.error('[PostTools:DEBUG] Checking for centralized registration method');
-  console.error('[PostTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
-  console.error('[PostTools:DEBUG] server object keys:', Object.keys(server));
+  logger.debug('[PostTools:DEBUG] Checking for centralized registration method');
+  logger.debug('[PostTools:DEBUG] server.registerToolDefinitions exists:', typeof server.registerToolDefinitions === 'function');
+  logger.debug('[PostTools:DEBUG] server object keys:', Object.keys(server));
   
   if (typeof server.registerToolDefinitions === 'function') {
     // Use the new centralized registration method if available
-    console.error('[PostTools:DEBUG] Using centralized registration method');
-    console.error('[PostTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
+    logger.debug('[PostTools:DEBUG] Using centralized registration method');
+    logger.debug('[PostTools:DEBUG] Registering tools:', tools.map(t => t.name).join(', '));
     server.registerToolDefinitions(tools);
-    console.error('[ListTools] Post tools registered using centralized method:', tools.map(t => t.name));
+    logger.debug('[ListTools] Post tools registered using centralized method:', tools.map(t => t.name));
   } else {
     // Fall back to the old method for backward compatibility
-    console.error('[PostTools:DEBUG] Falling back to legacy registration method');
+    logger.debug('[PostTools:DEBUG] Falling back to legacy registration method');
     server.setRequestHandler(ListToolsRequestSchema, async (request) => {
-      console.error('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
+      logger.debug('[PostTools:DEBUG] Legacy ListToolsRequestSchema handler called');
       try {
         // Get existing tools
         let response;
         if (typeof request.next === 'function') {
-          console.error('[PostTools:DEBUG] Calling request.next()');
+          logger.debug('[PostTools:DEBUG] Calling request.next()');
           response = await request.next();
-          console.error('[PostTools:DEBUG] request.next() returned:', JSON.stringify(response));
+          logger.debug('[PostTools:DEBUG] request.next() returned:', response);
         } else {
           // If request.next is not available, create a default response
-          console.error('[PostTools:DEBUG] request.next not available, creating default response');
+          logger.debug('[PostTools:DEBUG] request.next not available, creating default response');
           response = { tools: [] };
         }
         
         // Add our tools
-        console.error('[PostTools:DEBUG] Adding post tools to response');
+        logger.debug('[PostTools:DEBUG] Adding post tools to response');
         response.tools = [...(response.tools || []), ...tools];
         
-        console.error('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
+        logger.debug('[ListTools] Post tools registered using legacy method:', tools.map(t => t.name));
         
         return response;
       } catch (error) {
-        console.error('[ListTools] Error:', error);
-        console.error('[PostTools:DEBUG] Error in legacy handler:', error);
+        logger.error('[ListTools] Error:', error);
+        logger.debug('[PostTools:DEBUG] Error in legacy handler:', error);
         return { tools };
       }
     });
@@ -265,7 +297,7 @@ export function registerWooProductTools(server, options) {
       }
     }
     
-    console.error(`[Tool:${name}] Executing with args:`, args);
+    logger.debug(`[Tool:${name}] Executing with args:`, args);
     
     try {
       // Get the site client
@@ -288,16 +320,13 @@ export function registerWooProductTools(server, options) {
       // If we get here, the tool wasn't handled
       throw new Error(`Tool not implemented: ${name}`);
     } catch (error) {
-      console.error(`[Tool:${name}] Error:`, error);
+      logger.error(`[Tool:${name}] Error:`, error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -307,7 +336,7 @@ export function registerWooProductTools(server, options) {
   
   // Helper functions for tool implementations
   async function listProducts(client, args) {
-    console.error('[Tool:list_posts] Listing posts');
+    logger.info('[Tool:list_posts] Listing posts');
     
     try {
 
@@ -332,12 +361,12 @@ export function registerWooProductTools(server, options) {
         }
       });
 
-      console.error('Entered products fetch', params);
+      logger.debug('Entered products fetch', params);
 
       // Fetch products
       const response = await wc_client.get('products', params);
 
-      console.error('Entered res fetch', response);
+      logger.debug('Entered res fetch', response);
 
       return {
         content: [
@@ -353,16 +382,13 @@ export function registerWooProductTools(server, options) {
       };
 
     } catch (error) {
-      console.error('[WooCommerce:fetch_products] Error:', error);
+      logger.error('[WooCommerce:fetch_products] Error:', error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -371,7 +397,7 @@ export function registerWooProductTools(server, options) {
   }
   
   async function createProduct(client, args) {
-    console.error('[Tool:create_post] Creating post:', args.title);
+    logger.info('[Tool:create_post] Creating post:', args.title);
     
     try {
 
@@ -414,16 +440,13 @@ export function registerWooProductTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:create_product] Error:', error);
+      logger.error('[WooCommerce:create_product] Error:', error);
       
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -433,7 +456,7 @@ export function registerWooProductTools(server, options) {
 
   // Add the updateProduct function
   async function updateProduct(client, args) {
-    console.error('[Tool:update_product] Updating product:', args.id);
+    logger.info('[Tool:update_product] Updating product:', args.id);
 
     try {
 
@@ -475,16 +498,13 @@ export function registerWooProductTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:update_product] Error:', error);
+      logger.error('[WooCommerce:update_product] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -494,7 +514,7 @@ export function registerWooProductTools(server, options) {
 
   // Add the deleteProduct function
   async function deleteProduct(client, args) {
-    console.error('[Tool:delete_product] Deleting product:', args.id);
+    logger.info('[Tool:delete_product] Deleting product:', args.id);
 
     try {
 
@@ -520,16 +540,13 @@ export function registerWooProductTools(server, options) {
         ]
       };
     } catch (error) {
-      console.error('[WooCommerce:delete_product] Error:', error);
+      logger.error('[WooCommerce:delete_product] Error:', error);
 
       return {
         content: [
           {
             type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: error.message
-            }, null, 2)
+            text: JSON.stringify(serializeError(error), null, 2)
           }
         ],
         isError: true
@@ -542,13 +559,13 @@ export function registerWooProductTools(server, options) {
 
     // Register fetch_products tool handler
     registerToolHandler('list_products', async (args) => {
-      console.error('[WooCommerce:list_products] Fetching products with args:', args);
+      logger.debug('[WooCommerce:list_products] Fetching products with args:', args);
 
       try {
 
         const client = args.site_id ? siteManager.createClientForWoocommerce(args.site_id) : false;
 
-        const { per_page, page, search, category, order, orderby } = args;
+        const { per_page, page, search, category, order, orderby, fields, output_format, fetch_all } = args;
 
         // Build query parameters
         const params = {
@@ -557,7 +574,8 @@ export function registerWooProductTools(server, options) {
           search,
           category,
           order,
-          orderby
+          orderby,
+          _fields: toFieldsParam(fields)
         };
 
         // Filter out undefined values
@@ -567,32 +585,29 @@ export function registerWooProductTools(server, options) {
           }
         });
 
-        // Fetch products
-        const response = await client.get('products', params);
-
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: 'success',
-                count: response.data.length,
-                products: response.data
-              }, null, 2)
-            }
-          ]
-        };
+        // Fetch products (every page with fetch_all)
+        const { items, truncated } = fetch_all
+          ? await collectItems(client.paginate('products', params))
+          : { items: (await client.get('products', params)).data, truncated: false };
+        const { total, totalPages } = client.lastResponse || {};
+
+        return createListResult({
+          status: 'success',
+          count: items.length,
+          total: total ?? items.length,
+          total_pages: totalPages ?? 1,
+          current_page: page || 1,
+          ...(fetch_all ? { truncated } : {}),
+          products: projectItems(items, fields)
+        }, 'products', output_format);
       } catch (error) {
-        console.error('[WooCommerce:fetch_products] Error:', error);
+        logger.error('[WooCommerce:fetch_products] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -602,7 +617,7 @@ export function registerWooProductTools(server, options) {
 
     // Register create_product tool handler
     registerToolHandler('create_product', async (args) => {
-      console.error('[WooCommerce:create_product] Creating product with args:', args);
+      logger.debug('[WooCommerce:create_product] Creating product with args:', args);
 
       try {
 
@@ -644,16 +659,13 @@ export function registerWooProductTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:create_product] Error:', error);
+        logger.error('[WooCommerce:create_product] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -663,7 +675,7 @@ export function registerWooProductTools(server, options) {
 
     // Register update_product tool handler
     registerToolHandler('update_product', async (args) => {
-      console.error('[WooCommerce:update_product] Updating product with args:', args);
+      logger.debug('[WooCommerce:update_product] Updating product with args:', args);
 
       try {
 
@@ -706,16 +718,13 @@ export function registerWooProductTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:update_product] Error:', error);
+        logger.error('[WooCommerce:update_product] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -725,7 +734,7 @@ export function registerWooProductTools(server, options) {
 
     // Register delete_product tool handler
     registerToolHandler('delete_product', async (args) => {
-      console.error('[WooCommerce:delete_product] Deleting product with args:', args);
+      logger.debug('[WooCommerce:delete_product] Deleting product with args:', args);
 
       try {
 
@@ -751,16 +760,13 @@ export function registerWooProductTools(server, options) {
           ]
         };
       } catch (error) {
-        console.error('[WooCommerce:delete_product] Error:', error);
+        logger.error('[WooCommerce:delete_product] Error:', error);
 
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: error.message
-              }, null, 2)
+              text: JSON.stringify(serializeError(error), null, 2)
             }
           ],
           isError: true
@@ -3,26 +3,35 @@
  * 
  * This module provides a factory function for creating transport instances
  * based on the specified type.
+ * 
+ * The HTTP transports serve one server instance per session, so they are started
+ * with `startSseServer` (sse.js) and `startHttpServer` (streamable-http.js) instead.
+ * WebSocket transports are created here for each connection accepted by
+ * `startWebSocketServer` (websocket.js).
  */
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { HttpServerTransport } from './http.js';
+import { WebSocketServerTransport } from './websocket.js';
+import { logger } from '../logging/index.js';
 
 /**
  * Create a transport instance based on the specified type
- * @param {string} type - The transport type ('stdio' or 'http')
+ * @param {string} type - The transport type ('stdio' or 'ws')
  * @param {Object} options - Configuration options for the transport
+ * @param {WebSocket} options.socket - Accepted WebSocket connection (ws)
+ * @param {number} options.pingInterval - Time between keepalive pings, in milliseconds (ws)
+ * @param {number} options.highWaterMark - Bytes waiting to be written before sending waits (ws)
  * @returns {Transport} A transport instance
  */
 export function createTransport(type, options = {}) {
-  console.error(`[Transport] Creating transport of type: ${type}`);
+  logger.info(`[Transport] Creating transport of type: ${type}`);
   
   switch (type.toLowerCase()) {
     case 'stdio':
       return new StdioServerTransport();
-    case 'http':
-      return new HttpServerTransport(options);
+    case 'ws':
+      return new WebSocketServerTransport(options.socket, options);
     default:
-      console.error(`[Transport] Unknown transport type: ${type}, falling back to stdio`);
+      logger.warn(`[Transport] Unknown transport type: ${type}, falling back to stdio`);
       return new StdioServerTransport();
   }
 }
@@ -0,0 +1,301 @@
+/**
+ * Resumable SSE Transport for WordPress MCP Server
+ *
+ * This module implements the legacy SSE transport (GET stream + POST messages) with
+ * support for dropped connections:
+ *
+ * - Every event has an id (`{sessionId}:{sequence}`), so the browser `EventSource` or the
+ *   MCP SDK client sends the id of the last event it received in `Last-Event-ID` when it
+ *   reconnects.
+ * - Messages sent while the client is away are kept in a bounded replay buffer.
+ * - A client that reconnects within the grace period is reattached to its session and
+ *   receives the events it missed; after the grace period the session is closed.
+ */
+import { JSONRPCMessageSchema } from '@modelcontextprotocol/sdk/types.js';
+import { randomUUID } from 'crypto';
+import { logger } from '../logging/index.js';
+
+// Default resumption settings
+export const SSE_RESUMPTION_DEFAULTS = {
+  replayLimit: 200,
+  gracePeriod: 60000
+};
+
+// Maximum size of a POSTed message, in bytes
+const MAXIMUM_MESSAGE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Parse an SSE event id
+ *
+ * @param {string} eventId - Event id (e.g. from the `Last-Event-ID` header)
+ * @returns {Object|null} Session id and sequence number ({ sessionId, sequence }), or null if the id is invalid
+ */
+export function parseEventId(eventId) {
+  const match = /^([\w-]+):(\d+)$/.exec(String(eventId || '').trim());
+  return match ? { sessionId: match[1], sequence: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Read the JSON body of a request
+ *
+ * @param {IncomingMessage} req - HTTP request
+ * @returns {Promise<*>} Parsed body
+ * @throws {Error} If the body is not JSON or is too large
+ */
+async function readJsonBody(req) {
+  if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+    throw new Error(`Unsupported content-type: ${req.headers['content-type']}`);
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAXIMUM_MESSAGE_SIZE) {
+      throw new Error('Message too large');
+    }
+    chunks.push(chunk);
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
+/**
+ * Server transport for SSE that survives dropped connections
+ */
+export class ResumableSSEServerTransport {
+  /**
+   * Create a new resumable SSE transport
+   *
+   * @param {string} endpoint - URL the client POSTs messages to (the session id is added as `sessionId`)
+   * @param {ServerResponse} res - Response of the GET request that opens the stream
+   * @param {Object} options - Resumption settings
+   * @param {number} options.replayLimit - Maximum number of events kept for replay (default: 200)
+   * @param {number} options.gracePeriod - Time a disconnected session is kept open, in milliseconds (default: 60000)
+   */
+  constructor(endpoint, res, options = {}) {
+    this.endpoint = endpoint;
+    this.res = res;
+    this.replayLimit = options.replayLimit || SSE_RESUMPTION_DEFAULTS.replayLimit;
+    this.gracePeriod = options.gracePeriod ?? SSE_RESUMPTION_DEFAULTS.gracePeriod;
+
+    this._sessionId = randomUUID();
+    this._sequence = 0;
+    this._events = [];
+    this._response = undefined;
+    this._graceTimer = null;
+    this._started = false;
+    this._closed = false;
+  }
+
+  /**
+   * Get the session id of the transport
+   *
+   * @returns {string} Session id
+   */
+  get sessionId() {
+    return this._sessionId;
+  }
+
+  /**
+   * Check whether a client is attached to the stream
+   *
+   * @returns {boolean} True if the stream is open
+   */
+  get connected() {
+    return Boolean(this._response);
+  }
+
+  /**
+   * Open the stream of the first connection (called by the MCP server on connect)
+   */
+  async start() {
+    if (this._started) {
+      throw new Error('ResumableSSEServerTransport already started');
+    }
+
+    this._started = true;
+    this._attach(this.res, 0);
+  }
+
+  /**
+   * Attach a response to the session and replay the events the client missed
+   *
+   * A response that closed before it was attached (e.g. while the MCP server was starting)
+   * detaches right away, so the session still expires after the grace period.
+   *
+   * @param {ServerResponse} res - Response of the GET request
+   * @param {number} lastSequence - Sequence number of the last event the client received
+   * @private
+   */
+  _attach(res, lastSequence) {
+    if (res.destroyed || res.writableEnded) {
+      this._detach();
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    });
+
+    // The endpoint event carries the client's position, so a reconnect without new events replays nothing
+    const url = new URL(this.endpoint, 'http://localhost');
+    url.searchParams.set('sessionId', this._sessionId);
+    res.write(`id: ${this._sessionId}:${lastSequence}\nevent: endpoint\ndata: ${url.pathname}${url.search}\n\n`);
+
+    const missed = this._events.filter(event => event.sequence > lastSequence);
+    if (missed.length > 0 && missed[0].sequence > lastSequence + 1) {
+      logger.warn(`[SSE] Session ${this._sessionId} lost ${missed[0].sequence - lastSequence - 1} events beyond the replay buffer`);
+    }
+    for (const event of missed) {
+      res.write(event.frame);
+    }
+
+    this._response = res;
+    res.on('close', () => {
+      if (this._response === res) {
+        this._detach();
+      }
+    });
+  }
+
+  /**
+   * Keep the session open for the grace period after the client drops the stream
+   *
+   * @private
+   */
+  _detach() {
+    this._response = undefined;
+
+    if (this._closed) {
+      return;
+    }
+
+    logger.info(`[SSE] Session ${this._sessionId} disconnected, keeping it for ${this.gracePeriod}ms`);
+    this._graceTimer = setTimeout(() => {
+      logger.info(`[SSE] Session ${this._sessionId} expired`);
+      this.close();
+    }, this.gracePeriod);
+  }
+
+  /**
+   * Reattach a reconnecting client to the session
+   *
+   * A stream that is still open (e.g. a half-closed connection) is replaced.
+   *
+   * @param {ServerResponse} res - Response of the new GET request
+   * @param {number} lastSequence - Sequence number from the client's `Last-Event-ID`
+   * @throws {Error} If the session is closed
+   */
+  reconnect(res, lastSequence) {
+    if (this._closed) {
+      throw new Error(`Session ${this._sessionId} is closed`);
+    }
+
+    clearTimeout(this._graceTimer);
+    this._graceTimer = null;
+
+    const previous = this._response;
+    this._response = undefined;
+    previous?.end();
+
+    this._attach(res, Math.min(lastSequence, this._sequence));
+    logger.info(`[SSE] Session ${this._sessionId} resumed after event ${lastSequence}`);
+  }
+
+  /**
+   * Handle a message POSTed by the client
+   *
+   * @param {IncomingMessage} req - HTTP request
+   * @param {ServerResponse} res - HTTP response
+   */
+  async handlePostMessage(req, res) {
+    if (this._closed) {
+      res.writeHead(404).end('Session closed');
+      return;
+    }
+
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (error) {
+      res.writeHead(400).end(String(error));
+      this.onerror?.(error);
+      return;
+    }
+
+    try {
+      await this.handleMessage(body, { requestInfo: { headers: req.headers } });
+    } catch {
+      res.writeHead(400).end('Invalid message');
+      return;
+    }
+
+    res.writeHead(202).end('Accepted');
+  }
+
+  /**
+   * Handle a client message
+   *
+   * @param {Object} message - JSON-RPC message
+   * @param {Object} extra - Request information passed to the server
+   * @throws {Error} If the message is not a valid JSON-RPC message
+   */
+  async handleMessage(message, extra) {
+    let parsed;
+    try {
+      parsed = JSONRPCMessageSchema.parse(message);
+    } catch (error) {
+      this.onerror?.(error);
+      throw error;
+    }
+
+    this.onmessage?.(parsed, extra);
+  }
+
+  /**
+   * Send a message to the client, keeping it for replay
+   *
+   * Messages sent while the client is away are delivered when it reconnects.
+   *
+   * @param {Object} message - JSON-RPC message
+   * @throws {Error} If the session is closed
+   */
+  async send(message) {
+    if (this._closed) {
+      throw new Error('Not connected');
+    }
+
+    const sequence = ++this._sequence;
+    const frame = `id: ${this._sessionId}:${sequence}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`;
+
+    this._events.push({ sequence, frame });
+    if (this._events.length > this.replayLimit) {
+      this._events.shift();
+    }
+
+    this._response?.write(frame);
+  }
+
+  /**
+   * Close the session
+   */
+  async close() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    clearTimeout(this._graceTimer);
+
+    const response = this._response;
+    this._response = undefined;
+    response?.end();
+
+    this._events = [];
+    this.onclose?.();
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * WebSocket Transport for WordPress MCP Server
+ *
+ * This module implements an MCP transport over a single WebSocket connection: every
+ * JSON-RPC message is sent as one text frame, in both directions.
+ *
+ * - Keepalive: the server pings the client every `pingInterval` milliseconds and terminates
+ *   connections that did not answer the previous ping, so dead connections behind proxies
+ *   are detected.
+ * - Backpressure: once more than `highWaterMark` bytes are waiting to be written to a slow
+ *   client, `send` waits until they are flushed, which holds back the server instead of
+ *   buffering without limit.
+ */
+import { WebSocket } from 'ws';
+import { JSONRPCMessageSchema } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from '../logging/index.js';
+
+// Default WebSocket settings
+export const WEBSOCKET_DEFAULTS = {
+  pingInterval: 30000,
+  highWaterMark: 1024 * 1024
+};
+
+/**
+ * Server transport for one WebSocket connection
+ */
+export class WebSocketServerTransport {
+  /**
+   * Create a new WebSocket transport
+   *
+   * @param {WebSocket} socket - Accepted WebSocket connection
+   * @param {Object} options - Transport options
+   * @param {number} options.pingInterval - Time between keepalive pings, in milliseconds (default: 30000)
+   * @param {number} options.highWaterMark - Bytes waiting to be written before `send` waits (default: 1 MiB)
+   */
+  constructor(socket, options = {}) {
+    this.socket = socket;
+    this.pingInterval = options.pingInterval || WEBSOCKET_DEFAULTS.pingInterval;
+    this.highWaterMark = options.highWaterMark || WEBSOCKET_DEFAULTS.highWaterMark;
+
+    this._pendingBytes = 0;
+    this._drainWaiters = [];
+    this._pingTimer = null;
+    this._alive = true;
+    this._closed = false;
+
+    // Messages that arrive before the server is connected are delivered on start
+    this._queue = [];
+    this._started = false;
+
+    socket.on('message', (data, isBinary) => this._receive(data, isBinary));
+    socket.on('pong', () => {
+      this._alive = true;
+    });
+    socket.on('error', (error) => this.onerror?.(error));
+    socket.on('close', () => this._handleClose());
+  }
+
+  /**
+   * Start delivering messages and sending keepalive pings (called by the MCP server on connect)
+   *
+   * @throws {Error} If the transport was already started, or the client left before the server connected
+   */
+  async start() {
+    if (this._started) {
+      throw new Error('WebSocketServerTransport already started');
+    }
+
+    if (this._closed) {
+      throw new Error('WebSocket connection closed before the server connected');
+    }
+
+    this._started = true;
+
+    // Let the server finish connecting before it receives the queued messages
+    setImmediate(() => {
+      for (const message of this._queue.splice(0)) {
+        this.onmessage?.(message);
+      }
+    });
+
+    this._pingTimer = setInterval(() => {
+      if (!this._alive) {
+        logger.warn('[WebSocket] Client did not answer the last ping, terminating the connection');
+        this.socket.terminate();
+        return;
+      }
+
+      this._alive = false;
+      this.socket.ping();
+    }, this.pingInterval);
+  }
+
+  /**
+   * Parse and deliver a frame received from the client
+   *
+   * @param {Buffer} data - Frame payload
+   * @param {boolean} isBinary - Whether the frame is binary
+   * @private
+   */
+  _receive(data, isBinary) {
+    let message;
+    try {
+      if (isBinary) {
+        throw new Error('Binary frames are not supported');
+      }
+      message = JSONRPCMessageSchema.parse(JSON.parse(data.toString('utf8')));
+    } catch (error) {
+      logger.warn('[WebSocket] Invalid message:', error);
+      this.onerror?.(error);
+      return;
+    }
+
+    if (this._started) {
+      this.onmessage?.(message);
+    } else {
+      this._queue.push(message);
+    }
+  }
+
+  /**
+   * Wait until the bytes waiting to be written drop below the high-water mark
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  _waitForDrain() {
+    return new Promise(resolve => this._drainWaiters.push(resolve));
+  }
+
+  /**
+   * Wake the senders waiting for the connection to drain
+   *
+   * @private
+   */
+  _releaseWaiters() {
+    for (const resolve of this._drainWaiters.splice(0)) {
+      resolve();
+    }
+  }
+
+  /**
+   * Send a message to the client
+   *
+   * @param {Object} message - JSON-RPC message
+   * @throws {Error} If the connection is closed
+   */
+  async send(message) {
+    while (!this._closed && this._pendingBytes > this.highWaterMark) {
+      await this._waitForDrain();
+    }
+
+    if (this._closed || this.socket.readyState !== WebSocket.OPEN) {
+      throw new Error('Not connected');
+    }
+
+    const data = JSON.stringify(message);
+    const size = Buffer.byteLength(data);
+    this._pendingBytes += size;
+
+    this.socket.send(data, (error) => {
+      this._pendingBytes -= size;
+
+      if (error) {
+        this.onerror?.(error);
+      }
+      if (this._pendingBytes <= this.highWaterMark) {
+        this._releaseWaiters();
+      }
+    });
+  }
+
+  /**
+   * Clean up once the connection is closed
+   *
+   * @private
+   */
+  _handleClose() {
+    if (this._closed) {
+      return;
+    }
+
+    this._closed = true;
+    clearInterval(this._pingTimer);
+    this._releaseWaiters();
+    this.onclose?.();
+  }
+
+  /**
+   * Close the connection
+   */
+  async close() {
+    if (this.socket.readyState === WebSocket.OPEN || this.socket.readyState === WebSocket.CONNECTING) {
+      this.socket.close(1000, 'Server closed the session');
+    }
+
+    this._handleClose();
+  }
+}
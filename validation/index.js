@@ -0,0 +1,149 @@
+/**
+ * Tool Argument Validation Module
+ *
+ * This module validates tool call arguments against the JSON Schema registered
+ * as the tool's `inputSchema`. It applies `default` values from the schema and
+ * reports every invalid field, so callers can correct their arguments instead of
+ * receiving an opaque 400 from the WordPress REST API.
+ *
+ * @see https://json-schema.org/
+ */
+import Ajv from 'ajv';
+
+// Shared validator instance (schemas are compiled once and cached)
+const ajv = new Ajv({
+  allErrors: true,
+  useDefaults: true,
+  strict: false
+});
+
+// Compiled validators keyed by schema object
+const validators = new WeakMap();
+
+/**
+ * Get the compiled validator for a schema
+ *
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Compiled validator
+ */
+function getValidator(schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+
+  return validators.get(schema);
+}
+
+/**
+ * Convert a JSON Pointer (e.g. '/line_items/0/quantity') to a field path (e.g. 'line_items[0].quantity')
+ *
+ * @param {string} pointer - JSON Pointer
+ * @returns {string} Field path
+ */
+function pointerToField(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((field, segment) => {
+      if (/^\d+$/.test(segment)) {
+        return `${field}[${segment}]`;
+      }
+
+      return field ? `${field}.${segment}` : segment;
+    }, '');
+}
+
+/**
+ * Convert an Ajv error object to a field error
+ *
+ * @param {Object} error - Ajv error object
+ * @returns {Object} Field error with field, message and optional details
+ */
+function formatError(error) {
+  let field = pointerToField(error.instancePath);
+
+  if (error.keyword === 'required') {
+    field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+
+    return { field, message: 'is required' };
+  }
+
+  if (error.keyword === 'enum') {
+    return {
+      field,
+      message: `must be one of: ${error.params.allowedValues.join(', ')}`,
+      allowed: error.params.allowedValues
+    };
+  }
+
+  return {
+    field: field || '(arguments)',
+    message: error.message
+  };
+}
+
+/**
+ * Validate tool arguments against a tool input schema
+ *
+ * The arguments are copied before validation, so the caller's object is never mutated.
+ *
+ * @param {Object} schema - The tool's inputSchema
+ * @param {Object} args - The tool call arguments
+ * @returns {Object} Result with `valid`, `args` (with defaults applied) and `errors`
+ */
+export function validateToolArguments(schema, args = {}) {
+  const validatedArgs = structuredClone(args ?? {});
+
+  if (!schema) {
+    return { valid: true, args: validatedArgs, errors: [] };
+  }
+
+  const validate = getValidator(schema);
+
+  if (validate(validatedArgs)) {
+    return { valid: true, args: validatedArgs, errors: [] };
+  }
+
+  // Drop duplicate errors (e.g. the same field reported by several oneOf branches)
+  const seen = new Set();
+  const errors = validate.errors.map(formatError).filter(error => {
+    const key = `${error.field}:${error.message}`;
+
+    if (seen.has(key)) {
+      return false;
+    }
+
+    seen.add(key);
+    return true;
+  });
+
+  return { valid: false, args: validatedArgs, errors };
+}
+
+/**
+ * Create a tool result describing invalid arguments
+ *
+ * @param {string} toolName - The name of the tool
+ * @param {Array<Object>} errors - Field errors from validateToolArguments
+ * @returns {Object} MCP tool result with isError set
+ */
+export function createValidationErrorResult(toolName, errors) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          status: 'error',
+          message: `Invalid arguments for tool '${toolName}'`,
+          error: {
+            category: 'validation',
+            retryable: false
+          },
+          errors
+        }, null, 2)
+      }
+    ],
+    isError: true
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Tests for the Tool Argument Validation Module
+ */
+import { describe, expect, test } from '@jest/globals';
+import { createValidationErrorResult, validateToolArguments } from './index.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    site_id: { type: 'string' },
+    status: { type: 'string', enum: ['draft', 'publish'], default: 'draft' },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 },
+    line_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          product_id: { type: 'integer' },
+          quantity: { type: 'integer', minimum: 1 }
+        },
+        required: ['product_id']
+      }
+    }
+  },
+  required: ['site_id']
+};
+
+describe('validateToolArguments', () => {
+  test('accepts valid arguments and applies defaults', () => {
+    expect(validateToolArguments(schema, { site_id: 'blog', per_page: 10 })).toEqual({
+      valid: true,
+      args: { site_id: 'blog', per_page: 10, status: 'draft' },
+      errors: []
+    });
+  });
+
+  test('does not change the caller\'s arguments', () => {
+    const args = { site_id: 'blog' };
+
+    validateToolArguments(schema, args);
+
+    expect(args).toEqual({ site_id: 'blog' });
+  });
+
+  test('reports every invalid field', () => {
+    const { valid, errors } = validateToolArguments(schema, { status: 'pending', per_page: 500 });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      { field: 'site_id', message: 'is required' },
+      { field: 'status', message: 'must be one of: draft, publish', allowed: ['draft', 'publish'] },
+      { field: 'per_page', message: 'must be <= 100' }
+    ]));
+    expect(errors).toHaveLength(3);
+  });
+
+  test('names nested fields with array indexes', () => {
+    const { errors } = validateToolArguments(schema, {
+      site_id: 'shop',
+      line_items: [{ product_id: 1, quantity: 2 }, { quantity: 0 }]
+    });
+
+    expect(errors).toEqual([
+      { field: 'line_items[1].product_id', message: 'is required' },
+      { field: 'line_items[1].quantity', message: 'must be >= 1' }
+    ]);
+  });
+
+  test('reports arguments that are not an object', () => {
+    expect(validateToolArguments(schema, 'blog').errors).toEqual([{ field: '(arguments)', message: 'must be object' }]);
+  });
+
+  test('drops errors reported twice', () => {
+    const oneOf = {
+      type: 'object',
+      properties: { id: { oneOf: [{ type: 'integer', minimum: 1 }, { type: 'integer', maximum: -1 }] } }
+    };
+    const { errors } = validateToolArguments(oneOf, { id: 'abc' });
+
+    expect(errors.filter(error => error.message === 'must be integer')).toHaveLength(1);
+  });
+
+  test('accepts any arguments without a schema', () => {
+    expect(validateToolArguments(undefined, { anything: true })).toEqual({ valid: true, args: { anything: true }, errors: [] });
+    expect(validateToolArguments(schema, undefined).errors).toEqual([{ field: 'site_id', message: 'is required' }]);
+    expect(validateToolArguments(undefined, null).args).toEqual({});
+  });
+});
+
+describe('createValidationErrorResult', () => {
+  test('describes the invalid fields in a tool error result', () => {
+    const errors = [{ field: 'site_id', message: 'is required' }];
+    const result = createValidationErrorResult('list_posts', errors);
+
+    expect(result.isError).toBe(true);
+    expect(JSON.parse(result.content[0].text)).toEqual({
+      status: 'error',
+      message: 'Invalid arguments for tool \'list_posts\'',
+      error: { category: 'validation', retryable: false },
+      errors
+    });
+  });
+});
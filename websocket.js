@@ -0,0 +1,178 @@
+/**
+ * WebSocket Server for WordPress MCP Server
+ *
+ * This module implements a WebSocket server for the WordPress MCP Server, for clients that
+ * cannot hold long-lived SSE streams (e.g. behind proxies that buffer responses):
+ *
+ * 1. Connection Establishment:
+ *    - Client opens a WebSocket to `/ws` (or `/{account_key}/ws` for an account connected
+ *      with `/connect-account`), optionally with the `mcp` subprotocol
+ *    - Server creates a server instance and a WebSocket transport for the connection
+ *
+ * 2. Message Exchange:
+ *    - Each JSON-RPC message is one text frame, in both directions
+ *    - The connection is the session: closing it ends the session
+ *
+ * The server also exposes Prometheus metrics at `/metrics` (see metrics/index.js).
+ *
+ * When the `auth` section of the configuration holds API keys or an OAuth issuer, the
+ * upgrade request needs a bearer token in the `Authorization` header (see auth/index.js).
+ * Host and Origin headers of upgrade requests are validated according to the `http`
+ * section (see http-security/index.js), which stops other sites' pages from opening
+ * WebSockets to the server.
+ */
+import express from 'express';
+import { STATUS_CODES } from 'http';
+import { WebSocketServer } from 'ws';
+import { WordPressMcpServer } from './server.js';
+import { createTransport } from './transport/index.js';
+import { logger } from './logging/index.js';
+import { METRICS_CONTENT_TYPE, registerGauge, renderMetrics } from './metrics/index.js';
+import { AuthError, Authenticator, requireAuth, serveResourceMetadata } from './auth/index.js';
+import { HTTP_SECURITY_DEFAULTS, HttpSecurity, HttpSecurityError } from './http-security/index.js';
+
+// Maximum size of a message received from a client, in bytes
+const MAX_PAYLOAD = 4 * 1024 * 1024;
+
+/**
+ * Get the account key of a WebSocket upgrade request
+ *
+ * @param {string} url - Request URL
+ * @returns {Object|null} Route ({ accountKey }), or null if the URL is not a WebSocket endpoint
+ */
+function matchWebSocketRoute(url) {
+  const match = /^\/(?:([^/]+)\/)?ws\/?$/.exec(new URL(url, 'http://localhost').pathname);
+  return match ? { accountKey: match[1] ? decodeURIComponent(match[1]) : undefined } : null;
+}
+
+/**
+ * Start a WebSocket server for the WordPress MCP Server
+ * @param {Object} options - Configuration options
+ * @param {number} options.port - Port to listen on (default: 3000)
+ * @param {string} options.host - Address to bind to (default: 127.0.0.1)
+ * @param {string} options.configPath - Path to the configuration file
+ * @param {boolean} options.metrics - Whether to expose Prometheus metrics at /metrics (default: true)
+ * @param {boolean} options.auth - Whether requests must be authenticated; false serves them without authentication (default: true)
+ * @param {number} options.pingInterval - Time between keepalive pings, in milliseconds (default: 30000)
+ * @param {number} options.highWaterMark - Bytes waiting to be written to a client before sending waits (default: 1 MiB)
+ * @returns {Object} Object with close method to shut down the server
+ * @throws {Error} If authentication is enabled but no API keys or OAuth issuer are configured
+ */
+export function startWebSocketServer(options = {}) {
+  const { port = 3000, host = HTTP_SECURITY_DEFAULTS.host, configPath, metrics = true, auth: authentication = true, pingInterval, highWaterMark } = options;
+
+  // Bearer token authentication, from the `auth` section of the configuration; throws
+  // without API keys or an OAuth issuer unless authentication is disabled
+  const authenticator = new Authenticator({ configPath, disabled: !authentication });
+
+  const app = express();
+
+  // Host and Origin validation and CORS, ahead of every route and of authentication
+  const httpSecurity = new HttpSecurity({ host, configPath });
+  app.use(httpSecurity.middleware());
+  serveResourceMetadata(app, authenticator);
+
+  // Active connections
+  const connections = new Set();
+
+  // Expose the metrics of the process, with the number of open connections
+  if (metrics) {
+    registerGauge('wordpress_mcp_ws_connections', 'Active WebSocket connections', () => connections.size);
+
+    app.get('/metrics', requireAuth(authenticator, 'metrics'), (req, res) => {
+      res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+    });
+  }
+
+  const wss = new WebSocketServer({
+    noServer: true,
+    maxPayload: MAX_PAYLOAD,
+    // Accept the MCP subprotocol when the client asks for it
+    handleProtocols: (protocols) => (protocols.has('mcp') ? 'mcp' : false)
+  });
+
+  wss.on('connection', async (socket, req, route) => {
+    logger.info(`[WebSocket] Received connection${route.accountKey ? ` for account ${route.accountKey}` : ''}`);
+
+    // Create a new server instance for this connection
+    const server = new WordPressMcpServer({ configPath, account_key: route.accountKey });
+    const transport = createTransport('ws', { socket, pingInterval, highWaterMark });
+    const connection = { server, transport };
+
+    connections.add(connection);
+
+    // Clean up the connection when the socket closes; installed before connecting (the MCP
+    // server keeps this handler) so a client that leaves while the server starts is cleaned up too
+    transport.onclose = () => {
+      logger.info('[WebSocket] Client disconnected');
+      connections.delete(connection);
+      server.close().catch(error => logger.error('[WebSocket] Error closing connection:', error));
+    };
+
+    try {
+      // Connect the server to the transport
+      await server.connect(transport);
+      logger.info('[WebSocket] Server connected to transport');
+    } catch (error) {
+      // The socket is already closed and cleaned up if the client left during startup
+      if (connections.has(connection)) {
+        logger.error('[WebSocket] Error connecting server to transport:', error);
+        socket.close(1011, 'Error establishing the session');
+      }
+    }
+  });
+
+  // Start the HTTP server and hand WebSocket upgrades on /ws to the WebSocket server
+  const httpServer = app.listen(port, host, () => {
+    logger.info(`[WebSocket] Server listening on ${host}:${port}, endpoint /ws`);
+  });
+
+  httpServer.on('upgrade', (req, socket, head) => {
+    const route = matchWebSocketRoute(req.url);
+
+    if (!route) {
+      logger.warn(`[WebSocket] Refused upgrade for ${req.url}`);
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    try {
+      httpSecurity.checkRequest(req);
+      authenticator.authenticateRequest(req, 'mcp', { checkAccount: true, accountKey: route.accountKey });
+    } catch (error) {
+      const status = error instanceof AuthError || error instanceof HttpSecurityError ? error.status : 500;
+      const challenge = error instanceof AuthError ? `WWW-Authenticate: ${authenticator.challenge(error, req)}\r\n` : '';
+
+      logger.warn(`[WebSocket] Refused upgrade for ${req.url}: ${error.message}`);
+      socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n${challenge}Connection: close\r\n\r\n`);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      wss.emit('connection', ws, req, route);
+    });
+  });
+
+  // Return cleanup function
+  return {
+    close: async () => {
+      // Close the HTTP server
+      httpServer.close();
+
+      // Close all active connections
+      for (const connection of connections) {
+        try {
+          await connection.server.server.close();
+        } catch (error) {
+          logger.error('[WebSocket] Error closing connection:', error);
+        }
+      }
+
+      // Clear the connections set
+      connections.clear();
+      wss.close();
+      authenticator.close();
+      httpSecurity.close();
+    }
+  };
+}
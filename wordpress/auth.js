@@ -9,6 +9,7 @@
  * 
  * @see https://make.wordpress.org/core/2020/11/05/application-passwords-integration-guide/
  */
+import { logger } from '../logging/index.js';
 
 /**
  * Create authentication headers for WordPress REST API requests
@@ -73,7 +74,7 @@ export async function validateCredentials(options) {
       capabilities: userData.capabilities
     };
   } catch (error) {
-    console.error('[Auth] Error validating credentials: ' + error);
+    logger.error('[Auth] Error validating credentials:', error);
     throw new Error(`[Auth] Failed to validate credentials: ${error.message}`);
   }
 }
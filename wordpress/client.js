@@ -7,6 +7,34 @@
  * @see https://developer.wordpress.org/rest-api/
  */
 import { createAuthHeaders } from './auth.js';
+import { logger } from '../logging/index.js';
+import { ApiError } from '../errors/index.js';
+import { isDryRun, recordRequest } from '../dry-run/index.js';
+import { isAuditing, recordMutation } from '../audit/index.js';
+import {
+  CIRCUIT_BREAKER_DEFAULTS,
+  getCircuitBreaker,
+  getRetryDelay,
+  isRetryable,
+  parseRetryAfter,
+  RETRY_DEFAULTS,
+  sleep
+} from '../resilience/index.js';
+import {
+  getCachedResponse,
+  getCacheKey,
+  invalidateResource,
+  renewCachedResponse,
+  setCachedResponse
+} from '../cache/index.js';
+import { getPagination, hasNextPage } from '../pagination/index.js';
+import { recordUpstreamRequest, secondsSince } from '../metrics/index.js';
+
+// Response headers kept with cached responses
+const CACHED_HEADERS = ['X-WP-Total', 'X-WP-TotalPages', 'Link'];
+
+// Maximum number of requests in a batch (the default of WordPress' rest_get_max_batch_size)
+export const WORDPRESS_BATCH_LIMIT = 25;
 
 /**
  * WordPress REST API Client
@@ -17,17 +45,28 @@ export class WordPressClient {
    * 
    * @param {Object} options - Client options
    * @param {string} options.url - WordPress site URL
+   * @param {string} options.siteId - Site id, used to label metrics (defaults to the URL)
    * @param {string} options.username - WordPress username
    * @param {string} options.applicationPassword - WordPress application password
    * @param {Object} options.defaultHeaders - Default headers to include in all requests
    * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
+   * @param {boolean} options.readOnly - Whether to refuse requests that modify the site (default: false)
+   * @param {Object} options.retry - Retry settings ({ retries, minDelay, maxDelay, methods })
+   * @param {Object} options.circuitBreaker - Circuit breaker settings ({ failureThreshold, resetTimeout })
    */
   constructor(options) {
     this.url = options.url;
+    this.siteId = options.siteId;
     this.username = options.username;
     this.applicationPassword = options.applicationPassword;
     this.defaultHeaders = options.defaultHeaders || {};
     this.timeout = options.timeout || 30000;
+    this.readOnly = options.readOnly || false;
+    this.retry = { ...RETRY_DEFAULTS, ...(options.retry || {}) };
+    this.circuitBreaker = { ...CIRCUIT_BREAKER_DEFAULTS, ...(options.circuitBreaker || {}) };
+    
+    // Metadata of the last response ({ status, headers, total, totalPages, links })
+    this.lastResponse = null;
     
     // Validate required options
     if (!this.url) {
@@ -45,7 +84,7 @@ export class WordPressClient {
       });
     }
     
-    console.error(`[Client] Initialized WordPress client for ${this.url}`);
+    logger.debug(`[Client] Initialized WordPress client for ${this.url}`);
   }
   
   /**
@@ -104,12 +143,26 @@ export class WordPressClient {
    * @param {Object} options.params - Query parameters
    * @param {Object} options.data - Request body data
    * @param {Object} options.headers - Additional headers
+   * @param {boolean} options.cache - Whether a GET request may be served from the response cache (default: true)
+   * @param {boolean} options.audit - Whether to record the request in the audit log (default: true)
    * @returns {Promise<Object>} Response data
-   * @throws {Error} If the request fails
+   * @throws {ApiError} If the request fails
+   * @throws {ApiError} If the client is read-only and the request modifies the site
+   * @throws {ApiError} If the site's circuit breaker is open
    */
   async request(options) {
     const { method = 'GET', endpoint, params, data, headers } = options;
     
+    // In dry-run mode, record requests that modify the site instead of sending them
+    if (isDryRun() && !['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+      return this.previewRequest({ method, endpoint, params, data });
+    }
+    
+    // Refuse requests that modify the site in read-only mode
+    if (this.readOnly && !['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+      throw ApiError.readOnly(`[Client] ${method} ${endpoint} refused: site ${this.url} is in read-only mode`, { method, url: endpoint });
+    }
+    
     // Create URL
     const url = this.createUrl(endpoint, params);
     
@@ -119,8 +172,7 @@ export class WordPressClient {
     // Create request options
     const requestOptions = {
       method,
-      headers: requestHeaders,
-      signal: AbortSignal.timeout(this.timeout)
+      headers: requestHeaders
     };
     
     // Add body if data is provided
@@ -128,33 +180,231 @@ export class WordPressClient {
       requestOptions.body = JSON.stringify(data);
     }
     
+    // Serve repeated reads from the response cache, revalidating expired entries that have an ETag
+    const cacheKey = method === 'GET' && options.cache !== false ? getCacheKey(this.username, url) : null;
+    const cached = cacheKey ? getCachedResponse(cacheKey) : null;
+    
+    if (cached?.fresh) {
+      logger.debug(`[Client] ${method} ${url} (cached)`);
+      this.setLastResponse(200, new Headers(cached.headers));
+      return cached.data;
+    }
+    
+    if (cached?.etag) {
+      requestOptions.headers['If-None-Match'] = cached.etag;
+    }
+    
+    // Capture the object before requests that modify the site for the audit log
+    const mutation = isAuditing() && options.audit !== false && !['GET', 'HEAD', 'OPTIONS'].includes(method)
+      ? recordMutation({ method, url, api: 'wordpress', endpoint, body: data, before: await this.fetchSnapshot(endpoint) })
+      : null;
+    
+    let response;
     try {
-      console.error(`[Client] ${method} ${url}`);
+      response = await this.sendWithRetries(url, requestOptions);
+    } finally {
+      // A request that modifies a resource makes its cached responses stale
+      if (!['GET', 'HEAD', 'OPTIONS'].includes(method)) {
+        invalidateResource(url);
+      }
+    }
+    
+    if (response.status === 304 && cached) {
+      logger.debug(`[Client] ${method} ${url} (not modified)`);
+      renewCachedResponse(cacheKey);
+      this.setLastResponse(200, new Headers(cached.headers));
+      return cached.data;
+    }
+    
+    this.setLastResponse(response.status, response.headers);
+    
+    if (cacheKey) {
+      setCachedResponse(cacheKey, {
+        url,
+        data: response.data,
+        headers: Object.fromEntries(CACHED_HEADERS
+          .filter(name => response.headers.has(name))
+          .map(name => [name, response.headers.get(name)])),
+        etag: response.headers.get('ETag')
+      });
+    }
+    
+    if (mutation) {
+      mutation.after = response.data;
+    }
+    
+    return response.data;
+  }
+  
+  /**
+   * Keep the metadata of the last response
+   * 
+   * @param {number} status - HTTP status
+   * @param {Headers} headers - Response headers
+   */
+  setLastResponse(status, headers) {
+    this.lastResponse = { status, headers, ...getPagination(headers) };
+  }
+  
+  /**
+   * Iterate over every item of a list endpoint, fetching the pages as needed
+   * 
+   * @param {string} endpoint - API endpoint (e.g. '/wp/v2/posts')
+   * @param {Object} params - Query parameters (`page` sets the first page)
+   * @yields {Object} Items
+   */
+  async *paginate(endpoint, params = {}) {
+    for (let page = params.page || 1; ; page++) {
+      const items = await this.get(endpoint, { ...params, page });
+      yield* items;
       
-      // Make request
-      const response = await fetch(url, requestOptions);
+      if (!hasNextPage(page, items, this.lastResponse, params.per_page || 10)) {
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Send a request, retrying transient failures of idempotent requests
+   * 
+   * @param {string} url - Request URL
+   * @param {Object} requestOptions - fetch options
+   * @returns {Promise<Object>} Response ({ status, headers, data })
+   * @throws {ApiError} If the request fails
+   * @throws {ApiError} If the site's circuit breaker is open
+   */
+  async sendWithRetries(url, requestOptions) {
+    const { method } = requestOptions;
+    const breaker = getCircuitBreaker(this.url, this.circuitBreaker);
+    
+    for (let attempt = 0; ; attempt++) {
+      logger.debug(`[Client] ${method} ${url}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
       
-      // Handle response
-      if (!response.ok) {
-        // Try to parse error response
-        const errorData = await response.json().catch(() => ({}));
+      try {
+        // Fail fast while the site is down
+        breaker.assertClosed(method, url);
         
-        throw new Error(
-          `[Client] ${method} ${url} failed: ${response.status} ${response.statusText}` +
-          (errorData.message ? ` - ${errorData.message}` : '')
-        );
+        const response = await this.send(url, requestOptions);
+        breaker.recordSuccess();
+        
+        return response;
+      } catch (error) {
+        const apiError = error instanceof ApiError
+          ? error
+          : ApiError.fromNetworkError(error, { prefix: '[Client]', method, url });
+        
+        breaker.recordFailure(apiError);
+        
+        // Retry transient failures of idempotent requests
+        const delay = isRetryable(method, apiError, attempt, this.retry)
+          ? getRetryDelay(attempt, this.retry, apiError.retryAfter)
+          : null;
+        
+        if (delay === null) {
+          logger.warn(`[Client] Request failed:`, apiError);
+          throw apiError;
+        }
+        
+        logger.warn(`[Client] ${method} ${url} failed (${apiError.status || apiError.code || apiError.category}), retrying in ${delay}ms`);
+        await sleep(delay);
       }
+    }
+  }
+  
+  /**
+   * Send a request and parse the response
+   * 
+   * @param {string} url - Request URL
+   * @param {Object} requestOptions - fetch options
+   * @returns {Promise<Object>} Response ({ status, headers, data }); data is null for 304 Not Modified
+   * @throws {ApiError} If the response has an error status
+   */
+  async send(url, requestOptions) {
+    const start = process.hrtime.bigint();
+    let response;
+    try {
+      response = await fetch(url, { ...requestOptions, signal: AbortSignal.timeout(this.timeout) });
+    } finally {
+      recordUpstreamRequest({
+        site: this.siteId || this.url,
+        api: 'wordpress',
+        method: requestOptions.method,
+        status: response?.status ?? 'error',
+        seconds: secondsSince(start)
+      });
+    }
+    
+    if (response.status === 304) {
+      return { status: response.status, headers: response.headers, data: null };
+    }
+    
+    // Handle response
+    if (!response.ok) {
+      // Try to parse error response ({ code, message, data: { status, params } })
+      const errorData = await response.json().catch(() => ({}));
       
-      // Parse response
-      const responseData = await response.json();
-      
-      return responseData;
+      throw ApiError.fromResponse({
+        prefix: '[Client]',
+        method: requestOptions.method,
+        url,
+        status: response.status,
+        statusText: response.statusText,
+        body: errorData,
+        retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+      });
+    }
+    
+    // Parse response
+    return { status: response.status, headers: response.headers, data: await response.json() };
+  }
+  
+  /**
+   * Fetch the current state of the object an endpoint targets
+   * 
+   * @param {string} endpoint - API endpoint (e.g. '/wp/v2/posts/42')
+   * @returns {Promise<Object|null>} The object, or null if the endpoint does not target one or it cannot be fetched
+   */
+  async fetchSnapshot(endpoint) {
+    if (!/\/\d+$/.test(endpoint)) {
+      return null;
+    }
+    
+    try {
+      return await this.get(endpoint, { context: 'edit' }, { cache: false });
     } catch (error) {
-      console.error(`[Client] Request failed:`, error);
-      throw error;
+      logger.warn(`[Client] Could not fetch snapshot of ${endpoint}:`, error);
+      return null;
     }
   }
   
+  /**
+   * Record a request that modifies the site without sending it (dry-run mode)
+   * 
+   * Requests to an object endpoint (e.g. '/wp/v2/posts/42') fetch the current object
+   * with `context=edit`, so the diff compares against the raw field values.
+   * 
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {string} options.endpoint - API endpoint
+   * @param {Object} options.params - Query parameters
+   * @param {Object} options.data - Request body data
+   * @returns {Promise<Object>} The object as it would be after the request
+   */
+  async previewRequest({ method, endpoint, params, data }) {
+    const current = /\/\d+$/.test(endpoint)
+      ? await this.get(endpoint, { context: 'edit' }, { cache: false })
+      : null;
+    
+    recordRequest({
+      method,
+      url: this.createUrl(endpoint, params),
+      body: ['POST', 'PUT', 'PATCH'].includes(method) ? data : undefined,
+      current
+    });
+    
+    return { ...(current || {}), ...(data || {}) };
+  }
+  
   /**
    * Make a GET request to the WordPress REST API
    * 
@@ -245,4 +495,76 @@ export class WordPressClient {
       ...options
     });
   }
+  
+  /**
+   * Send several requests at once through the batch API (WordPress 5.6+)
+   * 
+   * Each request is reported separately: the batch succeeds even if some requests fail.
+   * Only routes that allow batching (e.g. posts, pages, terms) can be batched.
+   * 
+   * @param {Array<Object>} requests - Requests ({ method, path, body }), with paths such as '/wp/v2/posts/42'
+   * @param {Object} options - Batch options
+   * @param {string} options.validation - 'normal' (default) or 'require-all-validate' to send nothing if any request is invalid
+   * @returns {Promise<Object>} Batch response ({ failed, responses: [{ status, body, headers }] })
+   * @throws {ApiError} If there are more requests than WORDPRESS_BATCH_LIMIT
+   */
+  async batch(requests, options = {}) {
+    if (requests.length > WORDPRESS_BATCH_LIMIT) {
+      throw new ApiError(`[Client] A batch holds at most ${WORDPRESS_BATCH_LIMIT} requests, got ${requests.length}`, {
+        category: 'validation',
+        method: 'POST',
+        url: '/batch/v1'
+      });
+    }
+    
+    // In dry-run mode, record each request with its own diff
+    if (isDryRun()) {
+      const responses = [];
+      for (const { method, path, body } of requests) {
+        responses.push({ status: 200, body: await this.previewRequest({ method, endpoint: path, data: body }) });
+      }
+      return { responses };
+    }
+    
+    // Record each request in the audit log, rather than the batch itself
+    const mutations = [];
+    if (isAuditing()) {
+      for (const { method, path, body } of requests) {
+        mutations.push(recordMutation({
+          method,
+          url: this.createUrl(path),
+          api: 'wordpress',
+          endpoint: path,
+          body,
+          before: await this.fetchSnapshot(path)
+        }));
+      }
+    }
+    
+    try {
+      const response = await this.request({
+        method: 'POST',
+        endpoint: '/batch/v1',
+        data: {
+          validation: options.validation || 'normal',
+          requests: requests.map(({ method, path, body }) => ({ method, path, ...(body ? { body } : {}) }))
+        },
+        audit: false
+      });
+      
+      mutations.forEach((mutation, index) => {
+        const itemResponse = response.responses?.[index];
+        if (itemResponse && itemResponse.status < 300) {
+          mutation.after = itemResponse.body;
+        }
+      });
+      
+      return response;
+    } finally {
+      // The batch changes the resources of its requests
+      for (const { path } of requests) {
+        invalidateResource(this.createUrl(path));
+      }
+    }
+  }
 }
@@ -8,6 +8,7 @@
  */
 import { WordPressClient } from './client.js';
 import { validateCredentials } from './auth.js';
+import { logger } from '../logging/index.js';
 
 /**
  * WordPress API Client
@@ -18,10 +19,14 @@ export class WordPress {
    * 
    * @param {Object} options - Client options
    * @param {string} options.url - WordPress site URL
+   * @param {string} options.siteId - Site id, used to label metrics (defaults to the URL)
    * @param {string} options.username - WordPress username
    * @param {string} options.applicationPassword - WordPress application password
    * @param {Object} options.defaultHeaders - Default headers to include in all requests
    * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
+   * @param {boolean} options.readOnly - Whether to refuse requests that modify the site (default: false)
+   * @param {Object} options.retry - Retry settings ({ retries, minDelay, maxDelay, methods })
+   * @param {Object} options.circuitBreaker - Circuit breaker settings ({ failureThreshold, resetTimeout })
    */
   constructor(options) {
     this.options = options;
@@ -83,7 +88,7 @@ export class WordPress {
         routes: Object.keys(response.routes || {})
       };
     } catch (error) {
-      console.error('[WordPress] Error getting site info:', error);
+      logger.error('[WordPress] Error getting site info:', error);
       throw new Error(`[WordPress] Failed to get site info: ${error.message}`);
     }
   }
@@ -95,10 +100,10 @@ export class WordPress {
    */
   async ping() {
     try {
-      await this.client.get('/');
+      await this.client.get('/', {}, { cache: false });
       return true;
     } catch (error) {
-      console.error('[WordPress] Error pinging site:', error);
+      logger.error('[WordPress] Error pinging site:', error);
       return false;
     }
   }
@@ -112,7 +117,7 @@ export class WordPress {
     try {
       return await this.client.get('/wp/v2');
     } catch (error) {
-      console.error('[WordPress] Error getting schema:', error);
+      logger.error('[WordPress] Error getting schema:', error);
       throw new Error(`[WordPress] Failed to get schema: ${error.message}`);
     }
   }
@@ -0,0 +1,506 @@
+/**
+ * WooCommerce REST API Client
+ *
+ * This module provides a client for making requests to the WooCommerce REST API.
+ * It wraps the official WooCommerce REST API library, which authenticates with
+ * consumer key/secret pairs and returns Axios responses (`{ data, status, headers }`).
+ * Requests share the retries and the per-site circuit breaker of the WordPress client.
+ *
+ * @see https://woocommerce.github.io/woocommerce-rest-api-docs/
+ */
+import pkg from '@woocommerce/woocommerce-rest-api';
+import { logger } from '../logging/index.js';
+import { ApiError } from '../errors/index.js';
+import { isDryRun, recordRequest } from '../dry-run/index.js';
+import { isAuditing, recordMutation } from '../audit/index.js';
+import {
+  CIRCUIT_BREAKER_DEFAULTS,
+  getCircuitBreaker,
+  getRetryDelay,
+  isRetryable,
+  parseRetryAfter,
+  RETRY_DEFAULTS,
+  sleep
+} from '../resilience/index.js';
+import {
+  getCachedResponse,
+  getCacheKey,
+  invalidateResource,
+  renewCachedResponse,
+  setCachedResponse
+} from '../cache/index.js';
+import { getPagination, hasNextPage } from '../pagination/index.js';
+import { recordUpstreamRequest, secondsSince } from '../metrics/index.js';
+const WooCommerceRestApi = pkg.default;
+
+// Response headers kept with cached responses
+const CACHED_HEADERS = ['x-wp-total', 'x-wp-totalpages', 'link'];
+
+// Maximum number of objects in a batch (the default of woocommerce_rest_batch_items_limit)
+export const WOOCOMMERCE_BATCH_LIMIT = 100;
+
+/**
+ * WooCommerce REST API Client
+ */
+export class WooCommerceClient {
+  /**
+   * Create a new WooCommerce REST API client
+   *
+   * @param {Object} options - Client options
+   * @param {string} options.url - WordPress site URL
+   * @param {string} options.siteId - Site id, used to label metrics (defaults to the URL)
+   * @param {string} options.consumerKey - WooCommerce consumer key
+   * @param {string} options.consumerSecret - WooCommerce consumer secret
+   * @param {string} options.version - WooCommerce API version (default: 'wc/v3')
+   * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
+   * @param {boolean} options.readOnly - Whether to refuse requests that modify the site (default: false)
+   * @param {Object} options.retry - Retry settings ({ retries, minDelay, maxDelay, methods })
+   * @param {Object} options.circuitBreaker - Circuit breaker settings ({ failureThreshold, resetTimeout })
+   */
+  constructor(options) {
+    this.url = options.url;
+    this.siteId = options.siteId;
+    this.version = options.version || 'wc/v3';
+    this.timeout = options.timeout || 30000;
+    this.readOnly = options.readOnly || false;
+    this.retry = { ...RETRY_DEFAULTS, ...(options.retry || {}) };
+    this.circuitBreaker = { ...CIRCUIT_BREAKER_DEFAULTS, ...(options.circuitBreaker || {}) };
+
+    // Validate required options
+    if (!this.url) {
+      throw new Error('[WooClient] Missing required option: url');
+    }
+    if (!options.consumerKey || !options.consumerSecret) {
+      throw new Error('[WooClient] Missing required options: consumerKey and consumerSecret');
+    }
+
+    // Normalize URL (remove trailing slash)
+    this.url = this.url.replace(/\/$/, '');
+    this.consumerKey = options.consumerKey;
+
+    // Metadata of the last GET response ({ status, headers, total, totalPages, links })
+    this.lastResponse = null;
+
+    this.apiOptions = {
+      url: this.url,
+      consumerKey: options.consumerKey,
+      consumerSecret: options.consumerSecret,
+      version: this.version,
+      timeout: this.timeout
+    };
+    this.api = new WooCommerceRestApi(this.apiOptions);
+
+    logger.info(`[WooClient] Initialized WooCommerce client for ${this.url}`);
+  }
+
+  /**
+   * Refuse requests that modify the site in read-only mode
+   *
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @throws {ApiError} If the client is read-only
+   * @private
+   */
+  _assertWritable(method, endpoint) {
+    if (this.readOnly) {
+      throw ApiError.readOnly(`[WooClient] ${method} ${endpoint} refused: site ${this.url} is in read-only mode`, { method, url: endpoint });
+    }
+  }
+
+  /**
+   * Create a library instance that revalidates a cached response
+   *
+   * The library takes no per-request headers, so conditional requests go through an
+   * instance whose Axios config sends `If-None-Match` and accepts `304 Not Modified`.
+   *
+   * @param {string} etag - ETag of the cached response
+   * @returns {WooCommerceRestApi} Library instance
+   * @private
+   */
+  _createConditionalApi(etag) {
+    return new WooCommerceRestApi({
+      ...this.apiOptions,
+      axiosConfig: {
+        headers: { Accept: 'application/json', 'If-None-Match': etag },
+        validateStatus: status => (status >= 200 && status < 300) || status === 304
+      }
+    });
+  }
+
+  /**
+   * Fetch the current state of the object an endpoint targets, for the audit log
+   *
+   * @param {string} endpoint - API endpoint (e.g. 'products/42')
+   * @returns {Promise<Object|null>} The object, or null if the endpoint does not target one or it cannot be fetched
+   * @private
+   */
+  async _fetchSnapshot(endpoint) {
+    return /\/\d+$/.test(endpoint)
+      ? this._sendWithRetries('GET', endpoint, () => this.api.get(endpoint)).then(response => response.data, () => null)
+      : null;
+  }
+
+  /**
+   * Send a request through the WooCommerce REST API library
+   * 
+   * Requests that modify the site are recorded in the audit log and invalidate the
+   * cached responses of their resource.
+   * 
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Function} send - Function that sends the request
+   * @param {Object} data - Request body data
+   * @param {Object} options - Send options
+   * @param {boolean} options.audit - Whether to record the request in the audit log (default: true)
+   * @returns {Promise<Object>} Axios response
+   * @throws {ApiError} If the request fails
+   * @throws {ApiError} If the site's circuit breaker is open
+   * @private
+   */
+  async _send(method, endpoint, send, data, options = {}) {
+    // Capture the object before and after requests that modify the site for the audit log
+    let mutation = null;
+    if (method !== 'GET' && isAuditing() && options.audit !== false) {
+      mutation = recordMutation({
+        method,
+        url: `${this.url}/wp-json/${this.version}/${endpoint}`,
+        api: 'woocommerce',
+        endpoint,
+        body: data,
+        before: await this._fetchSnapshot(endpoint)
+      });
+    }
+    
+    try {
+      const response = await this._sendWithRetries(method, endpoint, send);
+      
+      if (mutation) {
+        mutation.after = response.data;
+      }
+      
+      return response;
+    } finally {
+      // A request that modifies a resource makes its cached responses stale
+      if (method !== 'GET') {
+        invalidateResource(`${this.url}/wp-json/${this.version}/${endpoint}`);
+      }
+    }
+  }
+  
+  /**
+   * Send a request, retrying transient failures of idempotent requests
+   * 
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Function} send - Function that sends the request
+   * @returns {Promise<Object>} Axios response
+   * @throws {ApiError} If the request fails
+   * @throws {ApiError} If the site's circuit breaker is open
+   * @private
+   */
+  async _sendWithRetries(method, endpoint, send) {
+    const breaker = getCircuitBreaker(this.url, this.circuitBreaker);
+    
+    for (let attempt = 0; ; attempt++) {
+      logger.debug(`[WooClient] ${method} ${endpoint}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+      
+      try {
+        // Fail fast while the site is down
+        breaker.assertClosed(method, endpoint);
+        
+        const response = await this._sendOnce(method, endpoint, send);
+        breaker.recordSuccess();
+        
+        return response;
+      } catch (error) {
+        breaker.recordFailure(error);
+        
+        // Retry transient failures of idempotent requests
+        const delay = isRetryable(method, error, attempt, this.retry)
+          ? getRetryDelay(attempt, this.retry, error.retryAfter)
+          : null;
+        
+        if (delay === null) {
+          logger.warn('[WooClient] Request failed:', error);
+          throw error;
+        }
+        
+        logger.warn(`[WooClient] ${method} ${endpoint} failed (${error.status || error.code || error.category}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+  
+  /**
+   * Send a request once
+   * 
+   * Axios errors are converted to an ApiError that keeps the HTTP status, the
+   * WooCommerce error code and the invalid parameters.
+   * 
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Function} send - Function that sends the request
+   * @returns {Promise<Object>} Axios response
+   * @throws {ApiError} If the request fails
+   * @private
+   */
+  async _sendOnce(method, endpoint, send) {
+    const start = process.hrtime.bigint();
+    let status = 'error';
+    try {
+      const response = await send();
+      status = response.status;
+      
+      return response;
+    } catch (error) {
+      status = error.response?.status ?? status;
+      throw error.response
+        ? ApiError.fromResponse({
+          prefix: '[WooClient]',
+          method,
+          url: endpoint,
+          status: error.response.status,
+          statusText: error.response.statusText,
+          body: error.response.data,
+          retryAfter: parseRetryAfter(error.response.headers?.['retry-after'])
+        })
+        : ApiError.fromNetworkError(error, { prefix: '[WooClient]', method, url: endpoint });
+    } finally {
+      recordUpstreamRequest({ site: this.siteId || this.url, api: 'woocommerce', method, status, seconds: secondsSince(start) });
+    }
+  }
+  
+  /**
+   * Record a request that modifies the site without sending it (dry-run mode)
+   * 
+   * Requests to an object endpoint (e.g. 'products/42') fetch the current object
+   * for the diff.
+   * 
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request body data
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Axios-like response with the object as it would be after the request
+   * @private
+   */
+  async _preview(method, endpoint, data, params) {
+    const current = /\/\d+$/.test(endpoint)
+      ? (await this.get(endpoint, {}, { cache: false })).data
+      : null;
+    
+    recordRequest({
+      method,
+      url: `${this.url}/wp-json/${this.version}/${endpoint}`,
+      params,
+      body: data,
+      current
+    });
+    
+    return { data: { ...(current || {}), ...(data || {}) }, status: 200, headers: {} };
+  }
+  
+  /**
+   * Make a GET request to the WooCommerce REST API
+   *
+   * @param {string} endpoint - API endpoint (e.g., 'products')
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Request options
+   * @param {boolean} options.cache - Whether the response may be served from the response cache (default: true)
+   * @returns {Promise<Object>} Axios response
+   */
+  async get(endpoint, params = {}, options = {}) {
+    const url = `${this.url}/wp-json/${this.version}/${endpoint}`;
+    
+    // Serve repeated reads from the response cache, revalidating expired entries that have an ETag
+    const cacheKey = options.cache !== false
+      ? getCacheKey(this.consumerKey, `${url}?${new URLSearchParams(params)}`)
+      : null;
+    const cached = cacheKey ? getCachedResponse(cacheKey) : null;
+    
+    if (cached?.fresh) {
+      logger.debug(`[WooClient] GET ${endpoint} (cached)`);
+      this.lastResponse = { status: 200, headers: cached.headers, ...getPagination(cached.headers) };
+      return { data: cached.data, status: 200, headers: cached.headers };
+    }
+    
+    const api = cached?.etag ? this._createConditionalApi(cached.etag) : this.api;
+    const response = await this._send('GET', endpoint, () => api.get(endpoint, params));
+    
+    if (response.status === 304 && cached) {
+      logger.debug(`[WooClient] GET ${endpoint} (not modified)`);
+      renewCachedResponse(cacheKey);
+      this.lastResponse = { status: 200, headers: cached.headers, ...getPagination(cached.headers) };
+      return { data: cached.data, status: 200, headers: cached.headers };
+    }
+    
+    this.lastResponse = { status: response.status, headers: response.headers, ...getPagination(response.headers) };
+    
+    if (cacheKey) {
+      setCachedResponse(cacheKey, {
+        url,
+        data: response.data,
+        headers: Object.fromEntries(CACHED_HEADERS
+          .filter(name => response.headers?.[name] !== undefined)
+          .map(name => [name, response.headers[name]])),
+        etag: response.headers?.etag
+      });
+    }
+    
+    return response;
+  }
+
+  /**
+   * Iterate over every item of a list endpoint, fetching the pages as needed
+   *
+   * @param {string} endpoint - API endpoint (e.g., 'products')
+   * @param {Object} params - Query parameters (`page` sets the first page)
+   * @yields {Object} Items
+   */
+  async *paginate(endpoint, params = {}) {
+    for (let page = params.page || 1; ; page++) {
+      const { data: items } = await this.get(endpoint, { ...params, page });
+      yield* items;
+
+      if (!hasNextPage(page, items, this.lastResponse, params.per_page || 10)) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Make a POST request to the WooCommerce REST API
+   *
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request body data
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  async post(endpoint, data = {}, params = {}) {
+    if (isDryRun()) {
+      return this._preview('POST', endpoint, data, params);
+    }
+    this._assertWritable('POST', endpoint);
+    return this._send('POST', endpoint, () => this.api.post(endpoint, data, params), data);
+  }
+
+  /**
+   * Make a PUT request to the WooCommerce REST API
+   *
+   * @param {string} endpoint - API endpoint
+   * @param {Object} data - Request body data
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  async put(endpoint, data = {}, params = {}) {
+    if (isDryRun()) {
+      return this._preview('PUT', endpoint, data, params);
+    }
+    this._assertWritable('PUT', endpoint);
+    return this._send('PUT', endpoint, () => this.api.put(endpoint, data, params), data);
+  }
+
+  /**
+   * Make a DELETE request to the WooCommerce REST API
+   *
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  async delete(endpoint, params = {}) {
+    if (isDryRun()) {
+      return this._preview('DELETE', endpoint, undefined, params);
+    }
+    this._assertWritable('DELETE', endpoint);
+    return this._send('DELETE', endpoint, () => this.api.delete(endpoint, params));
+  }
+
+  /**
+   * Create, update and delete several objects at once through a batch endpoint
+   *
+   * Each object is reported separately: the batch succeeds even if some objects fail, and
+   * failed objects have an `error` in the response. Batch deletes are permanent.
+   *
+   * @param {string} endpoint - Collection endpoint (e.g., 'products')
+   * @param {Object} data - Batch ({ create: [objects], update: [objects with id], delete: [ids] })
+   * @returns {Promise<Object>} Axios response with the results by action ({ create, update, delete })
+   * @throws {ApiError} If the batch holds more than WOOCOMMERCE_BATCH_LIMIT objects
+   */
+  async batch(endpoint, data) {
+    const { create = [], update = [], delete: remove = [] } = data;
+    const count = create.length + update.length + remove.length;
+
+    if (count > WOOCOMMERCE_BATCH_LIMIT) {
+      throw new ApiError(`[WooClient] A batch holds at most ${WOOCOMMERCE_BATCH_LIMIT} objects, got ${count}`, {
+        category: 'validation',
+        method: 'POST',
+        url: `${endpoint}/batch`
+      });
+    }
+
+    // The requests the batch stands for, by action
+    const requests = {
+      create: create.map(item => ({ method: 'POST', endpoint, body: item })),
+      update: update.map(({ id, ...fields }) => ({ method: 'PUT', endpoint: `${endpoint}/${id}`, body: fields })),
+      delete: remove.map(id => ({ method: 'DELETE', endpoint: `${endpoint}/${id}` }))
+    };
+
+    // In dry-run mode, record each request with its own diff
+    if (isDryRun()) {
+      const results = {};
+      for (const [action, actionRequests] of Object.entries(requests)) {
+        results[action] = [];
+        for (const request of actionRequests) {
+          const params = request.method === 'DELETE' ? { force: true } : {};
+          results[action].push((await this._preview(request.method, request.endpoint, request.body, params)).data);
+        }
+      }
+      return { data: results, status: 200, headers: {} };
+    }
+
+    this._assertWritable('POST', `${endpoint}/batch`);
+
+    // Record each object in the audit log, rather than the batch itself
+    const mutations = { create: [], update: [], delete: [] };
+    if (isAuditing()) {
+      for (const [action, actionRequests] of Object.entries(requests)) {
+        for (const request of actionRequests) {
+          mutations[action].push(recordMutation({
+            method: request.method,
+            url: `${this.url}/wp-json/${this.version}/${request.endpoint}`,
+            api: 'woocommerce',
+            endpoint: request.endpoint,
+            body: request.body,
+            before: await this._fetchSnapshot(request.endpoint)
+          }));
+        }
+      }
+    }
+
+    try {
+      const response = await this._send(
+        'POST',
+        `${endpoint}/batch`,
+        () => this.api.post(`${endpoint}/batch`, data),
+        data,
+        { audit: false }
+      );
+
+      for (const [action, actionMutations] of Object.entries(mutations)) {
+        actionMutations.forEach((mutation, index) => {
+          const result = response.data?.[action]?.[index];
+          if (result && !result.error) {
+            mutation.after = result;
+          }
+        });
+      }
+
+      return response;
+    } finally {
+      // The batch changes the objects it names and their collection
+      invalidateResource(`${this.url}/wp-json/${this.version}/${endpoint}`);
+      for (const request of [...requests.update, ...requests.delete]) {
+        invalidateResource(`${this.url}/wp-json/${this.version}/${request.endpoint}`);
+      }
+    }
+  }
+}
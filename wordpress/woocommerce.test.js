@@ -0,0 +1,138 @@
+/**
+ * Tests for the WooCommerce REST API Client
+ */
+import http from 'http';
+import { afterAll, beforeAll, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { configureCache } from '../cache/index.js';
+import { ApiError } from '../errors/index.js';
+import { configureLogging } from '../logging/index.js';
+import { WooCommerceClient } from './woocommerce.js';
+
+describe('WooCommerceClient', () => {
+  let server;
+  let baseUrl;
+  let responses;
+  let requests;
+  let etags;
+
+  beforeAll(async () => {
+    configureLogging({ level: 'error' });
+
+    // Answer each request with the next queued response ({ status, body, headers })
+    server = http.createServer((req, res) => {
+      requests.push(`${req.method} ${req.url.split('?')[0]}`);
+      etags.push(req.headers['if-none-match']);
+
+      const { status = 200, body = {}, headers = {} } = responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+    etags = [];
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Create a client for a site of its own, so each test gets a fresh circuit breaker
+   *
+   * @param {string} site - Path of the site on the test server
+   * @param {Object} options - Extra client options
+   * @returns {WooCommerceClient} Client
+   */
+  const createClient = (site, options = {}) => new WooCommerceClient({
+    url: `${baseUrl}/${site}`,
+    consumerKey: 'ck_test',
+    consumerSecret: 'cs_test',
+    retry: { minDelay: 1, maxDelay: 10 },
+    ...options
+  });
+
+  test('retries a GET that fails with a 503', async () => {
+    const client = createClient('retry-get');
+    responses.push({ status: 503 }, { status: 503 }, { body: [{ id: 1 }] });
+
+    const response = await client.get('products', {}, { cache: false });
+
+    expect(response.data).toEqual([{ id: 1 }]);
+    expect(requests).toEqual(Array(3).fill('GET /retry-get/wp-json/wc/v3/products'));
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    const client = createClient('retry-limit', { retry: { retries: 1, minDelay: 1, maxDelay: 10 } });
+    responses.push({ status: 503 }, { status: 503 }, { body: [] });
+
+    const error = await client.get('products', {}, { cache: false }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({ status: 503, category: 'unavailable', retryable: true });
+    expect(requests).toHaveLength(2);
+  });
+
+  test('does not retry a POST or a client error', async () => {
+    const client = createClient('no-retry');
+    responses.push({ status: 503 }, { status: 404, body: { code: 'woocommerce_rest_product_invalid_id' } });
+
+    await expect(client.post('products', { name: 'Mug' })).rejects.toMatchObject({ status: 503 });
+    await expect(client.get('products/42', {}, { cache: false })).rejects.toMatchObject({ status: 404, code: 'woocommerce_rest_product_invalid_id' });
+    expect(requests).toEqual(['POST /no-retry/wp-json/wc/v3/products', 'GET /no-retry/wp-json/wc/v3/products/42']);
+  });
+
+  test('waits for the delay of a Retry-After header', async () => {
+    const client = createClient('retry-after', { retry: { minDelay: 1, maxDelay: 10 } });
+    responses.push({ status: 429, headers: { 'Retry-After': '60' } });
+
+    await expect(client.get('orders', {}, { cache: false })).rejects.toMatchObject({ status: 429, retryAfter: 60000 });
+    expect(requests).toHaveLength(1);
+  });
+
+  test('opens the site\'s circuit breaker after consecutive failures', async () => {
+    const client = createClient('breaker', {
+      retry: { retries: 0 },
+      circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 }
+    });
+    responses.push({ status: 503 }, { status: 503 }, { body: [] });
+
+    await expect(client.get('orders', {}, { cache: false })).rejects.toMatchObject({ status: 503 });
+    await expect(client.get('orders', {}, { cache: false })).rejects.toMatchObject({ status: 503 });
+    await expect(client.get('orders', {}, { cache: false })).rejects.toMatchObject({ code: 'circuit_open', category: 'unavailable' });
+
+    // The breaker is shared with the other clients of the site
+    await expect(createClient('breaker').get('products', {}, { cache: false })).rejects.toMatchObject({ code: 'circuit_open' });
+    expect(requests).toHaveLength(2);
+  });
+
+  test('revalidates an expired cached response with its ETag', async () => {
+    configureCache({ ttl: 30 });
+    const client = createClient('etag');
+    const now = Date.now();
+    responses.push(
+      { body: [{ id: 1 }], headers: { ETag: '"v1"', 'X-WP-Total': '1' } },
+      { status: 304, headers: { ETag: '"v1"' } }
+    );
+
+    await expect(client.get('products')).resolves.toMatchObject({ data: [{ id: 1 }] });
+
+    // After the TTL, the entry is revalidated; the 304 renews it
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 60000);
+    try {
+      await expect(client.get('products')).resolves.toMatchObject({ data: [{ id: 1 }], status: 200 });
+      expect(client.lastResponse).toMatchObject({ status: 200, total: 1 });
+      await expect(client.get('products')).resolves.toMatchObject({ data: [{ id: 1 }] });
+    } finally {
+      clock.mockRestore();
+    }
+
+    expect(requests).toHaveLength(2);
+    expect(etags).toEqual([undefined, '"v1"']);
+  });
+});